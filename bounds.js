@@ -0,0 +1,196 @@
+/**
+ * World Bounds Module
+ * An axis-aligned box that keeps cubes inside the simulation volume.
+ *
+ * Wall Modes:
+ * - "reflect": Cubes bounce off the walls. The cube's extent along the
+ *   wall's axis (as currently rotated) is taken into account, so faces or
+ *   corners (not centers) touch the wall, and any overshoot is mirrored
+ *   back inside.
+ * - "wrap": Cubes leaving through one wall re-enter through the opposite
+ *   wall when their center crosses it.
+ * - "absorb": Walls soak up all motion into them: the cube is stopped
+ *   against the wall and keeps only its velocity parallel to it.
+ *
+ * Events:
+ * WorldBounds is an EventTarget and dispatches a "wallhit" CustomEvent each
+ * time a cube moving outward reaches a wall:
+ *   event.detail = { cube, axis, side, mode, speed }
+ *   - axis: "x" | "y" | "z"
+ *   - side: "min" | "max"
+ *   - speed: Outward speed at impact (units per second)
+ *
+ * @example
+ * const bounds = new WorldBounds({ min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } });
+ * bounds.addEventListener("wallhit", (e) => console.log(e.detail.axis, e.detail.side));
+ * bounds.constrain(cube);
+ */
+
+import { getCubeAxes } from "./collision.js";
+
+export const WALL_MODES = ["reflect", "wrap", "absorb"];
+
+const AXES = ["x", "y", "z"];
+
+export class WorldBounds extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {{x: number, y: number, z: number}} options.min - Minimum corner
+     * @param {{x: number, y: number, z: number}} options.max - Maximum corner
+     * @param {string} [options.mode="reflect"] - One of WALL_MODES
+     */
+    constructor({ min, max, mode = "reflect" }) {
+        super();
+        this.min = { ...min };
+        this.max = { ...max };
+        this.setMode(mode);
+    }
+
+    /**
+     * @param {string} mode - One of WALL_MODES
+     */
+    setMode(mode) {
+        if (!WALL_MODES.includes(mode)) {
+            throw new Error(`Unknown wall mode '${mode}'`);
+        }
+        this.mode = mode;
+    }
+
+    /** @returns {{x: number, y: number, z: number}} Center of the box */
+    get center() {
+        return {
+            x: (this.min.x + this.max.x) / 2,
+            y: (this.min.y + this.max.y) / 2,
+            z: (this.min.z + this.max.z) / 2
+        };
+    }
+
+    /** @returns {{x: number, y: number, z: number}} Edge lengths of the box */
+    get extent() {
+        return {
+            x: this.max.x - this.min.x,
+            y: this.max.y - this.min.y,
+            z: this.max.z - this.min.z
+        };
+    }
+
+    /**
+     * Clamps a position so a cube with the given half-extent stays inside.
+     *
+     * @param {{x: number, y: number, z: number}} position - Modified in place
+     * @param {number} [halfExtent=0] - Half of the cube's edge length
+     * @returns {{x: number, y: number, z: number}} The same position object
+     */
+    clamp(position, halfExtent = 0) {
+        AXES.forEach(axis => {
+            const low = this.min[axis] + halfExtent;
+            const high = this.max[axis] - halfExtent;
+            position[axis] = Math.min(Math.max(position[axis], low), high);
+        });
+        return position;
+    }
+
+    /**
+     * Applies the current wall mode to a cube on every axis.
+     * @param {Cube} cube - Cube whose position/velocity may be changed
+     */
+    constrain(cube) {
+        const cubeAxes = this.mode === "wrap" ? null : getCubeAxes(cube.angle);
+        AXES.forEach((axis, i) => {
+            if (this.mode === "wrap") {
+                this.wrapAxis(cube, axis);
+            } else {
+                // Half-extent of the rotated cube along the world axis: its
+                // local half-axes projected onto it
+                const half = cubeAxes.reduce((sum, local) => sum + Math.abs(local[i]), 0) * cube.size / 2;
+                this.collideAxis(cube, axis, half);
+            }
+        });
+    }
+
+    /**
+     * Reflect / absorb handling along one axis.
+     * @param {Cube} cube
+     * @param {string} axis
+     * @param {number} half - Cube's half-extent along the axis
+     */
+    collideAxis(cube, axis, half) {
+        const low = this.min[axis] + half;
+        const high = this.max[axis] - half;
+        const position = cube.position[axis];
+        const velocity = cube.velocity[axis];
+
+        // Boxes thinner than the cube can't be satisfied; just center it
+        if (low > high) {
+            cube.position[axis] = (this.min[axis] + this.max[axis]) / 2;
+            return;
+        }
+
+        let side = null;
+        let wall = 0;
+        if (position < low) {
+            side = "min";
+            wall = low;
+        } else if (position > high) {
+            side = "max";
+            wall = high;
+        } else {
+            return;
+        }
+
+        const outward = side === "min" ? -velocity : velocity;
+        if (outward <= 0) {
+            // Already heading back inside (e.g. spawned outside): just clamp
+            cube.position[axis] = wall;
+            return;
+        }
+
+        if (this.mode === "reflect") {
+            cube.position[axis] = 2 * wall - position;  // Mirror the overshoot
+            cube.velocity[axis] = -velocity;
+        } else {
+            cube.position[axis] = wall;
+            cube.velocity[axis] = 0;
+        }
+        this.emitHit(cube, axis, side, outward);
+    }
+
+    /**
+     * Wrap-around handling along one axis. The interpolation snapshot is
+     * shifted by the same amount so the cube doesn't streak across the box.
+     * @param {Cube} cube
+     * @param {string} axis
+     */
+    wrapAxis(cube, axis) {
+        const size = this.max[axis] - this.min[axis];
+        const position = cube.position[axis];
+
+        let side = null;
+        let shift = 0;
+        if (position < this.min[axis]) {
+            side = "min";
+            shift = size;
+        } else if (position > this.max[axis]) {
+            side = "max";
+            shift = -size;
+        } else {
+            return;
+        }
+
+        cube.position[axis] += shift;
+        if (cube.previous) cube.previous[axis] += shift;
+        this.emitHit(cube, axis, side, Math.abs(cube.velocity[axis]));
+    }
+
+    /**
+     * @param {Cube} cube
+     * @param {string} axis
+     * @param {string} side
+     * @param {number} speed
+     */
+    emitHit(cube, axis, side, speed) {
+        this.dispatchEvent(new CustomEvent("wallhit", {
+            detail: { cube, axis, side, mode: this.mode, speed }
+        }));
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Broad-Phase Collision Module
+ * Cheaply narrows all cube pairs down to the pairs whose bounding boxes
+ * overlap, so the exact (and more expensive) oriented-box test in
+ * collision.js only runs where a contact is possible.
+ *
+ * Two implementations share one interface so they can be swapped and compared:
+ * - UniformGridBroadPhase: buckets entities into fixed-size cells
+ * - SweepAndPruneBroadPhase: sorts entity extents along one axis
+ *
+ * Interface:
+ * - update(entities): rebuilds internal state from an iterable of cubes
+ * - getPairs(): returns each overlapping pair exactly once as [a, b]
+ *
+ * Entities need `id`, `position` {x, y, z} and `size`. Bounds are padded to
+ * the cube's circumscribed sphere so they stay valid at any rotation.
+ *
+ * @example
+ * const broadPhase = new UniformGridBroadPhase({ min, max }, 0.5);
+ * broadPhase.update(scene);
+ * for (const [a, b] of broadPhase.getPairs()) { ... }
+ */
+
+// Ratio of a cube's circumscribed sphere radius to its edge length (√3 / 2)
+const BOUNDING_RADIUS_FACTOR = Math.sqrt(3) / 2;
+
+/**
+ * Axis-aligned bounds enclosing a cube at any orientation.
+ *
+ * @param {Cube} entity
+ * @returns {{min: Object, max: Object}} Bounds as {x, y, z} corners
+ */
+export function getEntityBounds(entity) {
+    const r = entity.size * BOUNDING_RADIUS_FACTOR;
+    const { x, y, z } = entity.position;
+    return {
+        min: { x: x - r, y: y - r, z: z - r },
+        max: { x: x + r, y: y + r, z: z + r }
+    };
+}
+
+/**
+ * @param {{min: Object, max: Object}} a
+ * @param {{min: Object, max: Object}} b
+ * @returns {boolean} True if the boxes overlap on every axis
+ */
+function boundsOverlap(a, b) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+           a.min.y <= b.max.y && a.max.y >= b.min.y &&
+           a.min.z <= b.max.z && a.max.z >= b.min.z;
+}
+
+/**
+ * Uniform Grid Broad Phase
+ * Divides explicit world bounds into cubic cells and inserts each entity
+ * into every cell its bounds touch, so entities of any size are found by
+ * all of their neighbors.
+ *
+ * Cell Addressing:
+ * - Cell coordinates are computed per axis from the world minimum:
+ *   cx = floor((x - min.x) / cellSize), clamped to [0, cellsX - 1]
+ * - Clamping keeps entities that stray outside the bounds in the border
+ *   cells instead of dropping them
+ * - Cells are stored sparsely in a Map keyed by cx + cy*nx + cz*nx*ny
+ *
+ * Duplicate Suppression:
+ * Entities sharing several cells would be paired once per shared cell; a
+ * pair is only reported from the first cell that produces it.
+ */
+export class UniformGridBroadPhase {
+    /**
+     * @param {{min: Object, max: Object}} worldBounds - World extents as {x, y, z} corners
+     * @param {number} cellSize - Edge length of one cell
+     */
+    constructor(worldBounds, cellSize) {
+        this.cellSize = cellSize;
+        this.setWorldBounds(worldBounds);
+        this.cells = new Map();
+        this.bounds = new Map();  // Entity → bounds from the last update
+    }
+
+    /**
+     * Changes the region covered by the grid.
+     * @param {{min: Object, max: Object}} worldBounds
+     */
+    setWorldBounds({ min, max }) {
+        this.min = { ...min };
+        this.counts = {
+            x: Math.max(1, Math.ceil((max.x - min.x) / this.cellSize)),
+            y: Math.max(1, Math.ceil((max.y - min.y) / this.cellSize)),
+            z: Math.max(1, Math.ceil((max.z - min.z) / this.cellSize))
+        };
+    }
+
+    /**
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @param {number} value - World coordinate
+     * @returns {number} Clamped cell coordinate along the axis
+     */
+    cellCoordinate(axis, value) {
+        const cell = Math.floor((value - this.min[axis]) / this.cellSize);
+        return Math.min(Math.max(cell, 0), this.counts[axis] - 1);
+    }
+
+    /**
+     * @param {Iterable<Cube>} entities
+     */
+    update(entities) {
+        this.cells.clear();
+        this.bounds.clear();
+
+        for (const entity of entities) {
+            const bounds = getEntityBounds(entity);
+            this.bounds.set(entity, bounds);
+
+            const x0 = this.cellCoordinate("x", bounds.min.x);
+            const x1 = this.cellCoordinate("x", bounds.max.x);
+            const y0 = this.cellCoordinate("y", bounds.min.y);
+            const y1 = this.cellCoordinate("y", bounds.max.y);
+            const z0 = this.cellCoordinate("z", bounds.min.z);
+            const z1 = this.cellCoordinate("z", bounds.max.z);
+
+            for (let cz = z0; cz <= z1; cz++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    for (let cx = x0; cx <= x1; cx++) {
+                        const key = cx + cy * this.counts.x + cz * this.counts.x * this.counts.y;
+                        let cell = this.cells.get(key);
+                        if (!cell) {
+                            cell = [];
+                            this.cells.set(key, cell);
+                        }
+                        cell.push(entity);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {Array<Array<Cube>>} Overlapping pairs, each reported once
+     */
+    getPairs() {
+        const pairs = [];
+        const seen = new Set();
+
+        this.cells.forEach(cell => {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const a = cell[i];
+                    const b = cell[j];
+                    const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    if (boundsOverlap(this.bounds.get(a), this.bounds.get(b))) {
+                        pairs.push([a, b]);
+                    }
+                }
+            }
+        });
+
+        return pairs;
+    }
+}
+
+/**
+ * Sweep and Prune Broad Phase
+ * Sorts entity bounds by their minimum x and sweeps along the axis with an
+ * active list: an entity can only overlap those whose x-interval is still
+ * open when it starts. Remaining candidates are checked on y and z.
+ *
+ * The sorted order is kept between updates and re-sorted with insertion
+ * sort, which is close to O(n) because cubes move little per step.
+ * Needs no world bounds, so it keeps working for entities anywhere.
+ */
+export class SweepAndPruneBroadPhase {
+    constructor() {
+        this.entries = [];  // [{ entity, bounds }] sorted by bounds.min.x
+    }
+
+    /**
+     * @param {Iterable<Cube>} entities
+     */
+    update(entities) {
+        const current = new Set(entities);
+        const known = new Set();
+
+        // Refresh bounds of surviving entities, keeping their previous order
+        this.entries = this.entries.filter(entry => current.has(entry.entity));
+        this.entries.forEach(entry => {
+            entry.bounds = getEntityBounds(entry.entity);
+            known.add(entry.entity);
+        });
+
+        // Append newly added entities
+        current.forEach(entity => {
+            if (!known.has(entity)) {
+                this.entries.push({ entity, bounds: getEntityBounds(entity) });
+            }
+        });
+
+        // Insertion sort on min.x (nearly sorted from the previous step)
+        for (let i = 1; i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            let j = i - 1;
+            while (j >= 0 && this.entries[j].bounds.min.x > entry.bounds.min.x) {
+                this.entries[j + 1] = this.entries[j];
+                j--;
+            }
+            this.entries[j + 1] = entry;
+        }
+    }
+
+    /**
+     * @returns {Array<Array<Cube>>} Overlapping pairs, each reported once
+     */
+    getPairs() {
+        const pairs = [];
+        let active = [];
+
+        for (const entry of this.entries) {
+            // Drop intervals that ended before this one starts
+            active = active.filter(other => other.bounds.max.x >= entry.bounds.min.x);
+
+            for (const other of active) {
+                if (boundsOverlap(entry.bounds, other.bounds)) {
+                    pairs.push([other.entity, entry.entity]);
+                }
+            }
+            active.push(entry);
+        }
+
+        return pairs;
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * Orbit Camera Controller
+ * Moves a camera on a sphere around a target point in response to mouse,
+ * wheel and touch input, replacing slider-only camera control.
+ *
+ * Camera State (spherical coordinates around `target`):
+ * - radius: Distance from the target
+ * - theta: Azimuthal angle in the x-z plane from the x-axis
+ * - phi: Polar angle from the y-axis, clamped away from the poles so the
+ *   fixed [0, 1, 0] up vector never lines up with the view direction
+ *
+ * Input Mapping:
+ * - Left drag / one-finger drag: Orbit (theta, phi)
+ * - Right drag / Shift + left drag / two-finger drag: Pan the target
+ * - Wheel / pinch: Zoom (radius, multiplicative)
+ *
+ * Inertia:
+ * Drag and wheel input set velocities that keep moving the camera after
+ * release and decay exponentially with `damping` (per second).
+ *
+ * Pointer Interceptors:
+ * Other tools on the same canvas (e.g. dragging cubes) can claim a press
+ * before the camera sees it. See addPointerInterceptor.
+ *
+ * Depends on the global glMatrix `mat4` (loaded by index.html).
+ *
+ * @example
+ * const camera = new OrbitCameraController(canvas, { radius: 2 });
+ * camera.bindSliders({ radius: radiusSlider, theta: thetaSlider, phi: phiSlider });
+ * // Per frame:
+ * camera.update(frameTime);
+ * const viewMatrix = camera.getViewMatrix();
+ */
+
+const TWO_PI = Math.PI * 2;
+
+export class OrbitCameraController {
+    /**
+     * @param {HTMLCanvasElement} canvas - Element receiving pointer input
+     * @param {Object} [options]
+     * @param {number} [options.radius=2] - Initial distance from target
+     * @param {number} [options.theta=0] - Initial azimuth (radians)
+     * @param {number} [options.phi=Math.PI/2] - Initial polar angle (radians)
+     * @param {Array<number>} [options.target=[0,0,0]] - Initial look-at point
+     * @param {number} [options.minRadius=0.5]
+     * @param {number} [options.maxRadius=20]
+     * @param {number} [options.minPhi=0.05] - Closest approach to the +y pole
+     * @param {number} [options.maxPhi=Math.PI-0.05] - Closest approach to the -y pole
+     * @param {number} [options.rotateSpeed=0.008] - Radians per dragged pixel
+     * @param {number} [options.zoomSpeed=0.0015] - Log-radius per wheel delta unit
+     * @param {number} [options.damping=6] - Inertia decay rate per second
+     */
+    constructor(canvas, {
+        radius = 2.0,
+        theta = 0.0,
+        phi = Math.PI / 2,
+        target = [0, 0, 0],
+        minRadius = 0.5,
+        maxRadius = 20.0,
+        minPhi = 0.05,
+        maxPhi = Math.PI - 0.05,
+        rotateSpeed = 0.008,
+        zoomSpeed = 0.0015,
+        damping = 6.0
+    } = {}) {
+        this.canvas = canvas;
+        this.radius = radius;
+        this.theta = theta;
+        this.phi = phi;
+        this.target = [...target];
+
+        this.minRadius = minRadius;
+        this.maxRadius = maxRadius;
+        this.minPhi = minPhi;
+        this.maxPhi = maxPhi;
+        this.rotateSpeed = rotateSpeed;
+        this.zoomSpeed = zoomSpeed;
+        this.damping = damping;
+
+        // Inertia velocities (per second)
+        this.velocity = { theta: 0, phi: 0, zoom: 0, panX: 0, panY: 0 };
+
+        // Active pointers by pointerId → { x, y }
+        this.pointers = new Map();
+        this.mode = null;  // "orbit" | "pan" | "pinch" while dragging
+        this.lastMoveTime = 0;
+        this.pinchDistance = 0;
+
+        this.sliders = null;
+        this.pointerInterceptors = [];
+        this.clampState();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.canvas;
+        canvas.style.touchAction = "none";  // Keep touch drags from scrolling the page
+
+        canvas.addEventListener("pointerdown", (e) => this.onPointerDown(e));
+        canvas.addEventListener("pointermove", (e) => this.onPointerMove(e));
+        canvas.addEventListener("pointerup", (e) => this.onPointerUp(e));
+        canvas.addEventListener("pointercancel", (e) => this.onPointerUp(e));
+        canvas.addEventListener("wheel", (e) => this.onWheel(e), { passive: false });
+        canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+    }
+
+    /**
+     * Registers a handler that is offered each pointerdown that would start
+     * a new camera gesture (additional fingers of a pinch are not offered).
+     * If it returns true the press is claimed: the camera ignores that
+     * pointer until it is released.
+     *
+     * @param {function(PointerEvent): boolean} handler
+     */
+    addPointerInterceptor(handler) {
+        this.pointerInterceptors.push(handler);
+    }
+
+    onPointerDown(e) {
+        if (this.pointers.size === 0 && this.pointerInterceptors.some(handler => handler(e))) return;
+
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.stopInertia();
+
+        if (this.pointers.size === 2) {
+            this.mode = "pinch";
+            this.pinchDistance = this.getPinchDistance();
+        } else if (e.button === 2 || e.shiftKey) {
+            this.mode = "pan";
+        } else {
+            this.mode = "orbit";
+        }
+        this.lastMoveTime = performance.now();
+    }
+
+    onPointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        const now = performance.now();
+        const elapsed = Math.max((now - this.lastMoveTime) * 0.001, 1 / 240);
+        this.lastMoveTime = now;
+
+        if (this.mode === "pinch") {
+            const previousCenter = this.getPointerCenter();
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+            const center = this.getPointerCenter();
+
+            // Zoom by the change in finger spread
+            const distance = this.getPinchDistance();
+            if (this.pinchDistance > 0 && distance > 0) {
+                this.zoom(Math.log(this.pinchDistance / distance));
+            }
+            this.pinchDistance = distance;
+
+            // Two-finger drag pans
+            this.pan(center.x - previousCenter.x, center.y - previousCenter.y);
+            return;
+        }
+
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (this.mode === "orbit") {
+            this.orbit(dx * this.rotateSpeed, -dy * this.rotateSpeed);
+            this.velocity.theta = dx * this.rotateSpeed / elapsed;
+            this.velocity.phi = -dy * this.rotateSpeed / elapsed;
+        } else if (this.mode === "pan") {
+            this.pan(dx, dy);
+            this.velocity.panX = dx / elapsed;
+            this.velocity.panY = dy / elapsed;
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+
+        // A pause before release means the user stopped: no inertia
+        if (performance.now() - this.lastMoveTime > 80) this.stopInertia();
+
+        if (this.pointers.size === 1) {
+            // Lifting one finger of a pinch continues as an orbit
+            this.mode = "orbit";
+            this.stopInertia();
+        } else if (this.pointers.size === 0) {
+            this.mode = null;
+        }
+    }
+
+    onWheel(e) {
+        e.preventDefault();
+        // Normalize line/page deltas to roughly pixel units
+        const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+        const amount = e.deltaY * scale * this.zoomSpeed;
+        // Zoom through inertia only: a velocity of amount * damping decays
+        // to a total of `amount`, spread over the next frames
+        this.velocity.zoom += amount * this.damping;
+    }
+
+    /**
+     * Rotates the camera around the target.
+     * @param {number} deltaTheta - Azimuth change (radians)
+     * @param {number} deltaPhi - Polar change (radians)
+     */
+    orbit(deltaTheta, deltaPhi) {
+        this.theta += deltaTheta;
+        this.phi += deltaPhi;
+        this.clampState();
+    }
+
+    /**
+     * Scales the radius by e^amount (positive zooms out).
+     * @param {number} amount - Log-space zoom amount
+     */
+    zoom(amount) {
+        this.radius *= Math.exp(amount);
+        this.clampState();
+    }
+
+    /**
+     * Moves the target in the camera's screen plane.
+     * Pixel deltas are scaled by the radius so the scene follows the cursor
+     * at roughly the same rate at any zoom level.
+     * @param {number} dx - Horizontal screen delta (pixels)
+     * @param {number} dy - Vertical screen delta (pixels)
+     */
+    pan(dx, dy) {
+        const eye = this.getEyePosition();
+        const forward = [
+            this.target[0] - eye[0],
+            this.target[1] - eye[1],
+            this.target[2] - eye[2]
+        ];
+        // right = forward × up, up' = right × forward
+        const right = [-forward[2], 0, forward[0]];
+        const rightLength = Math.hypot(right[0], right[2]) || 1;
+        right[0] /= rightLength;
+        right[2] /= rightLength;
+        const up = [
+            right[1] * forward[2] - right[2] * forward[1],
+            right[2] * forward[0] - right[0] * forward[2],
+            right[0] * forward[1] - right[1] * forward[0]
+        ];
+        const upLength = Math.hypot(...up) || 1;
+
+        const scale = this.radius / (this.canvas.clientHeight || this.canvas.height);
+        for (let i = 0; i < 3; i++) {
+            this.target[i] += (-dx * right[i] + dy * up[i] / upLength) * scale;
+        }
+        this.syncSliders();
+    }
+
+    stopInertia() {
+        this.velocity = { theta: 0, phi: 0, zoom: 0, panX: 0, panY: 0 };
+    }
+
+    /**
+     * Wraps theta into [0, 2π) and clamps phi and radius to their limits.
+     */
+    clampState() {
+        this.theta = ((this.theta % TWO_PI) + TWO_PI) % TWO_PI;
+        this.phi = Math.min(Math.max(this.phi, this.minPhi), this.maxPhi);
+        this.radius = Math.min(Math.max(this.radius, this.minRadius), this.maxRadius);
+        this.syncSliders();
+    }
+
+    /**
+     * Applies inertia. Call once per rendered frame with real elapsed time.
+     * @param {number} dt - Seconds since the previous frame
+     */
+    update(dt) {
+        if (this.mode !== null) return;  // Direct manipulation in progress
+
+        const v = this.velocity;
+        if (v.theta || v.phi) this.orbit(v.theta * dt, v.phi * dt);
+        if (v.zoom) this.zoom(v.zoom * dt);
+        if (v.panX || v.panY) this.pan(v.panX * dt, v.panY * dt);
+
+        const decay = Math.exp(-this.damping * dt);
+        for (const key in v) {
+            v[key] *= decay;
+            if (Math.abs(v[key]) < 1e-4) v[key] = 0;
+        }
+    }
+
+    /**
+     * Spherical to Cartesian conversion around the target:
+     * x = radius * sin(phi) * cos(theta)
+     * y = radius * cos(phi)
+     * z = radius * sin(phi) * sin(theta)
+     *
+     * @returns {Array<number>} Camera position in world space
+     */
+    getEyePosition() {
+        return [
+            this.target[0] + this.radius * Math.sin(this.phi) * Math.cos(this.theta),
+            this.target[1] + this.radius * Math.cos(this.phi),
+            this.target[2] + this.radius * Math.sin(this.phi) * Math.sin(this.theta)
+        ];
+    }
+
+    /**
+     * @returns {mat4} View matrix looking from the eye position at the target
+     */
+    getViewMatrix() {
+        const viewMatrix = mat4.create();
+        mat4.lookAt(viewMatrix, this.getEyePosition(), this.target, [0, 1, 0]);
+        return viewMatrix;
+    }
+
+    /**
+     * Connects range inputs to the camera state in both directions:
+     * moving a slider sets the state, and any camera movement updates the sliders.
+     *
+     * @param {Object} sliders
+     * @param {HTMLInputElement} sliders.radius
+     * @param {HTMLInputElement} sliders.theta
+     * @param {HTMLInputElement} sliders.phi
+     */
+    bindSliders(sliders) {
+        this.sliders = sliders;
+
+        sliders.radius.addEventListener("input", (e) => {
+            this.stopInertia();
+            this.radius = parseFloat(e.target.value);
+            this.clampState();
+        });
+        sliders.theta.addEventListener("input", (e) => {
+            this.stopInertia();
+            this.theta = parseFloat(e.target.value);
+            this.clampState();
+        });
+        sliders.phi.addEventListener("input", (e) => {
+            this.stopInertia();
+            this.phi = parseFloat(e.target.value);
+            this.clampState();
+        });
+
+        this.syncSliders();
+    }
+
+    syncSliders() {
+        if (!this.sliders) return;
+        this.sliders.radius.value = this.radius;
+        this.sliders.theta.value = this.theta;
+        this.sliders.phi.value = this.phi;
+    }
+
+    getPointerCenter() {
+        const points = [...this.pointers.values()];
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+    }
+
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+    }
+}
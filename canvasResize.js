@@ -0,0 +1,91 @@
+/**
+ * Canvas Resize Module
+ * Keeps a canvas drawing buffer matched to its displayed size in device
+ * pixels, so the image stays sharp on HiDPI displays and is never stretched
+ * when the layout changes.
+ *
+ * Size Measurement (most to least exact):
+ * 1. devicePixelContentBoxSize: The exact device-pixel size reported by
+ *    ResizeObserver (Chromium)
+ * 2. contentBoxSize × devicePixelRatio, rounded
+ *
+ * A change of devicePixelRatio alone (browser zoom, moving the window to
+ * another monitor) doesn't always resize the element, so a resolution media
+ * query re-measures the canvas when the ratio changes.
+ *
+ * @example
+ * observeCanvasSize(canvas, (width, height) => {
+ *     gl.viewport(0, 0, width, height);
+ *     projectionManager.updateProjection();
+ * });
+ */
+
+/**
+ * Watches a canvas and resizes its drawing buffer to its displayed size.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {function(number, number): void} onResize - Called with the new
+ *   drawing buffer width and height after they change
+ * @param {Object} [options]
+ * @param {number} [options.maxPixelRatio=Infinity] - Caps the device pixel
+ *   ratio used, to limit fill cost on very dense displays
+ * @returns {function(): void} Stops observing
+ */
+export function observeCanvasSize(canvas, onResize, { maxPixelRatio = Infinity } = {}) {
+    let lastEntry = null;
+
+    // `exact` is false when re-measuring a stored entry whose device pixel
+    // size predates a pixel ratio change
+    const applySize = (entry, exact = true) => {
+        const ratio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+        let width;
+        let height;
+
+        if (exact && entry.devicePixelContentBoxSize && ratio === window.devicePixelRatio) {
+            width = entry.devicePixelContentBoxSize[0].inlineSize;
+            height = entry.devicePixelContentBoxSize[0].blockSize;
+        } else if (entry.contentBoxSize) {
+            width = Math.round(entry.contentBoxSize[0].inlineSize * ratio);
+            height = Math.round(entry.contentBoxSize[0].blockSize * ratio);
+        } else {
+            width = Math.round(entry.contentRect.width * ratio);
+            height = Math.round(entry.contentRect.height * ratio);
+        }
+
+        width = Math.max(1, width);
+        height = Math.max(1, height);
+        if (canvas.width === width && canvas.height === height) return;
+
+        canvas.width = width;
+        canvas.height = height;
+        onResize(width, height);
+    };
+
+    const observer = new ResizeObserver((entries) => {
+        lastEntry = entries[entries.length - 1];
+        applySize(lastEntry);
+    });
+
+    try {
+        observer.observe(canvas, { box: "device-pixel-content-box" });
+    } catch (error) {
+        observer.observe(canvas, { box: "content-box" });  // Box type not supported
+    }
+
+    // Re-measure when the device pixel ratio changes without a layout change
+    let mediaQuery = null;
+    const watchPixelRatio = () => {
+        mediaQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        mediaQuery.addEventListener("change", onPixelRatioChange, { once: true });
+    };
+    const onPixelRatioChange = () => {
+        if (lastEntry) applySize(lastEntry, false);
+        watchPixelRatio();
+    };
+    watchPixelRatio();
+
+    return () => {
+        observer.disconnect();
+        if (mediaQuery) mediaQuery.removeEventListener("change", onPixelRatioChange);
+    };
+}
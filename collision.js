@@ -0,0 +1,199 @@
+/**
+ * Oriented Box Collision Module
+ * Narrow-phase collision detection and response for rotated cubes.
+ *
+ * Each cube is treated as an Oriented Bounding Box (OBB): its center, its
+ * three local axes (from the cube's rotation angle) and its half-extent.
+ * Overlap is found with the Separating Axis Theorem and resolved with a
+ * positional correction plus a momentum-exchanging impulse.
+ *
+ * Like scene.js, this module is free of DOM and WebGL dependencies.
+ *
+ * @example
+ * const contact = testOrientedBoxes(getOrientedBox(a), getOrientedBox(b));
+ * if (contact) resolveContact(a, b, contact, { restitution: 0.8 });
+ */
+
+// Vector helpers on [x, y, z] arrays
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+// Cross-product axes shorter than this come from (nearly) parallel edges
+const PARALLEL_EPSILON = 1e-6;
+
+// Edge-edge axes must beat face axes by this factor to be chosen,
+// which keeps contact normals stable for resting face contacts
+const EDGE_AXIS_BIAS = 1.05;
+
+// Penetration allowed to remain after correction (avoids jitter)
+const PENETRATION_SLOP = 0.001;
+
+// Fraction of the remaining penetration removed per resolution
+const CORRECTION_PERCENT = 0.8;
+
+/**
+ * Computes the world-space local axes of a cube rotated by `angle`.
+ * Matches the render transform: rotateY(angle) followed by rotateX(angle * 0.5),
+ * so the axes are the columns of Ry(angle) * Rx(angle / 2).
+ *
+ * @param {number} angle - Cube rotation angle in radians
+ * @returns {Array<Array<number>>} Unit axes [xAxis, yAxis, zAxis]
+ */
+export function getCubeAxes(angle) {
+    const sinA = Math.sin(angle);
+    const cosA = Math.cos(angle);
+    const sinB = Math.sin(angle * 0.5);
+    const cosB = Math.cos(angle * 0.5);
+
+    return [
+        [cosA, 0, -sinA],
+        [sinB * sinA, cosB, sinB * cosA],
+        [cosB * sinA, -sinB, cosB * cosA]
+    ];
+}
+
+/**
+ * Builds the oriented box for a cube.
+ *
+ * @param {Cube} cube - Cube with position, angle and size
+ * @returns {{center: Array<number>, axes: Array<Array<number>>, halfExtent: number}}
+ */
+export function getOrientedBox(cube) {
+    return {
+        center: [cube.position.x, cube.position.y, cube.position.z],
+        axes: getCubeAxes(cube.angle),
+        halfExtent: cube.size / 2
+    };
+}
+
+/**
+ * Separating Axis Test between two oriented cubes.
+ *
+ * Candidate axes (15 total):
+ * - 3 face normals of A
+ * - 3 face normals of B
+ * - 9 cross products of A's and B's edges (skipped when edges are parallel)
+ *
+ * For each axis L the boxes overlap by:
+ *   rA + rB - |T · L|
+ * where T is the vector between centers and rA, rB are the projected radii.
+ * A non-positive overlap on any axis proves the boxes are separated.
+ *
+ * @param {Object} a - Oriented box (see getOrientedBox)
+ * @param {Object} b - Oriented box
+ * @returns {{normal: Array<number>, depth: number}|null} Contact with unit
+ *   normal pointing from A to B and penetration depth, or null if separated
+ */
+export function testOrientedBoxes(a, b) {
+    const offset = [
+        b.center[0] - a.center[0],
+        b.center[1] - a.center[1],
+        b.center[2] - a.center[2]
+    ];
+
+    const axes = [...a.axes, ...b.axes];
+    const faceAxisCount = axes.length;
+    for (const axisA of a.axes) {
+        for (const axisB of b.axes) {
+            axes.push(cross(axisA, axisB));
+        }
+    }
+
+    let bestDepth = Infinity;
+    let bestScore = Infinity;
+    let bestAxis = null;
+
+    for (let i = 0; i < axes.length; i++) {
+        let axis = axes[i];
+        const length = Math.sqrt(dot(axis, axis));
+        if (length < PARALLEL_EPSILON) continue;
+        axis = [axis[0] / length, axis[1] / length, axis[2] / length];
+
+        const radiusA = a.halfExtent * a.axes.reduce((sum, u) => sum + Math.abs(dot(u, axis)), 0);
+        const radiusB = b.halfExtent * b.axes.reduce((sum, u) => sum + Math.abs(dot(u, axis)), 0);
+        const distance = dot(offset, axis);
+        const overlap = radiusA + radiusB - Math.abs(distance);
+
+        if (overlap <= 0) return null;  // Found a separating axis
+
+        const score = i < faceAxisCount ? overlap : overlap * EDGE_AXIS_BIAS;
+        if (score < bestScore) {
+            bestScore = score;
+            bestDepth = overlap;
+            // Orient the normal from A towards B
+            bestAxis = distance < 0 ? [-axis[0], -axis[1], -axis[2]] : axis;
+        }
+    }
+
+    return { normal: bestAxis, depth: bestDepth };
+}
+
+/**
+ * Inverse mass of a cube, treating every cube as unit density so mass
+ * scales with volume (size³). Held cubes have infinite mass (inverse 0),
+ * so other cubes bounce off them without moving them.
+ *
+ * @param {Cube} cube
+ * @returns {number} 1 / mass
+ */
+export function getInverseMass(cube) {
+    if (cube.held) return 0;
+    return 1 / (cube.size * cube.size * cube.size);
+}
+
+/**
+ * Resolves a contact between two cubes.
+ *
+ * Response Steps:
+ * 1. Positional correction: pushes the cubes apart along the contact normal,
+ *    split by inverse mass so lighter cubes move further
+ * 2. Impulse: if the cubes are approaching, exchanges momentum along the
+ *    normal using the restitution coefficient
+ *    j = -(1 + e) * (vB - vA) · n / (1/mA + 1/mB)
+ *
+ * Restitution Coefficient (e):
+ * - 0.0: Perfectly inelastic (cubes stop relative to each other)
+ * - 1.0: Perfectly elastic (no energy lost)
+ *
+ * @param {Cube} a - First cube (normal points away from it)
+ * @param {Cube} b - Second cube
+ * @param {{normal: Array<number>, depth: number}} contact - From testOrientedBoxes
+ * @param {Object} [options]
+ * @param {number} [options.restitution=0.8] - Bounciness in [0, 1]
+ */
+export function resolveContact(a, b, contact, { restitution = 0.8 } = {}) {
+    const inverseMassA = getInverseMass(a);
+    const inverseMassB = getInverseMass(b);
+    const inverseMassSum = inverseMassA + inverseMassB;
+    if (inverseMassSum === 0) return;
+
+    const [nx, ny, nz] = contact.normal;
+
+    // Separate the boxes so they no longer interpenetrate
+    const correction = Math.max(contact.depth - PENETRATION_SLOP, 0) / inverseMassSum * CORRECTION_PERCENT;
+    a.position.x -= nx * correction * inverseMassA;
+    a.position.y -= ny * correction * inverseMassA;
+    a.position.z -= nz * correction * inverseMassA;
+    b.position.x += nx * correction * inverseMassB;
+    b.position.y += ny * correction * inverseMassB;
+    b.position.z += nz * correction * inverseMassB;
+
+    // Relative velocity along the normal (negative when approaching)
+    const approachSpeed =
+        (b.velocity.x - a.velocity.x) * nx +
+        (b.velocity.y - a.velocity.y) * ny +
+        (b.velocity.z - a.velocity.z) * nz;
+    if (approachSpeed > 0) return;  // Already separating
+
+    const impulse = -(1 + restitution) * approachSpeed / inverseMassSum;
+    a.velocity.x -= nx * impulse * inverseMassA;
+    a.velocity.y -= ny * impulse * inverseMassA;
+    a.velocity.z -= nz * impulse * inverseMassA;
+    b.velocity.x += nx * impulse * inverseMassB;
+    b.velocity.y += ny * impulse * inverseMassB;
+    b.velocity.z += nz * impulse * inverseMassB;
+}
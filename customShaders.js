@@ -0,0 +1,127 @@
+/**
+ * Custom Shading Modes
+ * Example of adding shading modes from outside the core code. Each mode is
+ * registered on the global ShaderManager (created by portfolioMilestone.js,
+ * which index.html loads first) and shows up in the shader dropdown and the
+ * shader editor.
+ *
+ * A mode declares which cube vertex streams feed its attributes
+ * ("position", "normal", "uv") and where its uniforms come from (a renderer
+ * input such as "modelViewMatrix" or "time", a function of those inputs, or
+ * a constant); the renderer binds them for every cube.
+ *
+ * Post-processing passes are added the same way, on the global
+ * PostProcessor, and show up as checkboxes in the controls.
+ */
+
+const shaderManager = window.shaderManager;
+const postProcessor = window.postProcessor;
+
+/**
+ * Normal Colors
+ * Shows each face's object-space normal as an RGB color, a quick check
+ * that normals and face winding are correct.
+ */
+shaderManager.registerShader("normals", {
+    label: "Normal Colors",
+    vertex: `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    varying vec3 vNormal;
+
+    void main() {
+        vNormal = aNormal;
+        gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
+    }
+`,
+    fragment: `
+    precision mediump float;
+
+    varying vec3 vNormal;
+
+    void main() {
+        gl_FragColor = vec4(normalize(vNormal) * 0.5 + 0.5, 1.0);
+    }
+`,
+    attributes: { aPosition: "position", aNormal: "normal" },
+    uniforms: {
+        uModelViewMatrix: "modelViewMatrix",
+        uProjectionMatrix: "projectionMatrix"
+    }
+});
+
+/**
+ * Scrolling Stripes
+ * Diagonal stripes in the cube's color that scroll across each face over
+ * time, using the texture coordinates and a constant stripe count.
+ */
+shaderManager.registerShader("stripes", {
+    label: "Scrolling Stripes",
+    vertex: `
+    attribute vec3 aPosition;
+    attribute vec2 aTexCoord;
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    varying vec2 vTexCoord;
+
+    void main() {
+        vTexCoord = aTexCoord;
+        gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
+    }
+`,
+    fragment: `
+    precision mediump float;
+
+    uniform vec4 uColor;
+    uniform float uTime;
+    uniform float uStripeCount;
+
+    varying vec2 vTexCoord;
+
+    void main() {
+        float stripe = step(0.5, fract((vTexCoord.x + vTexCoord.y) * uStripeCount - uTime));
+        gl_FragColor = vec4(uColor.rgb * mix(0.55, 1.0, stripe), uColor.a);
+    }
+`,
+    attributes: { aPosition: "position", aTexCoord: "uv" },
+    uniforms: {
+        uModelViewMatrix: "modelViewMatrix",
+        uProjectionMatrix: "projectionMatrix",
+        uColor: "color",
+        uTime: ({ time }) => time * 0.5,
+        uStripeCount: 4.0
+    }
+});
+
+/**
+ * Scanlines
+ * Darkens every other pair of pixel rows, with a slow flicker, like an old
+ * monitor. Added after FXAA, which would otherwise blur the lines.
+ */
+postProcessor.addPass("scanlines", {
+    label: "Scanlines",
+    fragment: `
+    precision mediump float;
+
+    uniform sampler2D uInput;
+    uniform vec2 uResolution;
+    uniform float uTime;
+    uniform float uDarkening;
+
+    varying vec2 vTexCoord;
+
+    void main() {
+        vec4 color = texture2D(uInput, vTexCoord);
+        float line = step(0.5, fract(vTexCoord.y * uResolution.y * 0.25));
+        float flicker = 1.0 - 0.03 * sin(uTime * 20.0);
+        gl_FragColor = vec4(color.rgb * (1.0 - uDarkening * line) * flicker, color.a);
+    }
+`,
+    uniforms: { uDarkening: 0.25 }
+});
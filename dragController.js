@@ -0,0 +1,379 @@
+/**
+ * Cube Drag Controller
+ * Lets the user grab a cube with the pointer and move it through the scene,
+ * to set up collisions and splits by hand.
+ *
+ * Drag Modes:
+ * - Default: The cube moves on a plane through its center facing the camera
+ * - Shift held: The cube moves along the single world axis (x, y or z)
+ *   whose on-screen direction best matches the pointer motion. The axis is
+ *   chosen once the pointer has moved a few pixels and kept until Shift is
+ *   released.
+ *
+ * While dragged, a cube is marked `held` (not integrated, infinite mass for
+ * collisions) and its velocity follows the pointer so cubes it hits are
+ * pushed away realistically. Positions are clamped to the world bounds.
+ *
+ * Release:
+ * - throwEnabled: The cube keeps the pointer's velocity over the last
+ *   VELOCITY_WINDOW seconds (zero if the pointer had stopped)
+ * - Otherwise: The cube resumes the velocity it had when grabbed
+ *
+ * Events (the controller is an EventTarget):
+ * - "dragstart": detail = { cube }
+ * - "dragend":   detail = { cube, thrown }
+ *
+ * Depends on the global glMatrix `vec4` (loaded by index.html).
+ *
+ * @example
+ * const drag = new CubeDragController(canvas, { scene, bounds, resolvePointer });
+ * cameraController.addPointerInterceptor((e) => drag.tryGrab(e));
+ * drag.addEventListener("dragstart", (e) => select(e.detail.cube));
+ */
+
+import { createPickRay, pickCube } from "./picking.js";
+
+const AXES = ["x", "y", "z"];
+
+// Pixels the pointer must move with Shift held before an axis is chosen
+const AXIS_LOCK_DISTANCE = 6;
+
+// Seconds of pointer history used to estimate the release velocity
+const VELOCITY_WINDOW = 0.1;
+
+// A pause longer than this (seconds) before release means "drop", not "throw"
+const RELEASE_PAUSE = 0.08;
+
+// Vector helpers on [x, y, z] arrays
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const toArray = (p) => [p.x, p.y, p.z];
+
+export class CubeDragController extends EventTarget {
+    /**
+     * @param {HTMLCanvasElement} canvas - Element receiving pointer input
+     * @param {Object} options
+     * @param {Scene} options.scene - Cubes that can be grabbed
+     * @param {WorldBounds} options.bounds - Box the dragged cube is kept inside
+     * @param {function(number, number, Object=): Object|null} options.resolvePointer -
+     *   Maps client coordinates to { ndc: {x, y}, viewMatrix, projectionMatrix }
+     *   for the view under the pointer, or null if there is none. During a
+     *   drag the view from the grab is passed back as the third argument so
+     *   the drag stays in the view it started in. Views covering part of the
+     *   canvas also carry `viewport.rect` ([left, top, width, height] as
+     *   canvas fractions), which scales their ndc to pixels.
+     * @param {boolean} [options.throwEnabled=false] - Keep release velocity
+     * @param {number} [options.maxThrowSpeed=3] - Release speed limit (units/s)
+     */
+    constructor(canvas, { scene, bounds, resolvePointer, throwEnabled = false, maxThrowSpeed = 3.0 }) {
+        super();
+        this.canvas = canvas;
+        this.scene = scene;
+        this.bounds = bounds;
+        this.resolvePointer = resolvePointer;
+        this.throwEnabled = throwEnabled;
+        this.maxThrowSpeed = maxThrowSpeed;
+        this.drag = null;  // Active drag state, see tryGrab
+
+        canvas.addEventListener("pointermove", (e) => this.onPointerMove(e));
+        canvas.addEventListener("pointerup", (e) => this.onPointerUp(e));
+        canvas.addEventListener("pointercancel", (e) => this.onPointerUp(e));
+    }
+
+    /** @returns {boolean} True while a cube is being dragged */
+    get active() {
+        return this.drag !== null;
+    }
+
+    /**
+     * Starts a drag if a primary-button press lands on a cube.
+     * Intended as a camera pointer interceptor.
+     *
+     * @param {PointerEvent} e
+     * @returns {boolean} True if the press was claimed
+     */
+    tryGrab(e) {
+        if (this.drag || e.button !== 0) return false;
+
+        const ray = this.getRay(e.clientX, e.clientY);
+        const hit = ray && pickCube(ray.ray, this.scene);
+        if (!hit) return false;
+
+        const cube = hit.cube;
+        const viewMatrix = ray.view.viewMatrix;
+        this.drag = {
+            pointerId: e.pointerId,
+            cube,
+            view: ray.view,
+            savedVelocity: { ...cube.velocity },
+            // Camera forward vector (negated third row of the view matrix)
+            planeNormal: [-viewMatrix[2], -viewMatrix[6], -viewMatrix[10]],
+            planePoint: null,
+            offset: null,
+            axis: null,         // Locked axis while Shift is held
+            axisStart: null,    // NDC position where Shift mode began
+            moved: false,
+            samples: []
+        };
+        this.anchorPlane(ray.ray);
+        this.recordSample();
+
+        cube.held = true;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.dispatchEvent(new CustomEvent("dragstart", { detail: { cube } }));
+        return true;
+    }
+
+    onPointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        // The cube may have split (and left the scene) while held
+        if (!this.scene.has(drag.cube)) {
+            this.endDrag();
+            return;
+        }
+
+        const ray = this.getRay(e.clientX, e.clientY, drag.view);
+        if (!ray) return;
+
+        let target = null;
+        if (e.shiftKey) {
+            target = this.dragAlongAxis(ray);
+        } else {
+            if (drag.axis || drag.axisStart) {
+                // Leaving axis mode: continue on a plane through the current position
+                drag.axis = null;
+                drag.axisStart = null;
+                this.anchorPlane(ray.ray);
+            }
+            target = this.dragOnPlane(ray.ray);
+        }
+        if (!target) return;
+
+        const cube = drag.cube;
+        this.bounds.clamp(target, cube.size / 2);
+        cube.position.x = target.x;
+        cube.position.y = target.y;
+        cube.position.z = target.z;
+        cube.snapshot();  // Show the new position immediately, even when paused
+
+        drag.moved = true;
+        this.recordSample();
+        cube.velocity = this.getPointerVelocity();
+    }
+
+    onPointerUp(e) {
+        if (this.drag && e.pointerId === this.drag.pointerId) this.endDrag();
+    }
+
+    /**
+     * Releases the held cube and applies the release velocity.
+     */
+    endDrag() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        const cube = drag.cube;
+        const thrown = this.throwEnabled && drag.moved;
+        cube.held = false;
+        cube.velocity = thrown ? this.getReleaseVelocity(drag) : drag.savedVelocity;
+
+        this.dispatchEvent(new CustomEvent("dragend", { detail: { cube, thrown } }));
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {Object} [previousView] - View to keep resolving against
+     * @returns {{ray: Object, view: Object, ndc: Object}|null} Pick ray and
+     *   the view it was built from
+     */
+    getRay(clientX, clientY, previousView) {
+        const view = this.resolvePointer(clientX, clientY, previousView);
+        if (!view) return null;
+        const ray = createPickRay(view.ndc.x, view.ndc.y, view.viewMatrix, view.projectionMatrix);
+        return ray ? { ray, view, ndc: view.ndc } : null;
+    }
+
+    /**
+     * Places the drag plane through the cube's center and remembers the
+     * offset between the pointer's hit point and the center, so the cube
+     * does not jump to the pointer.
+     * @param {Object} ray
+     */
+    anchorPlane(ray) {
+        const drag = this.drag;
+        drag.planePoint = toArray(drag.cube.position);
+        const hit = this.intersectPlane(ray) || drag.planePoint;
+        drag.offset = drag.planePoint.map((c, i) => c - hit[i]);
+    }
+
+    /**
+     * @param {Object} ray
+     * @returns {Array<number>|null} Ray / drag plane intersection
+     */
+    intersectPlane(ray) {
+        const { planeNormal, planePoint } = this.drag;
+        const denominator = dot(ray.direction, planeNormal);
+        if (Math.abs(denominator) < 1e-6) return null;  // Ray parallel to the plane
+
+        const t = (dot(planePoint, planeNormal) - dot(ray.origin, planeNormal)) / denominator;
+        return ray.origin.map((c, i) => c + ray.direction[i] * t);
+    }
+
+    /**
+     * @param {Object} ray
+     * @returns {{x: number, y: number, z: number}|null} New cube center
+     */
+    dragOnPlane(ray) {
+        const hit = this.intersectPlane(ray);
+        if (!hit) return null;
+        const offset = this.drag.offset;
+        return { x: hit[0] + offset[0], y: hit[1] + offset[1], z: hit[2] + offset[2] };
+    }
+
+    /**
+     * Single-axis drag. Waits for AXIS_LOCK_DISTANCE pixels of motion, picks
+     * the world axis whose projection on screen is most aligned with that
+     * motion, then follows the point on the axis line closest to the ray.
+     *
+     * @param {{ray: Object, view: Object, ndc: Object}} pick
+     * @returns {{x: number, y: number, z: number}|null} New cube center
+     */
+    dragAlongAxis(pick) {
+        const drag = this.drag;
+        if (!drag.axisStart) {
+            drag.axisStart = { ...pick.ndc };
+            return null;
+        }
+
+        if (!drag.axis) {
+            // ndc spans the drag's viewport, not necessarily the whole canvas
+            const rect = this.canvas.getBoundingClientRect();
+            const viewport = pick.view.viewport;
+            const [, , width, height] = viewport ? viewport.rect : [0, 0, 1, 1];
+            const dx = (pick.ndc.x - drag.axisStart.x) * rect.width * width / 2;
+            const dy = (pick.ndc.y - drag.axisStart.y) * rect.height * height / 2;
+            if (Math.hypot(dx, dy) < AXIS_LOCK_DISTANCE) return null;
+
+            const origin = toArray(drag.cube.position);
+            const axis = this.chooseAxis(origin, [dx, dy], pick.view);
+            if (!axis) return null;
+
+            const direction = AXES.map(name => (name === axis ? 1 : 0));
+            const start = this.closestOnLine(origin, direction, pick.ray);
+            if (start === null) return null;
+            drag.axis = { name: axis, origin, direction, start };
+        }
+
+        const { origin, direction, start } = drag.axis;
+        const s = this.closestOnLine(origin, direction, pick.ray);
+        if (s === null) return null;
+        return {
+            x: origin[0] + direction[0] * (s - start),
+            y: origin[1] + direction[1] * (s - start),
+            z: origin[2] + direction[2] * (s - start)
+        };
+    }
+
+    /**
+     * @param {Array<number>} origin - World point the axes start from
+     * @param {Array<number>} motion - Pointer motion in pixels (+y up)
+     * @param {Object} view - { viewMatrix, projectionMatrix }
+     * @returns {string|null} "x", "y" or "z"
+     */
+    chooseAxis(origin, motion, view) {
+        const toScreen = (point) => {
+            const p = vec4.fromValues(point[0], point[1], point[2], 1.0);
+            vec4.transformMat4(p, p, view.viewMatrix);
+            vec4.transformMat4(p, p, view.projectionMatrix);
+            return [p[0] / p[3], p[1] / p[3]];
+        };
+
+        const base = toScreen(origin);
+        const motionLength = Math.hypot(motion[0], motion[1]);
+        let best = null;
+        let bestScore = -1;
+
+        AXES.forEach((name, i) => {
+            const tip = [...origin];
+            tip[i] += 1;
+            const screen = toScreen(tip);
+            const sx = screen[0] - base[0];
+            const sy = screen[1] - base[1];
+            const length = Math.hypot(sx, sy);
+            if (length < 1e-4) return;  // Axis points straight at the camera
+
+            const score = Math.abs(sx * motion[0] + sy * motion[1]) / (length * motionLength);
+            if (score > bestScore) {
+                bestScore = score;
+                best = name;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Parameter s of the point origin + s * direction closest to a ray.
+     *
+     * @param {Array<number>} origin - Point on the line
+     * @param {Array<number>} direction - Unit line direction
+     * @param {Object} ray
+     * @returns {number|null} Line parameter, or null if line and ray are parallel
+     */
+    closestOnLine(origin, direction, ray) {
+        const w = origin.map((c, i) => c - ray.origin[i]);
+        const b = dot(direction, ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null;
+        return (b * dot(ray.direction, w) - dot(direction, w)) / denominator;
+    }
+
+    recordSample() {
+        const drag = this.drag;
+        const time = performance.now() * 0.001;
+        drag.samples.push({ time, position: { ...drag.cube.position } });
+        while (drag.samples.length > 2 && time - drag.samples[0].time > VELOCITY_WINDOW) {
+            drag.samples.shift();
+        }
+    }
+
+    /**
+     * @returns {{x: number, y: number, z: number}} Average velocity over the
+     *   recorded samples, limited to maxThrowSpeed
+     */
+    getPointerVelocity() {
+        const samples = this.drag.samples;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.time - first.time;
+        if (elapsed <= 0) return { x: 0, y: 0, z: 0 };
+
+        const velocity = {
+            x: (last.position.x - first.position.x) / elapsed,
+            y: (last.position.y - first.position.y) / elapsed,
+            z: (last.position.z - first.position.z) / elapsed
+        };
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        if (speed > this.maxThrowSpeed) {
+            const scale = this.maxThrowSpeed / speed;
+            velocity.x *= scale;
+            velocity.y *= scale;
+            velocity.z *= scale;
+        }
+        return velocity;
+    }
+
+    /**
+     * @param {Object} drag - The drag being released
+     * @returns {{x: number, y: number, z: number}} Throw velocity
+     */
+    getReleaseVelocity(drag) {
+        const last = drag.samples[drag.samples.length - 1];
+        if (performance.now() * 0.001 - last.time > RELEASE_PAUSE) {
+            return { x: 0, y: 0, z: 0 };  // Pointer stopped before release
+        }
+        return drag.cube.velocity;  // Kept up to date while dragging
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * GLSL Version Module
+ * Lets the same shader source run on WebGL1 (GLSL ES 1.00) and WebGL2
+ * (GLSL ES 3.00) contexts.
+ *
+ * Shaders in this project are written in GLSL ES 1.00. On a WebGL2 context
+ * they are translated to 3.00 before compiling:
+ * - `#version 300 es` is put in front
+ * - Vertex shaders: attribute -> in, varying -> out
+ * - Fragment shaders: varying -> in, texture2D/textureCube -> texture,
+ *   gl_FragColor -> a declared `fragColor` output
+ * - #extension lines for features that are core in 3.00 are commented out
+ * The translation never adds or removes lines within the source, so only
+ * the lines put in front have to be accounted for when mapping compiler
+ * messages back to the source (see mapLine).
+ *
+ * Sources that start with their own #version line are compiled unchanged,
+ * apart from the optional header, which goes right after that line.
+ *
+ * @example
+ * const { text, mapLine } = prepareShaderSource(source, "fragment", {
+ *     webgl2: true,
+ *     header: "#define INSTANCED\n"
+ * });
+ * gl.shaderSource(shader, text);
+ * // Compiler line 14 of `text` is mapLine(14) of `source`
+ */
+
+// Extensions whose functionality is built into GLSL ES 3.00
+const CORE_EXTENSIONS = ["GL_OES_standard_derivatives", "GL_EXT_frag_depth", "GL_EXT_shader_texture_lod"];
+
+/**
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @returns {boolean} Whether the context is WebGL2
+ */
+export function isWebGL2(gl) {
+    return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+}
+
+/**
+ * Rewrites GLSL ES 1.00 source as 3.00, keeping every line where it was.
+ *
+ * @param {string} source - GLSL ES 1.00 source
+ * @param {string} stage - "vertex" or "fragment"
+ * @returns {string} GLSL ES 3.00 source (without the #version line)
+ */
+export function translateToGLSL300(source, stage) {
+    let text = source.replace(
+        new RegExp(`^(\\s*)(#extension\\s+(?:${CORE_EXTENSIONS.join("|")})\\b)`, "gm"),
+        "$1// $2"
+    );
+
+    if (stage === "vertex") {
+        return text
+            .replace(/\battribute\b/g, "in")
+            .replace(/\bvarying\b/g, "out");
+    }
+
+    text = text
+        .replace(/\bvarying\b/g, "in")
+        .replace(/\btexture2D\b/g, "texture")
+        .replace(/\btextureCube\b/g, "texture");
+
+    if (/\bgl_FragColor\b/.test(text)) {
+        // Declared on the line of main() so no line moves
+        text = text
+            .replace(/\bgl_FragColor\b/g, "fragColor")
+            .replace(/^(\s*)(void\s+main\s*\()/m, "$1out highp vec4 fragColor; $2");
+    }
+    return text;
+}
+
+/**
+ * Builds the text handed to gl.shaderSource.
+ *
+ * @param {string} source - Shader source as written
+ * @param {string} stage - "vertex" or "fragment"
+ * @param {Object} [options]
+ * @param {boolean} [options.webgl2=false] - Compile for a WebGL2 context
+ * @param {string} [options.header=""] - Lines to put in front, such as
+ *   #define lines; must end with a newline
+ * @returns {{text: string, mapLine: function(number): (number|null)}}
+ *   Text to compile, and a function mapping a line of it back to the line
+ *   of `source` (null for lines that were put in front)
+ */
+export function prepareShaderSource(source, stage, { webgl2 = false, header = "" } = {}) {
+    const versionMatch = source.match(/^\s*#version[^\n]*\n/);
+    let prefix;
+    let body;
+    let keptLines;  // Leading source lines that stay in place
+
+    if (versionMatch) {
+        prefix = versionMatch[0] + header;
+        body = source.slice(versionMatch[0].length);
+        keptLines = countLines(versionMatch[0]);
+    } else if (webgl2) {
+        prefix = "#version 300 es\n" + header;
+        body = translateToGLSL300(source, stage);
+        keptLines = 0;
+    } else {
+        prefix = header;
+        body = source;
+        keptLines = 0;
+    }
+
+    const addedLines = countLines(prefix) - keptLines;
+    return {
+        text: prefix + body,
+        mapLine: (line) => {
+            if (line <= keptLines) return line;
+            if (line <= keptLines + addedLines) return null;
+            return line - addedLines;
+        }
+    };
+}
+
+/**
+ * @param {string} text
+ * @returns {number} Number of newline-terminated lines in the text
+ */
+function countLines(text) {
+    return (text.match(/\n/g) || []).length;
+}
@@ -0,0 +1,178 @@
+/**
+ * Instanced Rendering Module
+ * Draws every cube with one draw call per pass by storing each cube's model
+ * matrix and color in a per-instance vertex buffer.
+ *
+ * API Selection:
+ * - WebGL2 contexts: gl.drawElementsInstanced / gl.vertexAttribDivisor
+ * - WebGL1 contexts: the ANGLE_instanced_arrays extension
+ * - Neither: `supported` is false and callers draw cubes one at a time
+ *
+ * Instance Layout (INSTANCE_FLOATS floats, tightly packed):
+ *   [0..15]  model matrix, column-major  -> attribute mat4 aModelMatrix
+ *   [16..19] RGBA color                  -> attribute vec4 aInstanceColor
+ * A mat4 attribute takes four consecutive locations, one column each.
+ *
+ * The buffer is filled once per frame (begin, push for every cube, upload)
+ * and can then be drawn any number of times, e.g. once per viewport. A
+ * draw can cover a range of the instances, e.g. only the opaque cubes
+ * when the translucent ones are pushed after them.
+ *
+ * @example
+ * instancer.begin(scene.count);
+ * scene.forEach(cube => instancer.push(getModelMatrix(cube), cube.color.current));
+ * instancer.upload();
+ * // bind the mesh's vertex array and set uniforms, then:
+ * instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length);
+ */
+
+import { isWebGL2 } from "./glsl.js";
+
+export const INSTANCE_FLOATS = 20;
+const INSTANCE_BYTES = INSTANCE_FLOATS * 4;
+const COLOR_OFFSET = 16 * 4;
+
+export class InstancedCubeRenderer {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.api = null;
+
+        if (isWebGL2(gl)) {
+            this.api = {
+                drawElementsInstanced: (...args) => gl.drawElementsInstanced(...args),
+                vertexAttribDivisor: (...args) => gl.vertexAttribDivisor(...args)
+            };
+        } else {
+            const ext = gl.getExtension("ANGLE_instanced_arrays");
+            if (ext) {
+                this.api = {
+                    drawElementsInstanced: (...args) => ext.drawElementsInstancedANGLE(...args),
+                    vertexAttribDivisor: (...args) => ext.vertexAttribDivisorANGLE(...args)
+                };
+            }
+        }
+
+        this.buffer = this.supported ? gl.createBuffer() : null;
+        this.data = new Float32Array(0);
+        this.capacity = 0;       // Instances the GPU buffer can hold
+        this.count = 0;          // Instances written since begin()
+        this.uploadedCount = 0;  // Instances in the GPU buffer
+    }
+
+    /** @returns {boolean} Whether instanced drawing is available */
+    get supported() {
+        return this.api !== null;
+    }
+
+    /**
+     * Starts a new set of instances.
+     *
+     * @param {number} expectedCount - Instances about to be pushed (grows
+     *   the staging array up front; push() still grows it if exceeded)
+     */
+    begin(expectedCount = 0) {
+        this.count = 0;
+        this.reserve(expectedCount);
+    }
+
+    /**
+     * Grows the staging array to hold at least `count` instances,
+     * doubling so a slowly growing scene doesn't reallocate every frame.
+     *
+     * @param {number} count
+     */
+    reserve(count) {
+        if (count * INSTANCE_FLOATS <= this.data.length) return;
+
+        let instances = Math.max(64, this.data.length / INSTANCE_FLOATS);
+        while (instances < count) instances *= 2;
+        const data = new Float32Array(instances * INSTANCE_FLOATS);
+        data.set(this.data.subarray(0, this.count * INSTANCE_FLOATS));
+        this.data = data;
+    }
+
+    /**
+     * Appends one instance.
+     *
+     * @param {mat4} modelMatrix - Model (object to world) matrix
+     * @param {Array<number>} color - RGBA color
+     */
+    push(modelMatrix, color) {
+        this.reserve(this.count + 1);
+        const offset = this.count * INSTANCE_FLOATS;
+        this.data.set(modelMatrix, offset);
+        this.data[offset + 16] = color[0];
+        this.data[offset + 17] = color[1];
+        this.data[offset + 18] = color[2];
+        this.data[offset + 19] = color.length > 3 ? color[3] : 1.0;
+        this.count++;
+    }
+
+    /**
+     * Copies the pushed instances to the GPU buffer, reallocating it only
+     * when it is too small.
+     */
+    upload() {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+
+        if (this.count > this.capacity) {
+            this.capacity = this.data.length / INSTANCE_FLOATS;
+            gl.bufferData(gl.ARRAY_BUFFER, this.data.byteLength, gl.DYNAMIC_DRAW);
+        }
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.data.subarray(0, this.count * INSTANCE_FLOATS));
+        this.uploadedCount = this.count;
+    }
+
+    /**
+     * Draws the uploaded instances with indexed geometry.
+     * The program must be in use, with its uniforms set and the mesh's
+     * vertex array bound. Per-instance attributes are enabled for the draw
+     * and reset afterwards, so the vertex array and later non-instanced
+     * draws are unaffected.
+     *
+     * @param {ShaderProgram} programInfo - Program built with INSTANCED
+     * @param {number} mode - Primitive type (gl.TRIANGLES, gl.LINES, ...)
+     * @param {number} indexCount - Indices per instance
+     * @param {number} [first=0] - First instance to draw
+     * @param {number} [count] - Instances to draw (defaults to the rest)
+     */
+    draw(programInfo, mode, indexCount, first = 0, count = this.uploadedCount - first) {
+        if (count <= 0) return;
+        const gl = this.gl;
+        const locations = [];
+        const offset = first * INSTANCE_BYTES;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+
+        const matrixLocation = programInfo.getAttribLocation("aModelMatrix");
+        if (matrixLocation !== -1) {
+            for (let column = 0; column < 4; column++) {
+                const location = matrixLocation + column;
+                gl.vertexAttribPointer(location, 4, gl.FLOAT, false, INSTANCE_BYTES, offset + column * 16);
+                locations.push(location);
+            }
+        }
+
+        const colorLocation = programInfo.getAttribLocation("aInstanceColor");
+        if (colorLocation !== -1) {
+            gl.vertexAttribPointer(colorLocation, 4, gl.FLOAT, false, INSTANCE_BYTES, offset + COLOR_OFFSET);
+            locations.push(colorLocation);
+        }
+
+        locations.forEach(location => {
+            gl.enableVertexAttribArray(location);
+            this.api.vertexAttribDivisor(location, 1);
+        });
+
+        this.api.drawElementsInstanced(mode, indexCount, gl.UNSIGNED_SHORT, 0, count);
+
+        locations.forEach(location => {
+            this.api.vertexAttribDivisor(location, 0);
+            gl.disableVertexAttribArray(location);
+        });
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Light Editor Module
+ * Controls for adding, removing, moving and recoloring the scene lights of
+ * a LightManager.
+ *
+ * Each light gets a panel with its type, color, intensity, falloff, x/y/z
+ * position sliders and a shadow toggle; changes apply immediately. The add
+ * button is disabled while MAX_LIGHTS lights exist.
+ *
+ * @example
+ * new LightEditor(lightManager, {
+ *     list: document.getElementById("lightList"),
+ *     addButton: document.getElementById("addLightButton"),
+ *     ambient: document.getElementById("ambientLightInput")
+ * });
+ */
+
+import { LIGHT_TYPES } from "./lighting.js";
+
+// Slider range for light positions (world units)
+const POSITION_RANGE = 5.0;
+
+// Light added by the add button, placed above the scene
+const NEW_LIGHT = {
+    type: "point",
+    position: [0.0, 2.0, 0.0],
+    color: [1.0, 1.0, 1.0],
+    intensity: 1.0,
+    attenuation: 0.1,
+    castShadows: false
+};
+
+export class LightEditor {
+    /**
+     * @param {LightManager} lightManager - Lights being edited
+     * @param {Object} elements
+     * @param {HTMLElement} elements.list - Container for the light panels (filled in here)
+     * @param {HTMLButtonElement} elements.addButton
+     * @param {HTMLInputElement} elements.ambient - Color input for the ambient light
+     */
+    constructor(lightManager, elements) {
+        this.lightManager = lightManager;
+        this.elements = elements;
+
+        elements.addButton.addEventListener("click", () => {
+            lightManager.addLight(NEW_LIGHT);
+        });
+        elements.ambient.value = rgbToHex(lightManager.ambient);
+        elements.ambient.addEventListener("input", (e) => {
+            lightManager.setAmbient(hexToRgb(e.target.value));
+        });
+
+        lightManager.addEventListener("add", () => this.populate());
+        lightManager.addEventListener("remove", () => this.populate());
+        this.populate();
+    }
+
+    /**
+     * Rebuilds the panel of every light.
+     */
+    populate() {
+        const { list, addButton } = this.elements;
+        list.innerHTML = "";
+        this.lightManager.lights.forEach((light, i) => {
+            list.appendChild(this.createLightPanel(light, i + 1));
+        });
+        addButton.disabled = !this.lightManager.canAddLight;
+    }
+
+    /**
+     * @param {Object} light - Light from the LightManager
+     * @param {number} number - Position in the list, shown in the title
+     * @returns {HTMLFieldSetElement}
+     */
+    createLightPanel(light, number) {
+        const update = (changes) => this.lightManager.updateLight(light, changes);
+
+        const panel = document.createElement("fieldset");
+        panel.className = "light-panel";
+        const legend = document.createElement("legend");
+        legend.textContent = `Light ${number}`;
+        panel.appendChild(legend);
+
+        const type = document.createElement("select");
+        LIGHT_TYPES.forEach(value => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = value === "point" ? "Point" : "Directional";
+            type.appendChild(option);
+        });
+        type.value = light.type;
+        type.addEventListener("change", (e) => update({ type: e.target.value }));
+        panel.appendChild(createRow("Type", type));
+
+        const color = document.createElement("input");
+        color.type = "color";
+        color.value = rgbToHex(light.color);
+        color.addEventListener("input", (e) => update({ color: hexToRgb(e.target.value) }));
+        panel.appendChild(createRow("Color", color));
+
+        panel.appendChild(createRow("Intensity", createSlider(light.intensity, 0, 3, 0.05,
+            (value) => update({ intensity: value }))));
+        panel.appendChild(createRow("Falloff", createSlider(light.attenuation, 0, 1, 0.01,
+            (value) => update({ attenuation: value }))));
+
+        ["X", "Y", "Z"].forEach((axis, i) => {
+            panel.appendChild(createRow(axis, createSlider(light.position[i], -POSITION_RANGE, POSITION_RANGE, 0.1,
+                (value) => {
+                    const position = [...light.position];
+                    position[i] = value;
+                    update({ position });
+                })));
+        });
+
+        const shadows = document.createElement("input");
+        shadows.type = "checkbox";
+        shadows.checked = light.castShadows;
+        shadows.addEventListener("change", (e) => update({ castShadows: e.target.checked }));
+        panel.appendChild(createRow("Shadows", shadows));
+
+        const remove = document.createElement("button");
+        remove.textContent = "Remove";
+        remove.addEventListener("click", () => this.lightManager.removeLight(light));
+        panel.appendChild(remove);
+
+        return panel;
+    }
+}
+
+/**
+ * @param {string} text - Label text
+ * @param {HTMLElement} input
+ * @returns {HTMLLabelElement} Label wrapping the input
+ */
+function createRow(text, input) {
+    const label = document.createElement("label");
+    label.textContent = `${text}: `;
+    label.appendChild(input);
+    return label;
+}
+
+/**
+ * @param {number} value - Initial value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} step
+ * @param {function(number): void} onInput - Called with the new value
+ * @returns {HTMLInputElement} Range input
+ */
+function createSlider(value, min, max, step, onInput) {
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = min;
+    slider.max = max;
+    slider.step = step;
+    slider.value = value;
+    slider.addEventListener("input", (e) => onInput(parseFloat(e.target.value)));
+    return slider;
+}
+
+/**
+ * @param {Array<number>} rgb - Components in [0, 1]
+ * @returns {string} "#rrggbb"
+ */
+function rgbToHex(rgb) {
+    return "#" + rgb.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @param {string} hex - "#rrggbb" (as from a color input)
+ * @returns {Array<number>} Components in [0, 1]
+ */
+export function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
@@ -0,0 +1,206 @@
+/**
+ * Lighting Module
+ * Owns the scene lights and packs them into the uniform arrays read by the
+ * lit shaders (see lightingDeclarations in shaders.js).
+ *
+ * Light Types:
+ * - point: Shines in all directions from `position`, fading with distance:
+ *   1 / (1 + attenuation * distance²)
+ * - directional: Parallel rays from the direction of `position` as seen
+ *   from the world origin (like sunlight); no falloff
+ *
+ * Light Properties (all in world space):
+ * - type: "point" or "directional"
+ * - position: [x, y, z]
+ * - color: [r, g, b], each in [0, 1]
+ * - intensity: Multiplier applied to the color (>= 0)
+ * - attenuation: Quadratic falloff of point lights (>= 0)
+ * - castShadows: Whether the light gets a shadow map (see shadows.js)
+ *
+ * Up to MAX_LIGHTS lights can exist at once; the shaders loop over a fixed
+ * size array and stop at the light count.
+ *
+ * Events:
+ * - "add", "remove": A light was added or removed (`detail.light`)
+ * - "change": A light's properties or the ambient light changed
+ *   (`detail.light`, null for the ambient light)
+ *
+ * @example
+ * const lightManager = new LightManager();
+ * const lamp = lightManager.addLight({ position: [1, 2, 0], color: [1, 0.9, 0.7] });
+ * lightManager.updateLight(lamp, { intensity: 2.0 });
+ * programInfo.setUniforms({ uLightCount: lightManager.getUniforms().lightCount });
+ */
+
+export const MAX_LIGHTS = 4;
+export const LIGHT_TYPES = ["point", "directional"];
+
+export class LightManager extends EventTarget {
+    /**
+     * @param {Object} [options]
+     * @param {Array<number>} [options.ambient=[0.15, 0.15, 0.15]] - Ambient light color
+     * @param {Array<Object>} [options.lights=[]] - Initial lights (see addLight)
+     */
+    constructor({ ambient = [0.15, 0.15, 0.15], lights = [] } = {}) {
+        super();
+        this.lights = [];
+        this.ambient = [...ambient];
+        this.nextId = 1;
+
+        // Packed uniform values, rebuilt by getUniforms() after changes
+        this.uniforms = {
+            lightCount: 0,
+            lightPositions: new Float32Array(MAX_LIGHTS * 4),
+            lightColors: new Float32Array(MAX_LIGHTS * 3),
+            lightAttenuations: new Float32Array(MAX_LIGHTS),
+            ambientLight: new Float32Array(3)
+        };
+        this.dirty = true;
+
+        lights.forEach(light => this.addLight(light));
+    }
+
+    /** @returns {boolean} Whether another light can be added */
+    get canAddLight() {
+        return this.lights.length < MAX_LIGHTS;
+    }
+
+    /**
+     * Adds a light.
+     *
+     * @param {Object} [properties] - Light properties (see module docs)
+     * @returns {Object} The new light; change it with updateLight()
+     * @throws {Error} If MAX_LIGHTS lights already exist or a property is invalid
+     */
+    addLight({
+        type = "point",
+        position = [0.0, 2.0, 0.0],
+        color = [1.0, 1.0, 1.0],
+        intensity = 1.0,
+        attenuation = 0.1,
+        castShadows = false
+    } = {}) {
+        if (!this.canAddLight) {
+            throw new Error(`At most ${MAX_LIGHTS} lights are supported`);
+        }
+        const properties = { type, position, color, intensity, attenuation, castShadows };
+        validateLight(properties);
+
+        const light = {
+            id: this.nextId++,
+            type,
+            position: [...position],
+            color: [...color],
+            intensity,
+            attenuation,
+            castShadows
+        };
+        this.lights.push(light);
+        this.dirty = true;
+        this.dispatchEvent(new CustomEvent("add", { detail: { light } }));
+        return light;
+    }
+
+    /**
+     * @param {Object} light - A light returned by addLight()
+     */
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index === -1) return;
+
+        this.lights.splice(index, 1);
+        this.dirty = true;
+        this.dispatchEvent(new CustomEvent("remove", { detail: { light } }));
+    }
+
+    /**
+     * Changes some of a light's properties.
+     *
+     * @param {Object} light - A light returned by addLight()
+     * @param {Object} changes - Properties to replace (see module docs)
+     * @throws {Error} If the light isn't in the scene or a property is invalid
+     */
+    updateLight(light, changes) {
+        if (!this.lights.includes(light)) {
+            throw new Error(`Light ${light.id} is not in the scene`);
+        }
+        validateLight(changes);
+
+        ["type", "intensity", "attenuation", "castShadows"].forEach(key => {
+            if (key in changes) light[key] = changes[key];
+        });
+        ["position", "color"].forEach(key => {
+            if (key in changes) light[key] = [...changes[key]];
+        });
+        this.dirty = true;
+        this.dispatchEvent(new CustomEvent("change", { detail: { light } }));
+    }
+
+    /**
+     * @param {Array<number>} color - Ambient light color [r, g, b]
+     * @throws {Error} If the color isn't three numbers
+     */
+    setAmbient(color) {
+        validateLight({ color });
+        this.ambient = [...color];
+        this.dirty = true;
+        this.dispatchEvent(new CustomEvent("change", { detail: { light: null } }));
+    }
+
+    /**
+     * Returns the lights as shader inputs. The arrays are reused between
+     * calls and only rewritten after a change.
+     *
+     * @returns {{lightCount: number, lightPositions: Float32Array, lightColors: Float32Array,
+     *   lightAttenuations: Float32Array, ambientLight: Float32Array}}
+     *   - lightPositions: vec4 per light; w = 1 with the world position for
+     *     point lights, w = 0 with the direction toward the light for
+     *     directional lights
+     *   - lightColors: Color times intensity
+     *   - lightAttenuations: Falloff (0 for directional lights)
+     */
+    getUniforms() {
+        if (!this.dirty) return this.uniforms;
+
+        const { lightPositions, lightColors, lightAttenuations, ambientLight } = this.uniforms;
+        this.lights.forEach((light, i) => {
+            const isPoint = light.type === "point";
+            lightPositions.set(light.position, i * 4);
+            lightPositions[i * 4 + 3] = isPoint ? 1.0 : 0.0;
+            lightColors.set(light.color.map(c => c * light.intensity), i * 3);
+            lightAttenuations[i] = isPoint ? light.attenuation : 0.0;
+        });
+        ambientLight.set(this.ambient);
+        this.uniforms.lightCount = this.lights.length;
+
+        this.dirty = false;
+        return this.uniforms;
+    }
+}
+
+/**
+ * Checks the light properties present in `properties`.
+ *
+ * @param {Object} properties
+ * @throws {Error} Describing the first invalid property
+ */
+function validateLight(properties) {
+    const { type, position, color, intensity, attenuation, castShadows } = properties;
+
+    if (type !== undefined && !LIGHT_TYPES.includes(type)) {
+        throw new Error(`Unknown light type '${type}'`);
+    }
+    [["position", position], ["color", color]].forEach(([name, value]) => {
+        if (value !== undefined && (value.length !== 3 || !Array.from(value).every(Number.isFinite))) {
+            throw new Error(`Light ${name} must be three numbers, got ${value}`);
+        }
+    });
+    [["intensity", intensity], ["attenuation", attenuation]].forEach(([name, value]) => {
+        if (value !== undefined && !(value >= 0)) {
+            throw new Error(`Light ${name} must be zero or more, got ${value}`);
+        }
+    });
+    if (castShadows !== undefined && typeof castShadows !== "boolean") {
+        throw new Error(`Light castShadows must be true or false, got ${castShadows}`);
+    }
+}
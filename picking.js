@@ -0,0 +1,134 @@
+/**
+ * Ray Picking Module
+ * Turns a point on the canvas into a world-space ray and finds the nearest
+ * cube it hits.
+ *
+ * Ray Construction:
+ * The click is converted to normalized device coordinates and unprojected
+ * at the near (z = -1) and far (z = +1) clip planes with the inverse of
+ * projection * view. Because this only relies on the matrix being
+ * invertible, it works unchanged for perspective, orthographic and the
+ * sheared oblique projections.
+ *
+ * Hit Testing:
+ * Each cube is tested as an oriented box (slab method in the cube's local
+ * frame), using the same axes as collision detection.
+ *
+ * Depends on the global glMatrix `mat4` and `vec4` (loaded by index.html).
+ *
+ * @example
+ * const ndc = clientToNdc(canvas, e.clientX, e.clientY);
+ * const ray = createPickRay(ndc.x, ndc.y, viewMatrix, projectionMatrix);
+ * const hit = pickCube(ray, scene);  // { cube, distance } or null
+ */
+
+import { getCubeAxes } from "./collision.js";
+
+/**
+ * Converts client (CSS pixel) coordinates to normalized device coordinates
+ * of an element, with +y pointing up.
+ *
+ * @param {HTMLElement} element - Element the coordinates are relative to
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{x: number, y: number}} Coordinates in [-1, 1]
+ */
+export function clientToNdc(element, clientX, clientY) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: ((clientX - rect.left) / rect.width) * 2 - 1,
+        y: 1 - ((clientY - rect.top) / rect.height) * 2
+    };
+}
+
+/**
+ * Builds a world-space ray through a point in normalized device coordinates.
+ *
+ * @param {number} ndcX - Horizontal NDC coordinate in [-1, 1]
+ * @param {number} ndcY - Vertical NDC coordinate in [-1, 1]
+ * @param {mat4} viewMatrix - Camera view matrix
+ * @param {mat4} projectionMatrix - Projection used to draw the view
+ * @returns {{origin: Array<number>, direction: Array<number>}|null}
+ *   Ray with unit direction, or null if the matrices are not invertible
+ */
+export function createPickRay(ndcX, ndcY, viewMatrix, projectionMatrix) {
+    const inverse = mat4.create();
+    mat4.multiply(inverse, projectionMatrix, viewMatrix);
+    if (!mat4.invert(inverse, inverse)) return null;
+
+    const unproject = (ndcZ) => {
+        const point = vec4.fromValues(ndcX, ndcY, ndcZ, 1.0);
+        vec4.transformMat4(point, point, inverse);
+        return [point[0] / point[3], point[1] / point[3], point[2] / point[3]];
+    };
+
+    const near = unproject(-1);
+    const far = unproject(1);
+    const direction = [far[0] - near[0], far[1] - near[1], far[2] - near[2]];
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    if (length === 0) return null;
+
+    return {
+        origin: near,
+        direction: direction.map(component => component / length)
+    };
+}
+
+/**
+ * Ray / oriented cube intersection using the slab method.
+ * For each local axis the ray's entry and exit distances through the pair
+ * of parallel faces are computed; the ray hits the cube if the latest entry
+ * comes before the earliest exit.
+ *
+ * @param {{origin: Array<number>, direction: Array<number>}} ray
+ * @param {Cube} cube - Cube with position, angle and size
+ * @returns {number|null} Distance along the ray to the hit, or null on a miss
+ */
+export function intersectRayCube(ray, cube) {
+    const half = cube.size / 2;
+    const toCenter = [
+        cube.position.x - ray.origin[0],
+        cube.position.y - ray.origin[1],
+        cube.position.z - ray.origin[2]
+    ];
+
+    let tMin = -Infinity;
+    let tMax = Infinity;
+
+    for (const axis of getCubeAxes(cube.angle)) {
+        const e = axis[0] * toCenter[0] + axis[1] * toCenter[1] + axis[2] * toCenter[2];
+        const f = axis[0] * ray.direction[0] + axis[1] * ray.direction[1] + axis[2] * ray.direction[2];
+
+        if (Math.abs(f) > 1e-9) {
+            let t1 = (e + half) / f;
+            let t2 = (e - half) / f;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return null;
+        } else if (Math.abs(e) > half) {
+            return null;  // Parallel to this slab and outside it
+        }
+    }
+
+    if (tMax < 0) return null;  // Cube is behind the ray
+    return tMin >= 0 ? tMin : tMax;
+}
+
+/**
+ * Finds the closest cube hit by a ray.
+ *
+ * @param {{origin: Array<number>, direction: Array<number>}} ray
+ * @param {Iterable<Cube>} cubes
+ * @returns {{cube: Cube, distance: number}|null} Nearest hit, or null
+ */
+export function pickCube(ray, cubes) {
+    let best = null;
+    for (const cube of cubes) {
+        const distance = intersectRayCube(ray, cube);
+        if (distance !== null && (!best || distance < best.distance)) {
+            best = { cube, distance };
+        }
+    }
+    return best;
+}
@@ -1,52 +1,211 @@
+import { FixedTimestepLoop } from "./simulation.js";
+import { Scene, Cube, getRandomColor } from "./scene.js";
+import { getOrientedBox, testOrientedBoxes, resolveContact } from "./collision.js";
+import { UniformGridBroadPhase, SweepAndPruneBroadPhase } from "./broadphase.js";
+import { WorldBounds } from "./bounds.js";
+import { OrbitCameraController } from "./cameraController.js";
+import { createPickRay, pickCube } from "./picking.js";
+import { CubeDragController } from "./dragController.js";
+import { ProjectionManager } from "./projection.js";
+import { observeCanvasSize } from "./canvasResize.js";
+import { ViewportManager } from "./viewports.js";
+import {
+    vertexShaderSource,
+    fragmentShaderSource,
+    fragmentShaderSourceBlack,
+    wireframeVertexShader,
+    solidColorFragmentShader,
+    groundVertexShader,
+    groundFragmentShader
+} from "./shaders.js";
+import { initShaderProgram, ShaderManager } from "./shaderManager.js";
+import { ShaderProgram } from "./shaderProgram.js";
+import { ShaderEditor } from "./shaderEditor.js";
+import { InstancedCubeRenderer } from "./instancing.js";
+import { VertexArray, ATTRIBUTE_LOCATIONS } from "./vertexArrays.js";
+import { isWebGL2 } from "./glsl.js";
+import { LightManager } from "./lighting.js";
+import { LightEditor, hexToRgb } from "./lightEditor.js";
+import { ShadowManager } from "./shadows.js";
+import { TextureManager } from "./textures.js";
+import { PostProcessor } from "./postprocessing.js";
+
 // Event Listener Section
 // Controls animation playback state
-document.getElementById("playPauseButton").onclick = () => {
+// (pausing freezes the simulation; the camera stays interactive)
+document.getElementById("playPauseButton").onclick = (e) => {
     animationPaused = !animationPaused;
-    if (!animationPaused) render();
+    e.target.textContent = animationPaused ? "Play" : "Pause";
 };
 
-// Synchronizes all cube colors to a new random color
+// Synchronizes all cube colors to a new random color (each cube keeps
+// its opacity)
 document.getElementById("colorSyncButton").onclick = () => {
     const color = getRandomColor();
-    colors.forEach(cubeColor => {
-        cubeColor.current = [...color];
-        cubeColor.target = getRandomColor();
+    scene.forEach(cube => {
+        cube.color.current = [...color.slice(0, 3), cube.opacity];
+        cube.color.target = getRandomColor();
+    });
+};
+
+// Sets the opacity of the selected cube, or of every cube when none is
+// selected
+const opacitySlider = document.getElementById("opacitySlider");
+opacitySlider.addEventListener("input", (e) => {
+    const opacity = parseFloat(e.target.value);
+    if (selectedCube) {
+        selectedCube.opacity = opacity;
+    } else {
+        scene.forEach(cube => { cube.opacity = opacity; });
+    }
+});
+
+// Gives every cube a random opacity, about half of them translucent
+document.getElementById("randomOpacityButton").onclick = () => {
+    scene.forEach(cube => {
+        cube.opacity = Math.random() < 0.5 ? 1.0 : 0.2 + Math.random() * 0.6;
     });
 };
 
-// Camera Control Section
-// Updates camera distance from origin (zoom)
-document.getElementById("radiusSlider").addEventListener("input", (e) => {
-    radius = parseFloat(e.target.value);
+// Updates how much energy cubes keep when they bounce off each other
+document.getElementById("restitutionSlider").addEventListener("input", (e) => {
+    collisionSettings.restitution = parseFloat(e.target.value);
 });
 
-// Updates horizontal camera rotation angle
-document.getElementById("thetaSlider").addEventListener("input", (e) => {
-    theta = parseFloat(e.target.value);
+// Changes how the bounding box walls treat cubes
+document.getElementById("wallModeSelect").addEventListener("change", (e) => {
+    worldBounds.setMode(e.target.value);
 });
 
-// Updates vertical camera rotation angle
-document.getElementById("phiSlider").addEventListener("input", (e) => {
-    phi = parseFloat(e.target.value);
+// Switches between broad-phase implementations
+document.getElementById("broadPhaseSelect").addEventListener("change", (e) => {
+    broadPhase = broadPhases[e.target.value];
+});
+
+// Dragged cubes keep their release velocity when enabled
+document.getElementById("throwCheckbox").addEventListener("change", (e) => {
+    dragController.throwEnabled = e.target.checked;
+});
+
+// Switches between a single view and the quad view
+document.getElementById("viewLayoutSelect").addEventListener("change", (e) => {
+    viewportManager.setLayout(e.target.value);
 });
 
 document.getElementById("projectionSelect").addEventListener("change", (e) => {
     projectionManager.setProjectionType(e.target.value);
 });
 
+// Draws all cubes with a few instanced calls instead of two calls per cube
+document.getElementById("instancingCheckbox").addEventListener("change", (e) => {
+    instancingEnabled = e.target.checked;
+});
+
+// Edge color of the wireframe modes and the edge overlay
+document.getElementById("edgeColorInput").addEventListener("input", (e) => {
+    edgeColor = hexToRgb(e.target.value);
+});
+
+// Line width of the Thick Wireframe mode
+document.getElementById("edgeWidthInput").addEventListener("input", (e) => {
+    edgeWidth = parseFloat(e.target.value);
+});
+
+// Adds a batch of random cubes for stress testing
+document.getElementById("spawnCubesButton").onclick = () => {
+    const count = parseInt(document.getElementById("spawnCountInput").value, 10);
+    if (count > 0) spawnCubes(count);
+};
+
 // WebGL Setup Section
-// Initialize WebGL context and canvas
+// Initialize WebGL context and canvas. WebGL2 is used when available (shaders
+// are translated to GLSL ES 3.00 when compiled); WebGL1 is the fallback, and
+// can be forced with ?webgl=1 in the URL for comparison.
 const canvas = document.getElementById("glCanvas");
-const gl = canvas.getContext("webgl");
+const forceWebGL1 = new URLSearchParams(window.location.search).get("webgl") === "1";
+const gl = (!forceWebGL1 && canvas.getContext("webgl2")) || canvas.getContext("webgl");
+document.getElementById("webglVersion").textContent = isWebGL2(gl) ? "WebGL2" : "WebGL1";
 
 // Camera Configuration
-let radius = 2.0;    // Camera distance from scene center
-let theta = 0.0;     // Horizontal rotation angle (x-z plane)
-let phi = Math.PI/2; // Vertical rotation angle from y-axis
+// Orbit camera driven by mouse/touch on the canvas and by the
+// radius (zoom), theta (horizontal) and phi (vertical) sliders
+const cameraController = new OrbitCameraController(canvas, {
+    radius: 2.0,       // Camera distance from scene center
+    theta: 0.0,        // Horizontal rotation angle (x-z plane)
+    phi: Math.PI / 2,  // Vertical rotation angle from y-axis
+    minRadius: 1.0,
+    maxRadius: 10.0
+});
+cameraController.bindSliders({
+    radius: document.getElementById("radiusSlider"),
+    theta: document.getElementById("thetaSlider"),
+    phi: document.getElementById("phiSlider")
+});
+
+// Selection
+// A click (press and release without dragging) on the canvas selects the
+// nearest cube under the cursor; clicking empty space clears the selection.
+// Drags starting on a cube move it (see dragController below); other drags
+// go to the camera controller.
+const CLICK_MAX_DISTANCE = 4;   // Pixels the pointer may move during a click
+const CLICK_MAX_DURATION = 400; // Milliseconds between press and release
+let selectedCube = null;
+let clickStart = null;
+
+canvas.addEventListener("pointerdown", (e) => {
+    clickStart = e.button === 0 ? { x: e.clientX, y: e.clientY, time: performance.now() } : null;
+});
+
+canvas.addEventListener("pointerup", (e) => {
+    if (!clickStart) return;
+    const moved = Math.hypot(e.clientX - clickStart.x, e.clientY - clickStart.y);
+    const held = performance.now() - clickStart.time;
+    clickStart = null;
+    if (moved <= CLICK_MAX_DISTANCE && held <= CLICK_MAX_DURATION) {
+        selectCubeAt(e.clientX, e.clientY);
+    }
+});
+
+/**
+ * Describes the view under a canvas point for picking and dragging.
+ * Rays are unprojected through the projection and camera matrix of the
+ * viewport under the pointer, so they follow whichever projection is on
+ * screen there (including the sheared oblique one).
+ * 
+ * Global Dependencies:
+ * @requires viewportManager - Viewport layout, cameras and projections
+ * 
+ * @param {number} clientX - Pointer x in client (CSS pixel) coordinates
+ * @param {number} clientY - Pointer y in client (CSS pixel) coordinates
+ * @param {Object} [previousView] - A view returned earlier in the same
+ *   gesture; its viewport is kept even if the pointer has left it
+ * @returns {{ndc: Object, viewMatrix: mat4, projectionMatrix: mat4, viewport: Object}|null}
+ */
+function resolvePointer(clientX, clientY, previousView = null) {
+    return viewportManager.resolvePointer(clientX, clientY, previousView && previousView.viewport);
+}
+
+/**
+ * Selects the cube under a canvas point.
+ * 
+ * Global Dependencies:
+ * @requires scene - Cubes to test
+ * 
+ * @param {number} clientX - Pointer x in client (CSS pixel) coordinates
+ * @param {number} clientY - Pointer y in client (CSS pixel) coordinates
+ */
+function selectCubeAt(clientX, clientY) {
+    const view = resolvePointer(clientX, clientY);
+    if (!view) return;
+    const ray = createPickRay(view.ndc.x, view.ndc.y, view.viewMatrix, view.projectionMatrix);
+    const hit = ray ? pickCube(ray, scene) : null;
+    selectedCube = hit ? hit.cube : null;
+    if (selectedCube) opacitySlider.value = selectedCube.opacity;
+}
 
 // Animation State
 let isAnimating = true;
-let startTime = Date.now();
+let lastFrameTime = null;  // performance.now() of the previous frame
 
 // Grid Configuration
 const gridSize = 10;  // Number of grid lines in each direction
@@ -72,767 +231,238 @@ for (let i = -gridSize; i <= gridSize; i++) {
 
 /**
  * Collision Detection System
- * Implements Axis-Aligned Bounding Box (AABB) collision detection between cubes
- * and handles collision responses through either subdivision or direction reversal.
+ * Finds touching cubes using oriented boxes, responds with a physical bounce,
+ * then subdivides the cubes involved when allowed.
  * 
  * Detection Algorithm:
- * Uses AABB (Axis-Aligned Bounding Box) collision detection:
- * - Checks separation along each axis (x, y, z)
- * - Collision occurs if separation < cubeSize on all axes
- * - More efficient than sphere or complex polygon collision
+ * 1. Broad phase: the active broadPhase reports each pair of cubes whose
+ *    bounding boxes overlap, exactly once
+ * 2. Narrow phase: Separating Axis Test on the rotated cubes (collision.js)
+ *    yields a contact normal and penetration depth
  * 
- * Collision Response Types:
- * 1. Subdivision Response:
- *    - Triggers when an unsplit cube collides
- *    - Splits cube into 8 smaller cubes
- *    - Sets hasSplit flag to prevent further splits
+ * Fresh fragments skip detection while their splitCooldown runs, which lets
+ * the 8 siblings of a split (and the cube they hit) separate first.
  * 
- * 2. Bounce Response:
- *    - Triggers when already-split cubes collide
- *    - Reverses all movement directions
- *    - Simulates elastic collision
+ * Collision Response:
+ * 1. Physical Response (always):
+ *    - Pushes the cubes apart by the penetration depth
+ *    - Exchanges momentum based on mass (size³) and collisionSettings.restitution
  * 
- * @param {number} cubeIndex - Index of cube to check for collisions
- * @returns {boolean} True if collision occurred and cube was split, false otherwise
- * 
- * Performance Considerations:
- * - O(n) complexity where n is number of cubes
- * - Excludes self-collision check
- * - Early returns on split collision
+ * 2. Subdivision Response:
+ *    - Each cube that scene.canSplit() allows is replaced by 8 fragments
+ *    - Fragments inherit the post-bounce velocity (see Cube.split)
  * 
  * Global Dependencies:
- * @requires positions - Array of cube positions
- * @requires directions - Array of movement vectors
- * @requires splitCube - Function to handle cube subdivision
+ * @requires scene - Scene owning all cubes
+ * @requires broadPhase - Active broad-phase implementation
+ * @requires collisionSettings - Restitution coefficient
  * 
- * @example
- * // Check collisions for cube 0
- * if (checkCollisions(0)) {
- *     console.log("Cube 0 collided and split");
- * }
+ * @returns {number} Number of broad-phase pairs that were tested
  */
-function checkCollisions(cubeIndex) {
-    const cube = positions[cubeIndex];
-    const cubeSize = 0.2;
-    
-    const candidates = spatialGrid.getPotentialCollisions(cubeIndex);
+function resolveCollisions() {
+    broadPhase.update(scene);
+    const pairs = broadPhase.getPairs();
     
-    for (const i of candidates) {
-        const other = positions[i];
+    for (const [a, b] of pairs) {
+        if (!scene.has(a) || !scene.has(b)) continue;  // Split earlier in this step
+        if (a.splitCooldown > 0 || b.splitCooldown > 0) continue;
         
-        const collision = 
-            Math.abs(cube.x - other.x) < cubeSize &&
-            Math.abs(cube.y - other.y) < cubeSize &&
-            Math.abs(cube.z - other.z) < cubeSize;
+        const contact = testOrientedBoxes(getOrientedBox(a), getOrientedBox(b));
+        if (!contact) continue;
         
-        if (collision) {
-            if (!cube.hasSplit) {
-                splitCube(cubeIndex);
-                cube.hasSplit = true;
-                return true;
-            } else {
-                directions[cubeIndex].dx *= -1;
-                directions[cubeIndex].dy *= -1;
-                directions[cubeIndex].dz *= -1;
-            }
-        }
-    }
-    return false;
-}
-
-/**
- * Cube Subdivision System
- * Splits a single cube into 8 smaller cubes upon collision, creating an
- * octree-like subdivision effect with inherited and modified properties.
- * 
- * Algorithm Overview:
- * 1. Takes original cube's position
- * 2. Creates 8 smaller cubes at offset positions
- * 3. Inherits and modifies properties from parent cube
- * 4. Assigns new movement patterns to child cubes
- * 
- * @param {number} index - Index of the original cube in the positions array
- * 
- * Bit Operations for Position Calculation:
- * - i & 1: Determines X offset (0 or 1)
- * - i & 2: Determines Y offset (0 or 2)
- * - i & 4: Determines Z offset (0 or 4)
- * 
- * Example bit patterns for i=0 to 7:
- * i=0: 000 → (-x, -y, -z)
- * i=1: 001 → (+x, -y, -z)
- * i=2: 010 → (-x, +y, -z)
- * i=3: 011 → (+x, +y, -z)
- * i=4: 100 → (-x, -y, +z)
- * i=5: 101 → (+x, -y, +z)
- * i=6: 110 → (-x, +y, +z)
- * i=7: 111 → (+x, +y, +z)
- * 
- * Property Inheritance:
- * - Position: Offset from parent's position
- * - Angles: Direct inheritance
- * - Speeds: 120% of parent's speed
- * - Colors: Initial color inherited, new target color
- * - Movement: Random direction with scaled magnitude
- * 
- * Global Dependencies:
- * @requires positions - Array of cube positions
- * @requires angles - Array of rotation angles
- * @requires speeds - Array of rotation speeds
- * @requires colors - Array of color states
- * @requires directions - Array of movement vectors
- */
-function splitCube(index) {
-    // Store original cube's position for reference
-    const originalPos = positions[index];
-    const smallScale = 0.5; // Half-size of child cubes
-    
-    // Create 8 smaller cubes (2^3 octants)
-    for (let i = 0; i < 1; i++) {
-        // Use bit operations to determine offset signs
-        // Bit 0 (i & 1): X axis offset
-        // Bit 1 (i & 2): Y axis offset
-        // Bit 2 (i & 4): Z axis offset
-        const xOffset = (i & 1) ? smallScale : -smallScale;
-        const yOffset = (i & 2) ? smallScale : -smallScale;
-        const zOffset = (i & 4) ? smallScale : -smallScale;
+        resolveContact(a, b, contact, collisionSettings);
         
-        // Position new cube in corresponding octant
-        positions.push({
-            x: originalPos.x + xOffset,
-            y: originalPos.y + yOffset,
-            z: originalPos.z + zOffset,
-            hasSplit: true // Mark as subdivided to prevent further splits
-        });
-        
-        // Copy and modify inherited properties
-        angles.push(angles[index]);  // Maintain parent's rotation
-        speeds.push(speeds[index] * 1.2);  // Increase rotation speed
-        
-        // Initialize color state with inheritance
-        colors.push({
-            current: [...colors[index].current],  // Copy current color
-            target: getRandomColor(),  // Set new target color
-            step: 0  // Reset transition progress
-        });
-        
-        // Generate random movement vector
-        // Scale factor 0.01 controls movement speed
-        // Random - 0.5 centers range around 0
-        directions.push({
-            dx: (Math.random() - 0.5) * 0.01,  // X direction
-            dy: (Math.random() - 0.5) * 0.01,  // Y direction
-            dz: (Math.random() - 0.5) * 0.01   // Z direction
-        });
+        if (scene.canSplit(a)) scene.splitCube(a);
+        if (scene.canSplit(b)) scene.splitCube(b);
     }
+    return pairs.length;
 }
 
-/**
- * Vertex Shader for Cube Rendering
- * This GLSL shader processes individual vertices for the cube geometry,
- * applying camera and projection transformations.
- * 
- * Shader Inputs:
- * @attribute vec3 aPosition - Raw vertex position from vertex buffer
- *   - Format: (x, y, z) coordinates
- *   - Range: Defined in model space
- *   - Usage: Input from WebGL vertex buffer
- * 
- * Uniforms (Global Variables):
- * @uniform mat4 uModelViewMatrix 
- *   - Combined model and view transformations
- *   - Handles object position and camera view
- *   - Updated per frame for animation
- * 
- * @uniform mat4 uProjectionMatrix
- *   - Perspective projection matrix
- *   - Converts 3D coordinates to clip space
- *   - Typically updated only on canvas resize
- * 
- * Outputs:
- * @varying vec3 vPosition
- *   - Passes vertex position to fragment shader
- *   - Used for position-based color effects
- * 
- * @output gl_Position
- *   - Built-in output for final vertex position
- *   - Must be in clip space (-1 to +1 for each component)
- * 
- * Transformation Pipeline:
- * 1. Start with raw vertex position (aPosition)
- * 2. Convert to vec4 for matrix multiplication
- * 3. Apply model-view transformation
- * 4. Apply projection transformation
- * 5. Output to gl_Position for rasterization
- */
-const vertexShaderSource = `
-    // Input vertex position from buffer
-    attribute vec3 aPosition;
-
-    // Transformation matrices from JavaScript
-    uniform mat4 uModelViewMatrix;    // Camera and object transforms
-    uniform mat4 uProjectionMatrix;   // Perspective projection
-    
-    // Output to fragment shader
-    varying vec3 vPosition;
-    
-    void main() {
-        // Pass position to fragment shader for color calculations
-        vPosition = aPosition;
-
-        // Transform vertex position through matrices
-        // 1. Convert vec3 position to vec4 (w = 1.0 for points)
-        // 2. Multiply by model-view matrix for camera space
-        // 3. Multiply by projection matrix for clip space
-        gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
-    }
-`;
+// Initialize shader programs for faces and edges
+const shaderProgram = initShaderProgram(gl, vertexShaderSource, fragmentShaderSource);
+const shaderProgramEdges = initShaderProgram(gl, vertexShaderSource, fragmentShaderSourceBlack);
 
+// Geometry Data
 /**
- * Fragment Shader for Animated Cube Faces
- * This GLSL shader determines the color of each pixel on cube faces,
- * creating an animated color effect by blending base color with 
- * position-based and time-based variations.
- * 
- * Precision Setting:
- * @precision mediump float
- *   - Medium precision for floating-point calculations
- *   - Balances performance and accuracy
- *   - Sufficient for color computations
- * 
- * Inputs:
- * @uniform vec4 uColor
- *   - Base color for the cube face
- *   - Format: (red, green, blue, alpha)
- *   - Range: [0.0, 1.0] for each component
- * 
- * @uniform float uTime
- *   - Elapsed time for animation
- *   - Used to create dynamic color changes
- *   - Updated per frame
- * 
- * @varying vec3 vPosition
- *   - Interpolated vertex position from vertex shader
- *   - Used to create position-based color variation
- *   - Varies across face of cube
- * 
- * Color Calculation:
- * 1. Dynamic Color Component Generation:
- *    - Red:   sin(time + x_position) * 0.5 + 0.5
- *    - Green: cos(time + y_position) * 0.5 + 0.5
- *    - Blue:  sin(time + z_position) * 0.5 + 0.5
- *    Note: * 0.5 + 0.5 transforms range from [-1,1] to [0,1]
- * 
- * 2. Color Blending:
- *    - Mixes base color (uColor) with animated color
- *    - Blend factor: 0.3 (30% animated, 70% base color)
- *    - Alpha fixed at 1.0 for full opacity
- * 
- * Output:
- * @output gl_FragColor
- *   - Final pixel color (RGBA)
- *   - Format: vec4(red, green, blue, alpha)
- *   - Range: [0.0, 1.0] for each component
+ * Cube Face Definitions
+ * Each face lists its outward normal and its four corners in counter-clockwise
+ * order when viewed from outside the cube, so the default front-face winding
+ * (gl.CCW) holds for every triangle generated from them.
+ * 
+ * Corner order per face:
+ * 0: bottom-left, 1: bottom-right, 2: top-right, 3: top-left
+ * (as seen looking at the face along -normal)
  */
-const fragmentShaderSource = `
-    // Set floating point precision
-    precision mediump float;
-
-    // Input uniforms for base color and animation time
-    uniform vec4 uColor;    // Base color from JavaScript
-    uniform float uTime;    // Animation time
-    
-    // Input varying from vertex shader
-    varying vec3 vPosition; // Interpolated position
-    
-    void main() {
-        // Generate animated color components based on position and time
-        vec3 color = vec3(
-            // Red component: Sine wave based on x-position and time
-            sin(uTime + vPosition.x) * 0.5 + 0.5,
-            
-            // Green component: Cosine wave based on y-position and time
-            cos(uTime + vPosition.y) * 0.5 + 0.5,
-            
-            // Blue component: Sine wave based on z-position and time
-            sin(uTime + vPosition.z) * 0.5 + 0.5
-        );
-
-        // Mix base color with animated color and set full opacity
-        // mix(x,y,a) = x * (1-a) + y * a
-        gl_FragColor = vec4(mix(uColor.rgb, color, 0.3), 1.0);
-    }
-`;
+const cubeFaces = [
+    { name: "front",  normal: [ 0,  0,  1], corners: [[-1, -1,  1], [ 1, -1,  1], [ 1,  1,  1], [-1,  1,  1]] },
+    { name: "back",   normal: [ 0,  0, -1], corners: [[ 1, -1, -1], [-1, -1, -1], [-1,  1, -1], [ 1,  1, -1]] },
+    { name: "top",    normal: [ 0,  1,  0], corners: [[-1,  1,  1], [ 1,  1,  1], [ 1,  1, -1], [-1,  1, -1]] },
+    { name: "bottom", normal: [ 0, -1,  0], corners: [[-1, -1, -1], [ 1, -1, -1], [ 1, -1,  1], [-1, -1,  1]] },
+    { name: "right",  normal: [ 1,  0,  0], corners: [[ 1, -1,  1], [ 1, -1, -1], [ 1,  1, -1], [ 1,  1,  1]] },
+    { name: "left",   normal: [-1,  0,  0], corners: [[-1, -1, -1], [-1, -1,  1], [-1,  1,  1], [-1,  1, -1]] }
+];
 
 /**
- * Fragment Shader for Cube Edges
- * A minimal GLSL shader that renders solid black lines for cube wireframes
- * and grid lines. This shader is designed for maximum simplicity and efficiency
- * when rendering structural elements.
- * 
- * Precision Setting:
- * @precision mediump float
- *   - Medium precision floating-point calculations
- *   - Optimal for simple color output
- *   - Provides good balance between precision and performance
- *   - More than sufficient for solid color rendering
+ * Builds an indexed cube mesh with unique vertices per face.
+ * Corners are not shared between faces, so every vertex carries the normal
+ * and texture coordinates of the face it belongs to. This is what lets the
+ * lit shaders ('phong', 'toon') read the correct normal for each fragment.
+ * 
+ * Mesh Layout:
+ * - 6 faces x 4 vertices = 24 vertices
+ * - 6 faces x 2 triangles x 3 indices = 36 face indices
+ * - 12 cube edges x 2 indices = 24 edge indices
+ * 
+ * Edge Extraction:
+ * Edges are taken from the outline of each face quad. Every cube edge is
+ * shared by two faces, so duplicates are skipped by comparing corner
+ * positions; the first face that contributes an edge provides its indices.
+ * 
+ * @param {number} [size=1.0] - Edge length of the cube (centered on origin)
+ * @returns {Object} Typed arrays ready for upload to WebGL buffers
+ * @property {Float32Array} positions - Vertex positions (x, y, z)
+ * @property {Float32Array} normals - Per-vertex face normals (x, y, z)
+ * @property {Float32Array} uvs - Per-vertex texture coordinates (u, v)
+ * @property {Uint16Array} faceIndices - Triangle indices for cube faces
+ * @property {Uint16Array} edgeIndices - Line indices for cube edges
  * 
- * Color Output:
- * gl_FragColor components:
- *   - Red:   0.0 (no red component)
- *   - Green: 0.0 (no green component)
- *   - Blue:  0.0 (no blue component)
- *   - Alpha: 1.0 (fully opaque)
- * 
- * Usage Context:
- * - Applied to cube edges for wireframe visualization
- * - Used for reference grid lines
- * - Provides visual structure and depth cues
- * - Creates contrast with colored cube faces
- * 
- * Performance Notes:
- * - No uniform inputs required
- * - No varying inputs required
- * - No calculations performed
- * - Highly efficient shader execution
- * 
- * @output gl_FragColor
- *   - Fixed black color output
- *   - Format: vec4(r, g, b, a)
- *   - All components in range [0.0, 1.0]
+ * @example
+ * const mesh = buildCubeMesh(1.0);
+ * gl.bufferData(gl.ARRAY_BUFFER, mesh.normals, gl.STATIC_DRAW);
  */
-const fragmentShaderSourceBlack = `
-    // Set floating point precision for calculations
-    precision mediump float;
-    
-    void main() {
-        // Output solid black color with full opacity
-        // vec4(red, green, blue, alpha)
-        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
-    }
-`;
-
-// Phong Vertex Shader
-const phongVertexShader = `
-    attribute vec3 aPosition;
-    attribute vec3 aNormal;
-    
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
-    
-    varying vec3 vNormal;
-    varying vec3 vPosition;
-    
-    void main() {
-        vNormal = mat3(uModelViewMatrix) * aNormal;
-        vec4 position = uModelViewMatrix * vec4(aPosition, 1.0);
-        vPosition = position.xyz;
-        gl_Position = uProjectionMatrix * position;
-    }
-`;
+function buildCubeMesh(size = 1.0) {
+    const half = size / 2;
+    const cornerUVs = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const faceIndices = [];
+    const edgeIndices = [];
+    const seenEdges = new Set();
+
+    cubeFaces.forEach((face, faceIndex) => {
+        const base = faceIndex * 4;
+
+        // Emit four unique vertices for this face
+        face.corners.forEach((corner, i) => {
+            positions.push(corner[0] * half, corner[1] * half, corner[2] * half);
+            normals.push(...face.normal);
+            uvs.push(...cornerUVs[i]);
+        });
 
-// Phong Fragment Shader
-const phongFragmentShader = `
-    precision mediump float;
-    
-    uniform vec4 uColor;
-    uniform vec3 uLightPosition;
-    
-    varying vec3 vNormal;
-    varying vec3 vPosition;
-    
-    void main() {
-        vec3 normal = normalize(vNormal);
-        vec3 lightDir = normalize(uLightPosition - vPosition);
-        
-        float diff = max(dot(normal, lightDir), 0.0);
-        vec3 ambient = uColor.rgb * 0.3;
-        vec3 diffuse = uColor.rgb * diff * 0.7;
-        
-        gl_FragColor = vec4(ambient + diffuse, 1.0);
-    }
-`;
+        // Two counter-clockwise triangles per quad
+        faceIndices.push(base, base + 1, base + 2,  base, base + 2, base + 3);
 
-// Toon Vertex Shader (similar to Phong)
-const toonVertexShader = `
-    attribute vec3 aPosition;
-    attribute vec3 aNormal;
-    
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
-    
-    varying vec3 vNormal;
-    varying vec3 vPosition;
-    
-    void main() {
-        vNormal = mat3(uModelViewMatrix) * aNormal;
-        vec4 position = uModelViewMatrix * vec4(aPosition, 1.0);
-        vPosition = position.xyz;
-        gl_Position = uProjectionMatrix * position;
-    }
-`;
+        // Outline the quad, skipping edges already emitted by a neighbor face
+        for (let i = 0; i < 4; i++) {
+            const a = face.corners[i];
+            const b = face.corners[(i + 1) % 4];
+            const key = [a.join(","), b.join(",")].sort().join("|");
+            if (seenEdges.has(key)) continue;
 
-// Toon Fragment Shader
-const toonFragmentShader = `
-    precision mediump float;
-    
-    uniform vec4 uColor;
-    uniform vec3 uLightPosition;
-    
-    varying vec3 vNormal;
-    varying vec3 vPosition;
-    
-    void main() {
-        vec3 normal = normalize(vNormal);
-        vec3 lightDir = normalize(uLightPosition - vPosition);
-        float intensity = dot(normal, lightDir);
-        
-        vec4 color;
-        if (intensity > 0.95) {
-            color = vec4(uColor.rgb, 1.0);
-        } else if (intensity > 0.5) {
-            color = vec4(uColor.rgb * 0.7, 1.0);
-        } else if (intensity > 0.25) {
-            color = vec4(uColor.rgb * 0.4, 1.0);
-        } else {
-            color = vec4(uColor.rgb * 0.2, 1.0);
+            seenEdges.add(key);
+            edgeIndices.push(base + i, base + (i + 1) % 4);
         }
-        
-        gl_FragColor = color;
-    }
-`;
-
-const wireframeVertexShader = `
-    attribute vec3 aPosition;
-    
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
-    
-    void main() {
-        gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
-    }
-`;
-
-const wireframeFragmentShader = `
-    precision mediump float;
-    void main() {
-        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
-    }
-`;
-
-// Vertex normals for the cube
-const normals = new Float32Array([
-    // Front face
-    0.0, 0.0, 1.0,
-    0.0, 0.0, 1.0,
-    0.0, 0.0, 1.0,
-    0.0, 0.0, 1.0,
-    
-    // Back face
-    0.0, 0.0, -1.0,
-    0.0, 0.0, -1.0,
-    0.0, 0.0, -1.0,
-    0.0, 0.0, -1.0,
-    
-    // Top face
-    0.0, 1.0, 0.0,
-    0.0, 1.0, 0.0,
-    0.0, 1.0, 0.0,
-    0.0, 1.0, 0.0,
-    
-    // Bottom face
-    0.0, -1.0, 0.0,
-    0.0, -1.0, 0.0,
-    0.0, -1.0, 0.0,
-    0.0, -1.0, 0.0,
-    
-    // Right face
-    1.0, 0.0, 0.0,
-    1.0, 0.0, 0.0,
-    1.0, 0.0, 0.0,
-    1.0, 0.0, 0.0,
-    
-    // Left face
-    -1.0, 0.0, 0.0,
-    -1.0, 0.0, 0.0,
-    -1.0, 0.0, 0.0,
-    -1.0, 0.0, 0.0
-]);
-
-// Create and populate normal buffer
-const normalBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, normals, gl.STATIC_DRAW);
-
-/**
- * Creates and initializes a WebGL shader program from vertex and fragment shader sources.
- * The shader program is essential for rendering as it controls how vertices are processed
- * and how pixels are colored in WebGL.
- * 
- * Process:
- * 1. Compiles individual vertex and fragment shaders
- * 2. Creates a new shader program
- * 3. Attaches both shaders to the program
- * 4. Links the program to create an executable
- * 5. Validates the program creation
- * 
- * @param {WebGLRenderingContext} gl - The WebGL rendering context
- * @param {string} vertexSource - GLSL source code for the vertex shader
- * @param {string} fragmentSource - GLSL source code for the fragment shader
- * @returns {WebGLProgram|null} The compiled and linked shader program, or null if creation fails
- * 
- * @example
- * const shaderProgram = initShaderProgram(gl, 
- *     `attribute vec3 position; void main() { ... }`, // vertex shader
- *     `precision mediump float; void main() { ... }`  // fragment shader
- * );
- */
-function initShaderProgram(gl, vertexSource, fragmentSource) {
-    // Compile both shaders using helper function
-    const vertexShader = compileShader(gl, vertexSource, gl.VERTEX_SHADER);
-    const fragmentShader = compileShader(gl, fragmentSource, gl.FRAGMENT_SHADER);
-    
-    // Exit if either shader compilation fails
-    if (!vertexShader || !fragmentShader) return null;
-   
-    // Create new shader program object
-    const program = gl.createProgram();
-    
-    // Attach both shaders to the program
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    
-    // Link shaders into a complete program
-    gl.linkProgram(program);
-
-    // Verify program creation success
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error("Error linking program:", gl.getProgramInfoLog(program));
-        return null;
-    }
-   
-    return program;
-}
+    });
 
-/**
- * Compiles a WebGL shader from source code.
- * This function handles the compilation of individual shader objects
- * (either vertex or fragment shaders) that will be used in a shader program.
- * 
- * Process:
- * 1. Creates a new shader object of specified type
- * 2. Assigns the GLSL source code to the shader
- * 3. Compiles the shader
- * 4. Verifies compilation success
- * 
- * @param {WebGLRenderingContext} gl - The WebGL rendering context
- * @param {string} source - GLSL source code for the shader
- * @param {number} type - Shader type: gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
- * @returns {WebGLShader|null} The compiled shader object, or null if compilation fails
- * 
- * @example
- * const vertexShader = compileShader(gl, 
- *     `attribute vec3 position; void main() { ... }`, 
- *     gl.VERTEX_SHADER
- * );
- */
-function compileShader(gl, source, type) {
-    // Create new shader object of specified type
-    const shader = gl.createShader(type);
-    
-    // Attach source code to shader object
-    gl.shaderSource(shader, source);
-    
-    // Compile the shader
-    gl.compileShader(shader);
-
-    // Check compilation status
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error("Error compiling shader:", gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);  // Clean up failed shader object
-        return null;
-    }
-   
-    return shader;
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        uvs: new Float32Array(uvs),
+        faceIndices: new Uint16Array(faceIndices),
+        edgeIndices: new Uint16Array(edgeIndices)
+    };
 }
 
-// Initialize shader programs for faces and edges
-const shaderProgram = initShaderProgram(gl, vertexShaderSource, fragmentShaderSource);
-const shaderProgramEdges = initShaderProgram(gl, vertexShaderSource, fragmentShaderSourceBlack);
-
-// Geometry Data
-// Cube vertex coordinates
-const vertices = new Float32Array([
-    -0.5, -0.5, -0.5,  // Bottom-back-left
-    0.5, -0.5, -0.5,   // Bottom-back-right
-    0.5,  0.5, -0.5,   // Top-back-right
-    -0.5,  0.5, -0.5,  // Top-back-left
-    -0.5, -0.5,  0.5,  // Bottom-front-left
-    0.5, -0.5,  0.5,   // Bottom-front-right
-    0.5,  0.5,  0.5,   // Top-front-right
-    -0.5,  0.5,  0.5   // Top-front-left
-]);
-
-// Triangle indices for cube faces
-const faceIndices = new Uint16Array([
-    0, 1, 2,   0, 2, 3,  // Back face
-    4, 5, 6,   4, 6, 7,  // Front face
-    0, 4, 7,   0, 7, 3,  // Left face
-    1, 5, 6,   1, 6, 2,  // Right face
-    3, 2, 6,   3, 6, 7,  // Top face
-    0, 1, 5,   0, 5, 4   // Bottom face
-]);
-
-// Line indices for cube edges
-const edgeIndices = new Uint16Array([
-    0, 1,  1, 2,  2, 3,  3, 0,  // Back edges
-    4, 5,  5, 6,  6, 7,  7, 4,  // Front edges
-    0, 4,  1, 5,  2, 6,  3, 7   // Connecting edges
-]);
+// Unit cube shared by every cube instance in the scene
+const cubeMesh = buildCubeMesh(1.0);
+const faceIndices = cubeMesh.faceIndices;
+const edgeIndices = cubeMesh.edgeIndices;
 
 // Animation and Movement Configuration
-// Initial rotation angles for each cube
-let angles = [0, 0, 0, 0, 0, 0];
-
-// Unique rotation speeds for varied motion
-const speeds = [0.01, 0.02, 0.015, 0.017, 0.018, 0.016];
-
-// Initial cube positions in 3D space
-const positions = [
-    { x: 0.0, y:  0.0, z: 0.0, hasSplit: false },
-    { x:  0.0, y:  0.0, z: -2.5, hasSplit: false },
-    { x:  0.5, y:  0.0, z: -3.0, hasSplit: false },
-    { x: -1.0, y:  0.5, z: -2.5, hasSplit: false },
-    { x:  0.0, y:  0.5, z:  0.5, hasSplit: false },
-    { x:  0.0, y:  0.0, z:  0.5, hasSplit: false }
-];
-
-// Movement vectors for each cube
-const directions = [
-    { dx:  0.005, dy:  0.003, dz:  0.002 },
-    { dx: -0.004, dy:  0.004, dz:  0.003 },
-    { dx:  0.003, dy: -0.005, dz:  0.004 },
-    { dx:  0.006, dy: -0.004, dz:  0.003 },
-    { dx: -0.005, dy:  0.005, dz: -0.002 },
-    { dx:  0.004, dy:  0.003, dz: -0.004 }
+// Initial cube layout: positions (world units), velocities (units per second)
+// and rotation speeds (radians per second) chosen for varied motion
+const initialCubes = [
+    { position: { x:  0.0, y: 0.0, z:  0.0 }, velocity: { x:  0.30, y:  0.18, z:  0.12 }, angularVelocity: 0.6 },
+    { position: { x:  0.0, y: 0.0, z: -2.5 }, velocity: { x: -0.24, y:  0.24, z:  0.18 }, angularVelocity: 1.2 },
+    { position: { x:  0.5, y: 0.0, z: -3.0 }, velocity: { x:  0.18, y: -0.30, z:  0.24 }, angularVelocity: 0.9 },
+    { position: { x: -1.0, y: 0.5, z: -2.5 }, velocity: { x:  0.36, y: -0.24, z:  0.18 }, angularVelocity: 1.02 },
+    { position: { x:  0.0, y: 0.5, z:  0.5 }, velocity: { x: -0.30, y:  0.30, z: -0.12 }, angularVelocity: 1.08 },
+    { position: { x:  0.0, y: 0.0, z:  0.5 }, velocity: { x:  0.24, y:  0.18, z: -0.24 }, angularVelocity: 0.96 }
 ];
 
-// Movement boundaries to contain cubes
-const boundary = { x: 1.5, y: 1.0, z: -4.0 };
+// Simulation state: every cube lives in the scene as a Cube entity
+// (split depth 2 takes cubes from 0.2 → 0.1 → 0.05 units)
+const scene = new Scene({ maxSplitDepth: 2, splitCooldown: 0.5, fragmentSpeed: 0.24 });
+initialCubes.forEach(options => scene.add(new Cube({ ...options, size: 0.2 })));
 
 /**
- * Color Management System for WebGL Cubes
- * Initializes an array of color states for each cube in the scene using Array.from().
- * Each cube maintains both current and target colors for smooth transitions.
- * 
- * Structure breakdown:
- * - Array of 6 color objects (one per initial cube)
- * - Each color object contains:
- *   - current: Active color values [R, G, B, A]
- *   - target: Color values to transition towards
- *   - step: Progress tracker for color transitions
+ * Adds cubes at random positions inside the world bounds with random
+ * velocities and spin. Spawned cubes are smaller than the initial ones so
+ * large batches fit in the bounds.
  * 
- * Color format:
- * - RGB values are in range [0.0, 1.0]
- * - Alpha (A) is fixed at 1.0 for full opacity
- * - Array indices: [0]=R, [1]=G, [2]=B, [3]=A
+ * @param {number} count - Number of cubes to add
+ * @param {number} [size=0.1] - Edge length of the new cubes
  * 
- * @constant {Array<Object>} colors
- * @property {Array<number>} current - Current [R,G,B,A] values for active color
- * @property {Array<number>} target - Target [R,G,B,A] values for transition
- * @property {number} step - Transition progress (0.0 to 1.0)
- * 
- * @example
- * // Accessing color values for first cube
- * const firstCubeColor = colors[0].current;  // [R,G,B,A]
- * const firstCubeTarget = colors[0].target;  // [R,G,B,A]
- * const transitionProgress = colors[0].step;  // 0.0 to 1.0
- */
-const colors = Array.from({ length: 6 }, () => ({
-    // Initialize current color with random RGB values and full opacity
-    current: [Math.random(), Math.random(), Math.random(), 1.0],
-    
-    // Set initial target color for smooth transition
-    target: [Math.random(), Math.random(), Math.random(), 1.0],
-    
-    // Initialize transition progress at 0
-    step: 0
-}));
-
-/**
- * Generates a random RGBA color array for WebGL rendering.
- * Creates colors suitable for cube faces and color transitions.
- * 
- * Color Components:
- * - Red:   Random value between 0.0 and 1.0
- * - Green: Random value between 0.0 and 1.0
- * - Blue:  Random value between 0.0 and 1.0
- * - Alpha: Fixed at 1.0 (fully opaque)
- * 
- * Return Format:
- * [R, G, B, A] where each value is in range [0.0, 1.0]
- * Index mapping:
- * - 0: Red component
- * - 1: Green component
- * - 2: Blue component
- * - 3: Alpha component (always 1.0)
- * 
- * @returns {Array<number>} Four-element array containing RGBA values
- * 
- * @example
- * // Generate a random color
- * const color = getRandomColor();  // Returns [0.7, 0.2, 0.9, 1.0]
- * 
- * // Use in WebGL uniform
- * gl.uniform4fv(colorLocation, getRandomColor());
- * 
- * // Use for color transition
- * colorObj.target = getRandomColor();
+ * Global Dependencies:
+ * @requires scene - Receives the cubes
+ * @requires worldBounds - Region the cubes are placed in
  */
-function getRandomColor() {
-    return [
-        Math.random(),  // Red component   (0.0 to 1.0)
-        Math.random(),  // Green component (0.0 to 1.0)
-        Math.random(),  // Blue component  (0.0 to 1.0)
-        1.0            // Alpha component (fixed at 1.0)
-    ];
+function spawnCubes(count, size = 0.1) {
+    const random = (min, max) => min + Math.random() * (max - min);
+    const half = size / 2;
+
+    for (let i = 0; i < count; i++) {
+        scene.add(new Cube({
+            position: {
+                x: random(worldBounds.min.x + half, worldBounds.max.x - half),
+                y: random(worldBounds.min.y + half, worldBounds.max.y - half),
+                z: random(worldBounds.min.z + half, worldBounds.max.z - half)
+            },
+            velocity: {
+                x: random(-0.36, 0.36),
+                y: random(-0.36, 0.36),
+                z: random(-0.36, 0.36)
+            },
+            angle: random(0, Math.PI * 2),
+            angularVelocity: random(0.5, 1.5),
+            size
+        }));
+    }
 }
 
-/**
- * Manages smooth color transitions between current and target colors for cubes.
- * This function implements a linear interpolation (lerp) for RGB color channels
- * and handles the generation of new target colors when transitions complete.
- * 
- * Algorithm steps:
- * 1. Increments transition progress by small step value
- * 2. Updates each RGB channel (index 0-2) using linear interpolation
- * 3. Generates new target color when transition completes
- * 
- * @param {Object} colorObj - Object containing color transition data
- * @param {Array} colorObj.current - Current [R,G,B,A] color values (range 0-1)
- * @param {Array} colorObj.target - Target [R,G,B,A] color values (range 0-1)
- * @param {number} colorObj.step - Tracks transition progress (range 0-1)
- */
-function updateColorTransition(colorObj) {
-    // Increment transition progress (0.005 controls overall transition speed)
-    colorObj.step += 0.005;
-
-    // Update each RGB channel separately (skip alpha channel)
-    for (let i = 0; i < 3; i++) {
-        // Linear interpolation formula: current + (target - current) * step
-        // 0.02 controls individual step size for smooth transition
-        colorObj.current[i] = colorObj.current[i] + (colorObj.target[i] - colorObj.current[i]) * 0.02;
-    }
+// Collision response settings (restitution: 0 = inelastic, 1 = elastic)
+const collisionSettings = { restitution: 0.8 };
 
-    // Check if transition is complete
-    if (colorObj.step >= 1) {
-        colorObj.target = getRandomColor();  // Generate new target color
-        colorObj.step = 0;                   // Reset transition progress
-    }
-}
+// Movement boundaries to contain cubes (wall mode selectable in the controls)
+const worldBounds = new WorldBounds({
+    min: { x: -1.5, y: -1.0, z: -4.0 },
+    max: { x:  1.5, y:  1.0, z:  1.0 }
+});
+
+// Count wall impacts reported by the bounds (shown with the collision stats)
+let wallHitCount = 0;
+worldBounds.addEventListener("wallhit", () => {
+    wallHitCount++;
+});
+
+// Cube dragging: presses that land on a cube move it instead of the camera,
+// on a camera-facing plane or (with Shift) along one world axis
+const dragController = new CubeDragController(canvas, {
+    scene,
+    bounds: worldBounds,
+    resolvePointer,
+    throwEnabled: document.getElementById("throwCheckbox").checked
+});
+cameraController.addPointerInterceptor((e) => dragController.tryGrab(e));
+dragController.addEventListener("dragstart", (e) => {
+    selectedCube = e.detail.cube;
+});
 
 // Buffer Setup
 const buffers = setupBuffers(gl);
+const meshes = createMeshes(gl, buffers);
 
 /**
  * Initializes and configures all WebGL buffers required for rendering the scene.
@@ -840,10 +470,14 @@ const buffers = setupBuffers(gl);
  * 
  * Buffer Types Created:
  * 1. Vertex Buffer: Stores cube vertex positions
- * 2. Face Index Buffer: Stores triangle indices for cube faces
- * 3. Edge Index Buffer: Stores line indices for cube wireframes
- * 4. Grid Vertex Buffer: Stores reference grid vertex positions
- * 5. Grid Index Buffer: Stores grid line indices
+ * 2. Normal Buffer: Stores per-face cube normals (one per vertex)
+ * 3. UV Buffer: Stores per-face cube texture coordinates
+ * 4. Face Index Buffer: Stores triangle indices for cube faces
+ * 5. Edge Index Buffer: Stores line indices for cube wireframes
+ * 6. Grid Vertex Buffer: Stores reference grid vertex positions
+ * 7. Grid Index Buffer: Stores grid line indices
+ * 8. Ground Vertex Buffer: Stores a unit square in the x-z plane
+ * 9. Ground Index Buffer: Stores the square's two triangles
  * 
  * Buffer Usage:
  * - All buffers use gl.STATIC_DRAW as they contain static geometry
@@ -853,17 +487,33 @@ const buffers = setupBuffers(gl);
  * @param {WebGLRenderingContext} gl - The WebGL rendering context
  * @returns {Object} Collection of initialized WebGL buffers
  * @property {WebGLBuffer} vertexBuffer - Cube vertex positions
+ * @property {WebGLBuffer} normalBuffer - Cube vertex normals
+ * @property {WebGLBuffer} uvBuffer - Cube texture coordinates
  * @property {WebGLBuffer} faceIndexBuffer - Cube face triangle indices
  * @property {WebGLBuffer} edgeIndexBuffer - Cube wireframe line indices
  * @property {WebGLBuffer} gridVertexBuffer - Reference grid vertices
  * @property {WebGLBuffer} gridIndexBuffer - Reference grid line indices
+ * @property {WebGLBuffer} groundVertexBuffer - Ground square vertices
+ * @property {WebGLBuffer} groundIndexBuffer - Ground square triangle indices
  */
 function setupBuffers(gl) {
     // Initialize cube vertex buffer
     // Stores the 3D positions of all cube vertices
     const vertexBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, cubeMesh.positions, gl.STATIC_DRAW);
+
+    // Initialize cube normal buffer
+    // Stores one normal per vertex, matching the per-face vertex layout
+    const normalBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, cubeMesh.normals, gl.STATIC_DRAW);
+
+    // Initialize cube texture coordinate buffer
+    // Stores (u, v) pairs spanning [0, 1] across each face
+    const uvBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, uvBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, cubeMesh.uvs, gl.STATIC_DRAW);
 
     // Initialize cube face index buffer
     // Stores indices for drawing cube faces as triangles
@@ -897,590 +547,1054 @@ function setupBuffers(gl) {
         gl.STATIC_DRAW
     );
 
+    // Initialize ground square buffers
+    // A [-1, 1] square at y = 0, placed and sized by its model matrix
+    const groundVertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, groundVertexBuffer);
+    gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([-1, 0, -1,  1, 0, -1,  1, 0, 1,  -1, 0, 1]),
+        gl.STATIC_DRAW
+    );
+
+    const groundIndexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, groundIndexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 2, 1, 0, 3, 2]), gl.STATIC_DRAW);
+
     // Return all buffer references for use in rendering
     return {
         vertexBuffer,     // For cube vertices
+        normalBuffer,     // For cube lighting
+        uvBuffer,         // For cube texturing
         faceIndexBuffer,  // For cube faces
         edgeIndexBuffer,  // For cube wireframe
         gridVertexBuffer, // For grid vertices
-        gridIndexBuffer   // For grid lines
+        gridIndexBuffer,  // For grid lines
+        groundVertexBuffer, // For the ground square
+        groundIndexBuffer   // For the ground triangles
+    };
+}
+
+// Broad-phase implementations, selectable from the controls for comparison
+const broadPhases = {
+    grid: new UniformGridBroadPhase(worldBounds, 0.5),
+    sweep: new SweepAndPruneBroadPhase()
+};
+let broadPhase = broadPhases.grid;
+
+/**
+ * Records which buffers each mesh is drawn from in a vertex array, so a
+ * draw only needs to bind the mesh. Attributes use the fixed locations every
+ * program is linked with (see vertexArrays.js), so one vertex array serves
+ * all shading modes.
+ * 
+ * Meshes Created:
+ * 1. cubeFaces: Positions, normals and UVs with the face triangle indices
+ * 2. cubeEdges: The same streams with the edge line indices
+ * 3. grid: Grid positions with the grid line indices
+ * 4. ground: Ground square positions with its triangle indices
+ * 
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - The WebGL rendering context
+ * @param {Object} buffers - Buffers returned by setupBuffers
+ * @returns {{cubeFaces: VertexArray, cubeEdges: VertexArray, grid: VertexArray, ground: VertexArray}}
+ * 
+ * @example
+ * meshes.grid.bind();
+ * gl.drawElements(gl.LINES, gridIndices.length, gl.UNSIGNED_SHORT, 0);
+ * meshes.grid.unbind();
+ */
+function createMeshes(gl, buffers) {
+    const cubeAttributes = [
+        { location: ATTRIBUTE_LOCATIONS.aPosition, buffer: buffers.vertexBuffer, size: 3 },
+        { location: ATTRIBUTE_LOCATIONS.aNormal, buffer: buffers.normalBuffer, size: 3 },
+        { location: ATTRIBUTE_LOCATIONS.aTexCoord, buffer: buffers.uvBuffer, size: 2 }
+    ];
+
+    return {
+        cubeFaces: new VertexArray(gl, {
+            attributes: cubeAttributes,
+            indexBuffer: buffers.faceIndexBuffer
+        }),
+        cubeEdges: new VertexArray(gl, {
+            attributes: cubeAttributes,
+            indexBuffer: buffers.edgeIndexBuffer
+        }),
+        grid: new VertexArray(gl, {
+            attributes: [{ location: ATTRIBUTE_LOCATIONS.aPosition, buffer: buffers.gridVertexBuffer, size: 3 }],
+            indexBuffer: buffers.gridIndexBuffer
+        }),
+        ground: new VertexArray(gl, {
+            attributes: [{ location: ATTRIBUTE_LOCATIONS.aPosition, buffer: buffers.groundVertexBuffer, size: 3 }],
+            indexBuffer: buffers.groundIndexBuffer
+        })
     };
 }
 
-class SpatialGrid {
-    constructor(worldSize, cellSize) {
-        this.cellSize = cellSize;
-        this.gridSize = Math.ceil(worldSize * 2 / cellSize);
-        this.grid = new Array(this.gridSize * this.gridSize * this.gridSize).fill().map(() => []);
+// Set up projection matrices (parameters editable from the controls;
+// the orthographic size follows the orbit radius by default, and switching
+// projection type blends between them over transitionDuration seconds)
+const projectionManager = new ProjectionManager(gl, canvas, {
+    focusDistance: cameraController.radius,
+    transitionDuration: 1.0
+});
+projectionManager.bindControls({
+    fov: document.getElementById("fovSlider"),
+    near: document.getElementById("nearSlider"),
+    far: document.getElementById("farSlider"),
+    orthoSize: document.getElementById("orthoSizeSlider"),
+    orthoTracksFocus: document.getElementById("orthoTrackCheckbox"),
+    obliquePreset: document.getElementById("obliquePresetSelect"),
+    obliqueAngle: document.getElementById("obliqueAngleSlider"),
+    obliqueDepthScale: document.getElementById("obliqueDepthSlider"),
+    transitionDuration: document.getElementById("transitionSlider")
+});
+
+// Match the drawing buffer to the canvas's displayed size in device pixels
+// (capped at 2x) and keep the viewport and projections in step with it
+observeCanvasSize(canvas, (width, height) => {
+    gl.viewport(0, 0, width, height);
+    projectionManager.updateProjection();
+}, { maxPixelRatio: 2 });
+
+// Views drawn each frame: the orbit camera alone, or the quad view with
+// top, front and side orthographic views next to it
+const viewportManager = new ViewportManager(canvas, {
+    orbitCamera: cameraController,
+    projectionManager,
+    bounds: worldBounds,
+    labelContainer: document.getElementById("canvasContainer")
+});
+
+// Presses in the fixed axis views must not orbit the main camera
+// (registered after the drag controller, so cubes can still be dragged there)
+cameraController.addPointerInterceptor((e) => {
+    const viewport = viewportManager.getViewportAt(e.clientX, e.clientY);
+    return viewport !== null && viewport.camera !== cameraController;
+});
+
+// Initialize shader manager globally; shading modes read the cube's
+// position, normal and uv streams from the mesh vertex arrays. Exposed on
+// window so separate scripts can register modes (see customShaders.js).
+const shaderManager = new ShaderManager(gl);
+window.shaderManager = shaderManager;
+
+// Live GLSL editor for the shading modes; failed compiles keep the last
+// working program running
+const shaderEditor = new ShaderEditor(shaderManager, {
+    select: document.getElementById("shaderEditorSelect"),
+    vertex: document.getElementById("vertexSourceInput"),
+    fragment: document.getElementById("fragmentSourceInput"),
+    compileButton: document.getElementById("compileShaderButton"),
+    revertButton: document.getElementById("revertShaderButton"),
+    status: document.getElementById("shaderEditorStatus"),
+    diagnostics: document.getElementById("shaderDiagnostics")
+});
+
+// Cube edge color and Thick Wireframe line width (pixels), from the edge
+// controls
+let edgeColor = hexToRgb(document.getElementById("edgeColorInput").value);
+let edgeWidth = parseFloat(document.getElementById("edgeWidthInput").value);
+
+// Textures for the textured shading mode: procedural ones to start with
+// (face numbers show each face's orientation), plus images loaded from
+// local files through the texture controls
+const textureManager = new TextureManager(gl);
+textureManager.createProcedural("checkerboard", "checkerboard", { label: "Checkerboard" });
+textureManager.createProcedural("noise", "noise", { label: "Noise" });
+textureManager.createProcedural("faceNumbers", "faceNumbers", { label: "Face Numbers (1-6)" });
+textureManager.bindControls({
+    select: document.getElementById("textureSelect"),
+    fileInput: document.getElementById("textureFileInput"),
+    status: document.getElementById("textureStatus")
+});
+
+// Scene lights (world space) for the lit shading modes, edited from the
+// light panel; each light is marked in the scene by a small gizmo
+const lightManager = new LightManager({
+    ambient: [0.15, 0.15, 0.15],
+    lights: [
+        {
+            type: "point",
+            position: [1.0, 2.0, 1.5],
+            color: [1.0, 0.95, 0.85],
+            intensity: 1.2,
+            attenuation: 0.05,
+            castShadows: true
+        },
+        { type: "directional", position: [-2.0, 1.5, -1.0], color: [0.6, 0.7, 1.0], intensity: 0.4 }
+    ]
+});
+const lightEditor = new LightEditor(lightManager, {
+    list: document.getElementById("lightList"),
+    addButton: document.getElementById("addLightButton"),
+    ambient: document.getElementById("ambientLightInput")
+});
+
+// Shadow maps for the lights with shadows switched on; cubes cast them
+// onto the ground
+const shadowManager = new ShadowManager(gl, lightManager);
+
+// Post-processing passes, switched on and off from the controls; exposed
+// on window so separate scripts can add passes (see customShaders.js)
+const postProcessor = new PostProcessor(gl);
+postProcessor.bindControls({ list: document.getElementById("postPassList") });
+window.postProcessor = postProcessor;
+
+// Instanced cube drawing (ANGLE_instanced_arrays or WebGL2); the checkbox is
+// disabled when neither is available and cubes are drawn one at a time
+const instancer = new InstancedCubeRenderer(gl);
+const instanceMatrix = mat4.create();  // Scratch matrix for filling instances
+const instancingCheckbox = document.getElementById("instancingCheckbox");
+let instancingEnabled = instancer.supported && instancingCheckbox.checked;
+instancingCheckbox.checked = instancingEnabled;
+instancingCheckbox.disabled = !instancer.supported;
+if (!instancer.supported) {
+    instancingCheckbox.title = "Instanced drawing is not supported by this browser";
+}
+
+// Helper program for the bounding box (uses wireframeVertexShader's inputs)
+const solidColorProgram = new ShaderProgram(
+    gl,
+    initShaderProgram(gl, wireframeVertexShader, solidColorFragmentShader)
+);
+
+// Lit, shadow-receiving ground under the grid, just below the floor of the
+// world bounds (so every cube is above it and the translucent bottom wall
+// doesn't fight it for depth), as wide as the grid
+const groundProgram = new ShaderProgram(
+    gl,
+    initShaderProgram(gl, groundVertexShader, groundFragmentShader)
+);
+const groundHeight = worldBounds.min.y - 0.01;
+const groundModelMatrix = mat4.create();
+mat4.translate(groundModelMatrix, groundModelMatrix, [0, groundHeight, 0]);
+mat4.scale(groundModelMatrix, groundModelMatrix, [gridSize * gridStep, 1, gridSize * gridStep]);
+
+// The reference grid lies on the ground, lifted just enough that its lines
+// don't fight the ground for depth, so shadows fall on the grid
+const gridModelMatrix = mat4.fromTranslation(mat4.create(), [0, groundHeight + 0.005, 0]);
+
+/**
+ * Draws the world bounds as a unit cube stretched over the bounds box.
+ * 
+ * Passes:
+ * - "edges": Opaque outline, drawn together with the reference grid
+ * - "faces": Translucent walls, drawn after all opaque geometry with
+ *   blending on and depth writes off. Back faces are drawn before front
+ *   faces so the far walls are blended first.
+ * 
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {mat4} projectionMatrix - Current projection matrix
+ * @param {string} pass - "edges" or "faces"
+ */
+function drawWorldBounds(cameraMatrix, projectionMatrix, pass) {
+    const center = worldBounds.center;
+    const extent = worldBounds.extent;
+
+    const modelViewMatrix = mat4.create();
+    mat4.translate(modelViewMatrix, cameraMatrix, [center.x, center.y, center.z]);
+    mat4.scale(modelViewMatrix, modelViewMatrix, [extent.x, extent.y, extent.z]);
+
+    solidColorProgram.use();
+    solidColorProgram.setUniforms({
+        uModelViewMatrix: modelViewMatrix,
+        uProjectionMatrix: projectionMatrix
+    });
+
+    if (pass === "edges") {
+        solidColorProgram.setUniform("uColor", [0.35, 0.45, 0.6, 1.0]);
+        meshes.cubeEdges.bind();
+        gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
+        meshes.cubeEdges.unbind();
+        return;
     }
 
-    getGridIndex(x, y, z) {
-        const gridX = Math.floor((x + boundary.x) / this.cellSize);
-        const gridY = Math.floor((y + boundary.y) / this.cellSize);
-        const gridZ = Math.floor((z + Math.abs(boundary.z)) / this.cellSize);
-        return gridX + gridY * this.gridSize + gridZ * this.gridSize * this.gridSize;
+    solidColorProgram.setUniform("uColor", [0.4, 0.6, 0.9, 0.12]);
+    setTranslucentPass(true);
+    meshes.cubeFaces.bind();
+
+    gl.cullFace(gl.FRONT);  // Far walls first
+    gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+    gl.cullFace(gl.BACK);   // Then near walls
+    gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+
+    meshes.cubeFaces.unbind();
+    setTranslucentPass(false);
+}
+
+/**
+ * Outlines the selected cube with a slightly enlarged copy of its edges.
+ * Two nested outlines are drawn to make the highlight read as a thick line,
+ * since most platforms ignore gl.lineWidth.
+ * 
+ * @param {mat4} modelViewMatrix - The cube's model-view matrix
+ * @param {mat4} projectionMatrix - Current projection matrix
+ */
+function drawSelectionOutline(modelViewMatrix, projectionMatrix) {
+    solidColorProgram.use();
+    solidColorProgram.setUniforms({
+        uProjectionMatrix: projectionMatrix,
+        uColor: [1.0, 0.55, 0.0, 1.0]
+    });
+    meshes.cubeEdges.bind();
+
+    const outlineMatrix = mat4.create();
+    [1.08, 1.14].forEach(scale => {
+        mat4.scale(outlineMatrix, modelViewMatrix, [scale, scale, scale]);
+        solidColorProgram.setUniform("uModelViewMatrix", outlineMatrix);
+        gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
+    });
+    meshes.cubeEdges.unbind();
+}
+
+/**
+ * Formats a vector for the info panel.
+ * @param {{x: number, y: number, z: number}} v
+ * @returns {string} Fixed-width components
+ */
+function formatVector(v) {
+    return [v.x, v.y, v.z].map(c => c.toFixed(3).padStart(7)).join(" ");
+}
+
+/**
+ * Fills the info panel with the selected cube's current state.
+ * Drops the selection once the cube leaves the scene (e.g. after it split).
+ * 
+ * Global Dependencies:
+ * @requires selectedCube - Currently selected cube, or null
+ * @requires scene - For membership and split limits
+ */
+function updateCubeInfo() {
+    const panel = document.getElementById("cubeInfo");
+    if (selectedCube && !scene.has(selectedCube)) selectedCube = null;
+
+    if (!selectedCube) {
+        panel.textContent = "Click a cube to inspect it";
+        return;
     }
 
-    updateGrid() {
-        this.grid.forEach(cell => cell.length = 0);
-        positions.forEach((pos, index) => {
-            const gridIndex = this.getGridIndex(pos.x, pos.y, pos.z);
-            if (gridIndex >= 0 && gridIndex < this.grid.length) {
-                this.grid[gridIndex].push(index);
-            }
-        });
+    const cube = selectedCube;
+    const v = cube.velocity;
+    const speed = Math.hypot(v.x, v.y, v.z);
+    const [r, g, b] = cube.color.current.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255));
+
+    let splitState;
+    if (!scene.canSplit(cube)) {
+        splitState = "at max depth";
+    } else if (cube.splitCooldown > 0) {
+        splitState = `cooling down (${cube.splitCooldown.toFixed(2)} s)`;
+    } else {
+        splitState = "splits on next hit";
     }
 
-    getPotentialCollisions(cubeIndex) {
-        const pos = positions[cubeIndex];
-        const gridIndex = this.getGridIndex(pos.x, pos.y, pos.z);
-        const candidates = new Set();
-        
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dz = -1; dz <= 1; dz++) {
-                    const neighborIndex = gridIndex + 
-                        dx + 
-                        dy * this.gridSize + 
-                        dz * this.gridSize * this.gridSize;
-                    
-                    if (neighborIndex >= 0 && neighborIndex < this.grid.length) {
-                        this.grid[neighborIndex].forEach(idx => {
-                            if (idx !== cubeIndex) candidates.add(idx);
-                        });
-                    }
-                }
-            }
-        }
-        
-        return Array.from(candidates);
+    panel.textContent = [
+        `Cube #${cube.id}${cube.held ? " (held)" : ""}`,
+        `Position ${formatVector(cube.position)}`,
+        `Velocity ${formatVector(v)}  (${speed.toFixed(3)} u/s)`,
+        `Color    rgb(${r}, ${g}, ${b}), opacity ${cube.opacity.toFixed(2)}`,
+        `Size     ${cube.size.toFixed(3)}`,
+        `Split    depth ${cube.splitDepth}/${scene.maxSplitDepth}, ${splitState}`
+    ].join("\n");
+}
+
+// Animation control flag
+let animationPaused = false;
+
+/**
+ * Advances the cube simulation by one fixed time step.
+ * Called by the simulation loop zero or more times per rendered frame, so all
+ * rates here are per second and scaled by dt rather than per frame.
+ * 
+ * Update Order:
+ * 1. Snapshot every cube into `previous` for render interpolation
+ * 2. Detect and respond to collisions (splits replace cubes with fragments)
+ * 3. Integrate rotation, position, color and cooldown
+ * 4. Apply the world bounds wall mode (reflect, wrap or absorb) to every
+ *    cube not currently held by the drag controller
+ * 
+ * @param {number} dt - Time step in seconds
+ */
+function updateSimulation(dt) {
+    scene.forEach(cube => cube.snapshot());
+
+    const start = performance.now();
+    const pairCount = resolveCollisions();
+    broadPhaseStats.pairs = pairCount;
+    broadPhaseStats.time = performance.now() - start;
+
+    for (const cube of scene) {
+        cube.integrate(dt);
+        // Handle boundary collisions (held cubes are clamped by the drag instead)
+        if (!cube.held) worldBounds.constrain(cube);
     }
 }
 
-// Initialize spatial partitioning grid
-const spatialGrid = new SpatialGrid(Math.max(boundary.x, boundary.y, Math.abs(boundary.z)), 0.5);
+// Collision statistics from the most recent simulation step
+const broadPhaseStats = { pairs: 0, time: 0 };
+
+// Fixed-step driver for updateSimulation (60 steps per simulated second)
+const simulationLoop = new FixedTimestepLoop({ step: updateSimulation });
 
 /**
- * Configures vertex attribute settings for shader position data.
- * This function sets up the connection between the vertex buffer data
- * and the vertex shader's position attribute.
- * 
- * Configuration Details:
- * - Attribute Name: 'aPosition' in the vertex shader
- * - Components: 3 (x, y, z coordinates)
- * - Data Type: gl.FLOAT (32-bit floating point)
- * - Normalization: false (use values as-is)
- * - Stride: 0 (tightly packed data)
- * - Offset: 0 (start at beginning of buffer)
- * 
- * Process:
- * 1. Locates the position attribute in the shader program
- * 2. Specifies how to read vertex data from the buffer
- * 3. Enables the attribute for use in rendering
- * 
- * @param {WebGLRenderingContext} gl - The WebGL rendering context
- * @param {WebGLProgram} shaderProgram - The compiled shader program containing the attribute
+ * Linear interpolation between two numbers.
+ * @param {number} a - Value at t = 0
+ * @param {number} b - Value at t = 1
+ * @param {number} t - Blend factor
+ * @returns {number} Interpolated value
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Builds a cube's model matrix from its state interpolated between the
+ * last two simulation steps.
  * 
- * @example
- * // Usage in rendering loop
- * gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
- * initAttributes(gl, shaderProgram);
- * // Ready for drawing commands
+ * @param {Cube} cube
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @param {mat4} [out] - Matrix to write to (a new one by default)
+ * @returns {mat4} The model matrix
+ */
+function getCubeModelMatrix(cube, alpha, out = mat4.create()) {
+    const pos = cube.position;
+    const prev = cube.previous;
+    const angle = lerp(prev.angle, cube.angle, alpha);
+
+    mat4.identity(out);
+    // Position
+    mat4.translate(out, out, [
+        lerp(prev.x, pos.x, alpha),
+        lerp(prev.y, pos.y, alpha),
+        lerp(prev.z, pos.z, alpha)
+    ]);
+    // Scale
+    mat4.scale(out, out, [cube.size, cube.size, cube.size]);
+    // Rotation
+    mat4.rotateY(out, out, angle);
+    mat4.rotateX(out, out, angle * 0.5);
+    return out;
+}
+
+/**
+ * @param {Object} shader - Registry entry of the active shading mode
+ * @returns {boolean} Whether cubes are drawn with the instanced path
+ */
+function isInstancingActive(shader) {
+    return instancingEnabled && instancer.supported && shader.instancedProgramInfo !== null;
+}
+
+/**
+ * Writes every cube's model matrix and color to the instance buffer.
+ * Done once per frame, before the viewports are drawn, and again for
+ * every view with translucent cubes to put them in drawing order.
  * 
- * @throws {Error} If position attribute location is not found (-1)
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @param {Iterable<Cube>} [cubes=scene] - Every cube, in instance order
  */
-function initAttributes(gl, shaderProgram) {
-    // Get the location of the position attribute in the shader program
-    const positionLocation = gl.getAttribLocation(shaderProgram, "aPosition");
-    
-    // Verify attribute location was found
-    if (positionLocation === -1) {
-        throw new Error("Position attribute 'aPosition' not found in shader program");
+function updateCubeInstances(alpha, cubes = scene) {
+    instancer.begin(scene.count);
+    for (const cube of cubes) {
+        instancer.push(getCubeModelMatrix(cube, alpha, instanceMatrix), cube.color.current);
     }
+    instancer.upload();
+}
 
-    // Configure the attribute pointer:
-    // - positionLocation: Where in the shader to put the data
-    // - 3: Each vertex has 3 components (x, y, z)
-    // - gl.FLOAT: Data is 32-bit floating point
-    // - false: Don't normalize the data
-    // - 0: No stride (data is tightly packed)
-    // - 0: Start at the beginning of the buffer
-    gl.vertexAttribPointer(
-        positionLocation,  // Attribute location
-        3,                 // Number of components per vertex
-        gl.FLOAT,         // Data type
-        false,            // Don't normalize values
-        0,                // Stride (0 = auto)
-        0                 // Offset into buffer
-    );
+/**
+ * Draws the faces of every cube with a program that only needs their
+ * transform, e.g. the shadow depth and normal-depth programs, which their
+ * managers have already set up for the light or camera. Uses the instance
+ * buffer when instanced drawing is on.
+ * 
+ * Global Dependencies:
+ * @requires instancer - Instance buffer (filled for this frame)
+ * 
+ * @param {ShaderProgram} program - Program for cubes drawn one at a time
+ * @param {ShaderProgram} instancedProgram - The same program built with INSTANCED
+ * @param {string} uniform - Per-cube matrix uniform of `program`: the
+ *   model matrix, or the model-view matrix when viewMatrix is given
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @param {mat4} [viewMatrix=null] - View matrix to put in front of the model matrix
+ */
+function drawCubeFacesWith(program, instancedProgram, uniform, alpha, viewMatrix = null) {
+    meshes.cubeFaces.bind();
+
+    if (instancingEnabled && instancer.supported) {
+        instancedProgram.use();
+        instancer.draw(instancedProgram, gl.TRIANGLES, faceIndices.length);
+    } else {
+        const matrix = mat4.create();
+        program.use();
+        for (const cube of scene) {
+            getCubeModelMatrix(cube, alpha, matrix);
+            if (viewMatrix) mat4.multiply(matrix, viewMatrix, matrix);
+            program.setUniform(uniform, matrix);
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+        }
+    }
 
-    // Enable the attribute array for rendering
-    gl.enableVertexAttribArray(positionLocation);
+    meshes.cubeFaces.unbind();
 }
 
 /**
- * Calculates and returns the camera's model-view matrix using spherical coordinates.
- * This function converts user-controlled spherical coordinates (radius, theta, phi)
- * into a camera position and generates the corresponding view matrix.
+ * Draws the ground, lit by the scene lights and darkened by the shadows
+ * of every light that casts them.
+ * 
+ * Global Dependencies:
+ * @requires groundProgram - Ground shader
+ * @requires shadowManager - Shadow maps rendered this frame
  * 
- * Coordinate System:
- * Spherical to Cartesian conversion:
- * - radius: Distance from origin to camera
- * - theta: Azimuthal angle in x-z plane from x-axis (horizontal rotation)
- * - phi: Polar angle from y-axis (vertical rotation)
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {mat4} projectionMatrix - Projection for the viewport
+ */
+function drawGround(cameraMatrix, projectionMatrix) {
+    const lighting = getLightingInputs(cameraMatrix);
+    const shadows = shadowManager.getUniforms();
+
+    groundProgram.use();
+    groundProgram.setUniforms({
+        uModelMatrix: groundModelMatrix,
+        uViewMatrix: cameraMatrix,
+        uProjectionMatrix: projectionMatrix,
+        uColor: [0.85, 0.85, 0.82, 1.0],
+        uCameraPosition: lighting.cameraPosition,
+        uLightCount: lighting.lightCount,
+        uLightPositions: lighting.lightPositions,
+        uLightColors: lighting.lightColors,
+        uLightAttenuations: lighting.lightAttenuations,
+        uAmbientLight: lighting.ambientLight,
+        uShininess: 8.0,
+        uSpecularStrength: 0.1,
+        uShadowMatrices: shadows.shadowMatrices,
+        uShadowEnabled: shadows.shadowEnabled,
+        uShadowMapTexelSize: shadows.shadowMapTexelSize
+    });
+    shadows.shadowMaps.forEach((texture, i) => groundProgram.setUniform(`uShadowMap${i}`, texture));
+
+    meshes.ground.bind();
+    gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+    meshes.ground.unbind();
+}
+
+/**
+ * Collects the shader inputs that describe the lighting for one view.
  * 
- * Matrix Components:
- * - Position: Calculated camera position in 3D space
- * - Target: Fixed at origin [0,0,0]
- * - Up Vector: Fixed as [0,1,0] (world-space up direction)
+ * Global Dependencies:
+ * @requires lightManager - Scene lights
  * 
- * Mathematical Conversions:
- * x = radius * sin(phi) * cos(theta)
- * y = radius * cos(phi)
- * z = radius * sin(phi) * sin(theta)
+ * @param {mat4} cameraMatrix - View matrix
+ * @returns {Object} Scene light inputs plus the world-space cameraPosition
+ */
+function getLightingInputs(cameraMatrix) {
+    // The camera sits at the origin of view space; undo the view transform
+    const inverseView = mat4.invert(mat4.create(), cameraMatrix);
+    return {
+        ...lightManager.getUniforms(),
+        cameraPosition: [inverseView[12], inverseView[13], inverseView[14]]
+    };
+}
+
+/**
+ * Collects the shader inputs that describe the current texture.
  * 
  * Global Dependencies:
- * @requires radius - Camera distance from origin
- * @requires theta - Horizontal rotation angle
- * @requires phi - Vertical rotation angle
- * @requires mat4 - glMatrix library for matrix operations
+ * @requires textureManager - Loaded and generated textures
  * 
- * @returns {mat4} The calculated model-view matrix for the camera
+ * @returns {{texture: WebGLTexture, faceGrid: Array<number>}}
+ */
+function getTextureInputs() {
+    const { texture, faceGrid } = textureManager.getCurrent();
+    return { texture, faceGrid };
+}
+
+/**
+ * Marks each scene light with a small cube in the light's color: solid
+ * with an outline for point lights, outline only (and larger) for
+ * directional lights, which sit where their light comes from.
  * 
- * @example
- * // Update camera position based on user input
- * radius = 5.0;  // 5 units from origin
- * theta = Math.PI / 4;  // 45 degrees horizontal
- * phi = Math.PI / 3;    // 60 degrees vertical
- * const viewMatrix = updateModelViewMatrix();
+ * Global Dependencies:
+ * @requires lightManager - Scene lights
+ * @requires solidColorProgram - Flat color program
+ * 
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {mat4} projectionMatrix - Projection for the viewport
  */
-function updateModelViewMatrix() {
-    // Initialize a new 4x4 matrix
+function drawLightGizmos(cameraMatrix, projectionMatrix) {
     const modelViewMatrix = mat4.create();
-   
-    // Convert spherical coordinates to Cartesian coordinates
-    // x coordinate: Distance in the x direction
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    
-    // y coordinate: Height above the x-z plane
-    const y = radius * Math.cos(phi);
-    
-    // z coordinate: Distance in the z direction
-    const z = radius * Math.sin(phi) * Math.sin(theta);
-
-    // Create view matrix using glMatrix lookAt function
-    // Parameters:
-    // 1. out: Matrix to store result
-    // 2. eye: Camera position [x,y,z]
-    // 3. center: Point to look at [0,0,0]
-    // 4. up: Up direction [0,1,0]
-    mat4.lookAt(
-        modelViewMatrix,  // Output matrix
-        [x, y, z],       // Camera position in world space
-        [0, 0, 0],       // Looking at origin
-        [0, 1, 0]        // World-space up vector
-    );
 
-    return modelViewMatrix;
+    solidColorProgram.use();
+    solidColorProgram.setUniform("uProjectionMatrix", projectionMatrix);
+
+    lightManager.lights.forEach(light => {
+        const size = light.type === "point" ? 0.04 : 0.07;
+        mat4.translate(modelViewMatrix, cameraMatrix, light.position);
+        mat4.scale(modelViewMatrix, modelViewMatrix, [size, size, size]);
+        solidColorProgram.setUniform("uModelViewMatrix", modelViewMatrix);
+
+        if (light.type === "point") {
+            solidColorProgram.setUniform("uColor", [...light.color, 1.0]);
+            meshes.cubeFaces.bind();
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+            meshes.cubeFaces.unbind();
+            solidColorProgram.setUniform("uColor", [0.0, 0.0, 0.0, 1.0]);
+        } else {
+            solidColorProgram.setUniform("uColor", [...light.color, 1.0]);
+        }
+        meshes.cubeEdges.bind();
+        gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
+        meshes.cubeEdges.unbind();
+    });
 }
 
-class ProjectionManager {
-    constructor(gl, canvas) {
-        this.gl = gl;
-        this.canvas = canvas;
-        this.currentType = 'perspective';
-        
-        this.matrices = {
-            perspective: mat4.create(),
-            orthographic: mat4.create(),
-            oblique: mat4.create()
-        };
-        
-        this.updateProjection();
+/**
+ * Starts or ends the depth-only pre-pass of the hidden-line modes. Faces
+ * drawn in between write depth but no color, pushed back by a polygon
+ * offset, so edges drawn on the faces afterwards pass the depth test while
+ * edges behind other faces don't.
+ * 
+ * @param {boolean} active - Whether the pre-pass starts (true) or ends
+ */
+function setDepthPrePass(active) {
+    gl.colorMask(!active, !active, !active, !active);
+    if (active) {
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1.0, 1.0);
+    } else {
+        gl.disable(gl.POLYGON_OFFSET_FILL);
     }
-    
-    updateProjection() {
-        const aspect = this.canvas.width / this.canvas.height;
-        
-        // Perspective (original style)
-        mat4.perspective(
-            this.matrices.perspective,
-            Math.PI / 4,
-            aspect,
-            0.1,
-            50.0
-        );
-        
-        // Orthographic
-        const orthoSize = 5.0;
-        mat4.ortho(
-            this.matrices.orthographic,
-            -orthoSize * aspect,
-            orthoSize * aspect,
-            -orthoSize,
-            orthoSize,
-            0.1,
-            50.0
-        );
-        
-        // Oblique (cabinet projection)
-        const obliqueMatrix = mat4.create();
-        mat4.ortho(
-            obliqueMatrix,
-            -orthoSize * aspect,
-            orthoSize * aspect,
-            -orthoSize,
-            orthoSize,
-            0.1,
-            50.0
-        );
-        
-        const alpha = Math.PI / 4;
-        const phi = Math.PI / 4;
-        const shearMatrix = mat4.create();
-        shearMatrix[8] = -1/Math.tan(alpha) * Math.cos(phi);
-        shearMatrix[9] = -1/Math.tan(alpha) * Math.sin(phi);
-        
-        mat4.multiply(this.matrices.oblique, obliqueMatrix, shearMatrix);
+}
+
+/**
+ * Starts or ends blending translucent faces over what is already drawn.
+ * Depth writes are off so everything behind stays visible, and face
+ * culling is on so back and front faces can be drawn in separate passes
+ * (the caller picks the culled side). The canvas keeps an alpha of 1, so
+ * the page never shows through.
+ * 
+ * @param {boolean} active - Whether blending starts (true) or ends
+ */
+function setTranslucentPass(active) {
+    if (active) {
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+        gl.enable(gl.CULL_FACE);
+    } else {
+        gl.disable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
     }
-    
-    setProjectionType(type) {
-        if (this.matrices[type]) {
-            this.currentType = type;
+}
+
+/**
+ * Splits the cubes into opaque ones and translucent ones, which are sorted
+ * back to front by the view depth of their centers. Cubes are translucent
+ * below full opacity, or all of them when the shading mode is; the edge
+ * modes ignore opacity.
+ * 
+ * @param {Object} shader - Registry entry of the active shading mode
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @returns {{opaque: Cube[], translucent: Cube[]}}
+ */
+function sortCubesForBlending(shader, cameraMatrix, alpha) {
+    const opaque = [];
+    const translucent = [];
+    const blending = shader.mode === "faces";
+    for (const cube of scene) {
+        if (blending && (shader.translucent || cube.opacity < 1.0)) {
+            translucent.push(cube);
+        } else {
+            opaque.push(cube);
         }
     }
-    
-    getCurrentMatrix() {
-        return this.matrices[this.currentType];
-    }
-}
 
-// Set up perspective projection matrix
-const projectionManager = new ProjectionManager(gl, canvas);
+    // View-space z grows toward the camera, so the farthest cube comes first
+    const depths = new Map(translucent.map(cube => {
+        const m = getCubeModelMatrix(cube, alpha, instanceMatrix);
+        return [cube, cameraMatrix[2] * m[12] + cameraMatrix[6] * m[13] + cameraMatrix[10] * m[14]];
+    }));
+    translucent.sort((a, b) => depths.get(a) - depths.get(b));
+    return { opaque, translucent };
+}
 
 /**
- * Manages multiple shader programs and handles switching between them.
- * This class encapsulates shader program creation, compilation, and switching logic
- * while maintaining clean separation of concerns.
+ * Draws cubes from the instance buffer: one call for the faces and one
+ * for the edge overlay, or in the hidden-line modes a depth pre-pass
+ * followed by the edges.
+ * 
+ * Translucent cubes are blended one instance at a time in buffer (back to
+ * front) order, each with its back faces before its front faces; their
+ * edges follow in one call.
+ * 
+ * @param {Object} shader - Registry entry of the active shading mode
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {mat4} projectionMatrix - Projection for the viewport
+ * @param {number} currentTime - Simulated time for shader animation (seconds)
+ * @param {boolean} edgeOverlay - Draw the edge lines over the faces
+ * @param {Object} [batch] - Cubes to draw
+ * @param {number} [batch.first=0] - First instance
+ * @param {number} [batch.count] - Instances (defaults to the rest of the buffer)
+ * @param {boolean} [batch.translucent=false] - Blend the faces
  */
-class ShaderManager {
-    constructor(gl) {
-        this.gl = gl;
-        this.currentProgram = null;
-        this.programs = new Map();
-        this.currentShaderType = 'default';
-        this.pendingShaderSwitch = false;
-        this.lightPosition = [5.0, 5.0, 5.0];
-        
-        this.initialize();
+function drawCubesInstanced(shader, cameraMatrix, projectionMatrix, currentTime, edgeOverlay,
+    { first = 0, count = instancer.uploadedCount - first, translucent = false } = {}) {
+    const inputs = {
+        ...getLightingInputs(cameraMatrix),
+        ...getTextureInputs(),
+        viewMatrix: cameraMatrix,
+        projectionMatrix,
+        time: currentTime,
+        edgeColor,
+        edgeWidth
+    };
+    const programInfo = shader.instancedProgramInfo;
+
+    programInfo.use();
+    shaderManager.bindInputs(shader, inputs, true);
+    meshes.cubeFaces.bind();
+    if (translucent) {
+        setTranslucentPass(true);
+        for (let i = first; i < first + count; i++) {
+            gl.cullFace(gl.FRONT);
+            instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length, i, 1);
+            gl.cullFace(gl.BACK);
+            instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length, i, 1);
+        }
+        setTranslucentPass(false);
+    } else if (shader.mode === "faces") {
+        instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length, first, count);
+    } else {
+        setDepthPrePass(true);
+        instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length, first, count);
+        setDepthPrePass(false);
+        if (shader.mode === "shadedEdges") {
+            instancer.draw(programInfo, gl.TRIANGLES, faceIndices.length, first, count);
+        }
     }
+    meshes.cubeFaces.unbind();
 
-    initialize() {
-        this.createShaderPrograms();
-        this.setupEventListeners();
-    }
+    if (shader.mode === "shadedEdges" || (shader.mode === "faces" && !edgeOverlay)) return;
 
-    createShaderPrograms() {
-        // Default shader (existing implementation)
-        this.programs.set('default', {
-            vertex: vertexShaderSource,
-            fragment: fragmentShaderSource,
-            program: initShaderProgram(this.gl, vertexShaderSource, fragmentShaderSource),
-            preserveColor: true,
-            setupAttributes: (program) => {
-                program.positionAttribute = this.gl.getAttribLocation(program, 'aPosition');
-            }
-        });
+    const edgeShader = shader.mode === "edges" ? shader : shaderManager.programs.get('wireframe');
+    edgeShader.instancedProgramInfo.use();
+    shaderManager.bindInputs(edgeShader, inputs, true);
+    meshes.cubeEdges.bind();
+    instancer.draw(edgeShader.instancedProgramInfo, gl.LINES, edgeIndices.length, first, count);
+    meshes.cubeEdges.unbind();
+}
 
-        // Phong shader
-        const phongProgram = initShaderProgram(this.gl, phongVertexShader, phongFragmentShader);
-        this.programs.set('phong', {
-            program: phongProgram,
-            preserveColor: true,
-            needsLighting: true,
-            setupAttributes: (program) => {
-                program.positionAttribute = this.gl.getAttribLocation(program, 'aPosition');
-                program.normalAttribute = this.gl.getAttribLocation(program, 'aNormal');
-                program.lightPositionUniform = this.gl.getUniformLocation(program, 'uLightPosition');
-            }
-        });
+/**
+ * Draws the cubes one at a time (the fallback when instancing is off,
+ * unsupported, or the shading mode has no instanced build). In the
+ * hidden-line modes every cube goes through the depth pre-pass before any
+ * edges are drawn, so cubes hide each other's edges too.
+ * 
+ * Translucent cubes are blended one by one in the given (back to front)
+ * order, each with its back faces before its front faces; their edges
+ * are drawn after all of the faces so they stay sharp.
+ * 
+ * @param {Object} shader - Registry entry of the active shading mode
+ * @param {mat4} cameraMatrix - View matrix
+ * @param {mat4} projectionMatrix - Projection for the viewport
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @param {number} currentTime - Simulated time for shader animation (seconds)
+ * @param {boolean} edgeOverlay - Draw the edge lines over the faces
+ * @param {Object} [batch] - Cubes to draw
+ * @param {Iterable<Cube>} [batch.cubes=scene] - Cubes, in drawing order
+ * @param {boolean} [batch.translucent=false] - Blend the faces
+ */
+function drawCubesIndividually(shader, cameraMatrix, projectionMatrix, alpha, currentTime, edgeOverlay,
+    { cubes = scene, translucent = false } = {}) {
+    const modelMatrix = mat4.create();
+    const modelViewMatrix = mat4.create();
+    const normalMatrix = mat3.create();
+    const sceneInputs = { ...getLightingInputs(cameraMatrix), ...getTextureInputs(), edgeColor, edgeWidth };
 
-        // Toon shader
-        const toonProgram = initShaderProgram(this.gl, toonVertexShader, toonFragmentShader);
-        this.programs.set('toon', {
-            program: toonProgram,
-            preserveColor: true,
-            needsLighting: true,
-            setupAttributes: (program) => {
-                program.positionAttribute = this.gl.getAttribLocation(program, 'aPosition');
-                program.normalAttribute = this.gl.getAttribLocation(program, 'aNormal');
-                program.lightPositionUniform = this.gl.getUniformLocation(program, 'uLightPosition');
-            }
-        });
+    // Create model transformation matrix from the interpolated state and
+    // combine it with the camera view matrix
+    const setCubeMatrices = (cube) => {
+        getCubeModelMatrix(cube, alpha, modelMatrix);
+        mat4.multiply(modelViewMatrix, cameraMatrix, modelMatrix);
+        mat3.normalFromMat4(normalMatrix, modelMatrix);
+    };
 
-        const wireframeProgram = initShaderProgram(this.gl, wireframeVertexShader, wireframeFragmentShader);
-        this.programs.set('wireframe', {
-            program: wireframeProgram,
-            preserveColor: false,
-            setupAttributes: (program) => {
-                program.positionAttribute = this.gl.getAttribLocation(program, 'aPosition');
-            }
+    // Uses the active shading mode's program with the cube's transforms
+    // and whatever other uniforms the mode declared
+    const bindCube = (cube) => {
+        shader.programInfo.use();
+        setCubeMatrices(cube);
+
+        shaderManager.bindInputs(shader, {
+            ...sceneInputs,
+            modelMatrix,
+            viewMatrix: cameraMatrix,
+            modelViewMatrix,
+            projectionMatrix,
+            normalMatrix,
+            color: cube.color.current,
+            time: currentTime
         });
+    };
 
-        // Initialize all programs
-        this.programs.forEach((shaderInfo, type) => {
-            if (shaderInfo.setupAttributes) {
-                shaderInfo.setupAttributes(shaderInfo.program);
-            }
+    // Edge lines of the cube whose matrices were set last, for better
+    // visual definition
+    const drawEdgeOverlay = () => {
+        const edgeProgram = shaderManager.programs.get('wireframe').programInfo;
+        edgeProgram.use();
+        edgeProgram.setUniforms({
+            uModelViewMatrix: modelViewMatrix,
+            uProjectionMatrix: projectionMatrix,
+            uEdgeColor: edgeColor
         });
 
-        this.currentProgram = this.programs.get('default').program;
-    }
+        meshes.cubeEdges.bind();
+        gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
+        meshes.cubeEdges.unbind();
+    };
 
-    setupShaderAttributes(program) {
-        const shaderInfo = this.programs.get(this.currentShaderType);
-        if (shaderInfo.needsLighting) {
-            // Set up normal attribute
-            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, normalBuffer);
-            this.gl.vertexAttribPointer(
-                shaderInfo.program.normalAttribute,
-                3,
-                this.gl.FLOAT,
-                false,
-                0,
-                0
-            );
-            this.gl.enableVertexAttribArray(shaderInfo.program.normalAttribute);
-            
-            // Update light position
-            this.gl.uniform3fv(shaderInfo.program.lightPositionUniform, this.lightPosition);
+    if (translucent) {
+        setTranslucentPass(true);
+        meshes.cubeFaces.bind();
+        for (const cube of cubes) {
+            bindCube(cube);
+            gl.cullFace(gl.FRONT);
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+            gl.cullFace(gl.BACK);
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
         }
-    }
+        meshes.cubeFaces.unbind();
+        setTranslucentPass(false);
 
-    setupEventListeners() {
-        const shaderSelect = document.getElementById('shaderSelect');
-        shaderSelect.addEventListener('change', (e) => {
-            this.switchShader(e.target.value);
-        });
+        if (!edgeOverlay) return;
+        for (const cube of cubes) {
+            setCubeMatrices(cube);
+            drawEdgeOverlay();
+        }
+        return;
     }
 
-    switchShader(shaderType) {
-        const shaderProgram = this.programs.get(shaderType);
-        if (shaderProgram) {
-            this.currentShaderType = shaderType;
-            this.currentProgram = shaderProgram.program;
-            this.pendingShaderSwitch = true;
+    if (shader.mode !== "faces") {
+        setDepthPrePass(true);
+        meshes.cubeFaces.bind();
+        for (const cube of cubes) {
+            bindCube(cube);
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
         }
+        meshes.cubeFaces.unbind();
+        setDepthPrePass(false);
     }
 
-    getCurrentProgram() {
-        return this.currentProgram;
-    }
+    // Iterate through each cube in the scene
+    for (const cube of cubes) {
+        bindCube(cube);
 
-    shouldPreserveColor() {
-        const program = this.programs.get(this.currentShaderType);
-        return program.preserveColor !== false;
-    }
+        // Handle different rendering modes
+        if (shader.mode === "edges") {
+            // Draw only edges for wireframe visualization
+            meshes.cubeEdges.bind();
+            gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
+            meshes.cubeEdges.unbind();
+        } else {
+            // Render cube faces (only their edges survive in shadedEdges mode)
+            meshes.cubeFaces.bind();
+            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
+            meshes.cubeFaces.unbind();
 
-    isWireframe() {
-        return this.currentShaderType === 'wireframe';
+            if (shader.mode !== "shadedEdges" && edgeOverlay) drawEdgeOverlay();
+        }
     }
+}
 
-    checkPendingSwitch() {
-        if (this.pendingShaderSwitch) {
-            this.pendingShaderSwitch = false;
-            return true;
+/**
+ * Draws the grid, bounds and cubes for one view.
+ * Called once per viewport each frame; the simulation is not advanced here.
+ * 
+ * Draw Order:
+ * 1. Ground, reference grid and world bounds outline
+ * 2. Opaque cubes (faces plus edges, or only their visible edges in the
+ *    wireframe modes), instanced or one at a time
+ * 3. Light gizmos
+ * 4. Translucent cubes, back to front, then their edges
+ * 5. Selection outline
+ * 6. Translucent world bounds walls
+ * 
+ * @param {mat4} cameraMatrix - View matrix of the viewport's camera
+ * @param {mat4} projectionMatrix - Projection for the viewport
+ * @param {number} alpha - Interpolation factor between simulation steps
+ * @param {number} currentTime - Simulated time for shader animation (seconds)
+ */
+function drawScene(cameraMatrix, projectionMatrix, alpha, currentTime) {
+    // ---- Ground Rendering ----
+    drawGround(cameraMatrix, projectionMatrix);
+
+    // ---- Grid Rendering ----
+    // Setup and render the reference grid using wireframe shader
+    const gridProgram = shaderManager.programs.get('wireframe').programInfo;
+    gridProgram.use();
+
+    // Create and apply grid transformation matrix (places it on the ground)
+    const gridModelViewMatrix = mat4.create();
+    mat4.multiply(gridModelViewMatrix, cameraMatrix, gridModelMatrix);
+
+    // Set grid shader uniforms for transformation
+    gridProgram.setUniforms({
+        uModelViewMatrix: gridModelViewMatrix,
+        uProjectionMatrix: projectionMatrix,
+        uEdgeColor: [0.0, 0.0, 0.0]  // The edge color is for cubes only
+    });
+
+    // Render grid lines
+    meshes.grid.bind();
+    gl.drawElements(gl.LINES, gridIndices.length, gl.UNSIGNED_SHORT, 0);
+    meshes.grid.unbind();
+
+    // Outline the world bounds alongside the grid
+    drawWorldBounds(cameraMatrix, projectionMatrix, "edges");
+
+    // ---- Cube Rendering ----
+    // Thousands of cubes take one draw call per pass when the mode has an
+    // instanced build; otherwise each cube is drawn separately
+    // (the screen-space outline pass takes the place of the edge overlay)
+    const shader = shaderManager.getCurrentShader();
+    const edgeOverlay = !postProcessor.isEnabled("outline");
+    const instanced = isInstancingActive(shader);
+    const { opaque, translucent } = sortCubesForBlending(shader, cameraMatrix, alpha);
+    if (instanced && translucent.length > 0) {
+        // Translucent instances go after the opaque ones, in this view's
+        // back-to-front order
+        updateCubeInstances(alpha, opaque.concat(translucent));
+    }
+    const drawCubes = (cubes, first, blend) => {
+        if (instanced) {
+            drawCubesInstanced(shader, cameraMatrix, projectionMatrix, currentTime, edgeOverlay,
+                { first, count: cubes.length, translucent: blend });
+        } else {
+            drawCubesIndividually(shader, cameraMatrix, projectionMatrix, alpha, currentTime, edgeOverlay,
+                { cubes, translucent: blend });
         }
-        return false;
+    };
+    drawCubes(opaque, 0, false);
+
+    drawLightGizmos(cameraMatrix, projectionMatrix);
+
+    // ---- Translucent Geometry ----
+    // Translucent cubes don't write depth, so they come after everything
+    // opaque, and bounds walls are blended over everything drawn so far
+    if (translucent.length > 0) {
+        drawCubes(translucent, opaque.length, true);
     }
-}
 
-// Initialize shader manager globally
-const shaderManager = new ShaderManager(gl);
+    if (selectedCube && scene.has(selectedCube)) {
+        const modelViewMatrix = mat4.create();
+        mat4.multiply(modelViewMatrix, cameraMatrix, getCubeModelMatrix(selectedCube, alpha));
+        drawSelectionOutline(modelViewMatrix, projectionMatrix);
+    }
 
-// Animation control flag
-let animationPaused = false;
+    drawWorldBounds(cameraMatrix, projectionMatrix, "faces");
+}
 
 /**
  * Main WebGL Render Loop
  * Handles the complete rendering pipeline for the 3D scene including grid and cubes.
  * This function is called recursively through requestAnimationFrame to create smooth animation.
  * 
- * The function implements shader switching functionality and supports multiple visualization modes:
+ * Simulation is advanced by simulationLoop using the real time since the
+ * previous frame; cubes are then drawn between their last two simulated
+ * states using the loop's interpolation factor, once into every viewport
+ * of the current layout (see drawScene). When post-processing passes are
+ * on, the views are drawn offscreen and the passes bring them to the canvas
+ * (see postprocessing.js).
+ * 
+ * Cubes are drawn with the shading mode selected in the dropdown. Built-in
+ * modes (more can be registered through ShaderManager.registerShader):
  * - Default shading with color transitions
- * - Phong lighting for realistic shading
+ * - Blinn-Phong lighting from the scene lights (see lighting.js)
  * - Toon shading for cel-shaded effect
- * - Wireframe visualization for structural view
+ * - Textured faces (see textures.js)
+ * - Glass: every cube see-through, blended back to front
+ * - Wireframe visualization for structural view, with hidden edges removed
+ * - Thick wireframe edges drawn onto the faces (where derivatives exist)
+ * Cubes below full opacity are blended back to front in every face mode.
  */
 function render() {
-    // Check animation state to pause rendering if needed
-    if (animationPaused) return;
-
-    // Update spatial partitioning for collision detection
-    spatialGrid.updateGrid();
+    // ---- Stage 0: Simulation ----
+    // Advance the simulation by the real time elapsed since the last frame
+    // (skipped while paused, so the scene freezes but stays interactive)
+    const now = performance.now();
+    const frameTime = lastFrameTime === null ? 0 : (now - lastFrameTime) * 0.001;
+    lastFrameTime = now;
+    const alpha = animationPaused ? simulationLoop.alpha : simulationLoop.advance(frameTime);
+
+    // Apply camera inertia in real time, independent of the simulation
+    cameraController.update(frameTime);
+    projectionManager.setFocusDistance(cameraController.radius);
+    projectionManager.update(frameTime);
 
     // ---- Stage 1: Frame Setup ----
-    // Clear the scene with white background and reset depth buffer
-    gl.clearColor(1.0, 1.0, 1.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    // Every viewport shows the same simulated state with its own camera and
+    // projection; the scissor test limits clearing to the viewport
+    const currentTime = simulationLoop.elapsed;
     gl.enable(gl.DEPTH_TEST);  // Enable 3D depth sorting
 
-    // Calculate time for animations and get current view matrices
-    const currentTime = (Date.now() - startTime) * 0.001;
-    const cameraMatrix = updateModelViewMatrix();
-    const projectionMatrix = projectionManager.getCurrentMatrix();
-
-    // ---- Stage 2: Grid Rendering ----
-    // Setup and render the reference grid using wireframe shader
-    const gridProgram = shaderManager.programs.get('wireframe').program;
-    gl.useProgram(gridProgram);
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.gridVertexBuffer);
-    initAttributes(gl, gridProgram);
-
-    // Create and apply grid transformation matrix
-    const gridModelViewMatrix = mat4.create();
-    mat4.multiply(gridModelViewMatrix, cameraMatrix, mat4.create());
-
-    // Set grid shader uniforms for transformation
-    gl.uniformMatrix4fv(
-        gl.getUniformLocation(gridProgram, "uModelViewMatrix"),
-        false,
-        gridModelViewMatrix
-    );
-    gl.uniformMatrix4fv(
-        gl.getUniformLocation(gridProgram, "uProjectionMatrix"),
-        false,
-        projectionMatrix
-    );
-
-    // Render grid lines
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.gridIndexBuffer);
-    gl.drawElements(gl.LINES, gridIndices.length, gl.UNSIGNED_SHORT, 0);
-
-    // ---- Stage 3: Cube Rendering ----
-    // Iterate through each cube in the scene
-    for (let i = 0; i < positions.length; i++) {
-        const color = colors[i];
-        updateColorTransition(color);  // Handle color animation
-
-        // Set up shader program and attributes
-        const currentProgram = shaderManager.getCurrentProgram();
-        gl.useProgram(currentProgram);
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexBuffer);
-        initAttributes(gl, currentProgram);
-
-        // Configure lighting attributes for advanced shaders
-        if (shaderManager.programs.get(shaderManager.currentShaderType).needsLighting) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-            const normalAttrib = gl.getAttribLocation(currentProgram, 'aNormal');
-            gl.vertexAttribPointer(normalAttrib, 3, gl.FLOAT, false, 0, 0);
-            gl.enableVertexAttribArray(normalAttrib);
-        }
+    // Instance data only depends on the simulation, so it is shared by all
+    // viewports (and the shadow maps)
+    const instanced = isInstancingActive(shaderManager.getCurrentShader());
+    const shadowsActive = shadowManager.active;
+    const postProcessing = postProcessor.active;
+    const normalDepth = postProcessor.needsNormalDepth;
+    if (instanced || ((shadowsActive || normalDepth) && instancingEnabled && instancer.supported)) {
+        updateCubeInstances(alpha);
+    }
 
-        // Create model transformation matrix
-        const modelMatrix = mat4.create();
-        // Position
-        mat4.translate(modelMatrix, modelMatrix, [
-            positions[i].x,
-            positions[i].y,
-            positions[i].z
-        ]);
-        // Scale
-        mat4.scale(modelMatrix, modelMatrix, [0.2, 0.2, 0.2]);
-        // Rotation
-        mat4.rotateY(modelMatrix, modelMatrix, angles[i]);
-        mat4.rotateX(modelMatrix, modelMatrix, angles[i] * 0.5);
-
-        // Combine with camera view matrix
-        const modelViewMatrix = mat4.create();
-        mat4.multiply(modelViewMatrix, cameraMatrix, modelMatrix);
+    // Shadow maps are rendered once per frame for all viewports, before the
+    // scissor test is turned on so each map is cleared completely
+    if (shadowsActive) {
+        shadowManager.render(worldBounds, () => drawCubeFacesWith(
+            shadowManager.depthProgram, shadowManager.instancedDepthProgram, "uModelMatrix", alpha
+        ));
+    }
 
-        // Update physics and animation
-        checkCollisions(i);  // Check for collisions with other cubes
-
-        // Update cube properties
-        angles[i] += speeds[i];  // Rotation
-        positions[i].x += directions[i].dx;  // Position X
-        positions[i].y += directions[i].dy;  // Position Y
-        positions[i].z += directions[i].dz;  // Position Z
-
-        // Handle boundary collisions
-        if (positions[i].x > boundary.x || positions[i].x < -boundary.x) 
-            directions[i].dx *= -1;  // Reverse X direction
-        if (positions[i].y > boundary.y || positions[i].y < -boundary.y) 
-            directions[i].dy *= -1;  // Reverse Y direction
-        if (positions[i].z > -0.5 || positions[i].z < boundary.z) 
-            directions[i].dz *= -1;  // Reverse Z direction
-
-        // Set shader uniforms for animation and transformation
-        const timeLocation = gl.getUniformLocation(currentProgram, "uTime");
-        if (timeLocation) {
-            gl.uniform1f(timeLocation, currentTime);
+    // With post-processing on, the views are drawn offscreen (along with
+    // the normal-depth buffer when a pass reads it) and then run through
+    // the enabled passes onto the canvas
+    if (postProcessing) {
+        postProcessor.begin();
+    }
+    gl.enable(gl.SCISSOR_TEST);
+
+    for (const viewport of viewportManager.getViewports()) {
+        const { x, y, width, height } = viewportManager.getPixelRect(viewport);
+        const cameraMatrix = viewport.camera.getViewMatrix();
+        const projectionMatrix = viewportManager.getProjectionMatrix(viewport);
+        gl.viewport(x, y, width, height);
+        gl.scissor(x, y, width, height);
+
+        if (normalDepth) {
+            postProcessor.renderNormalDepth(cameraMatrix, projectionMatrix, () => drawCubeFacesWith(
+                postProcessor.normalDepthProgram, postProcessor.instancedNormalDepthProgram,
+                "uModelViewMatrix", alpha, cameraMatrix
+            ));
         }
 
-        gl.uniformMatrix4fv(
-            gl.getUniformLocation(currentProgram, "uModelViewMatrix"),
-            false,
-            modelViewMatrix
-        );
-        gl.uniformMatrix4fv(
-            gl.getUniformLocation(currentProgram, "uProjectionMatrix"),
-            false,
-            projectionMatrix
-        );
-
-        // Handle different rendering modes
-        if (shaderManager.isWireframe()) {
-            // Wireframe mode rendering setup
-            gl.enable(gl.CULL_FACE);  // Enable face culling for wireframe
-            gl.cullFace(gl.BACK);     // Cull back faces
-            gl.enable(gl.POLYGON_OFFSET_FILL);  // Enable polygon offset
-            gl.polygonOffset(1.0, 1.0);  // Set offset parameters
-            
-            // Draw only edges for wireframe visualization
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.edgeIndexBuffer);
-            gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
-            
-            // Restore render states
-            gl.disable(gl.POLYGON_OFFSET_FILL);
-            gl.disable(gl.CULL_FACE);
-        } else {
-            // Standard rendering mode
-            // Set color for non-wireframe modes
-            gl.uniform4fv(
-                gl.getUniformLocation(currentProgram, "uColor"),
-                color.current
-            );
-            
-            // Render cube faces
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.faceIndexBuffer);
-            gl.drawElements(gl.TRIANGLES, faceIndices.length, gl.UNSIGNED_SHORT, 0);
-
-            // Add edge lines for better visual definition
-            const edgeProgram = shaderManager.programs.get('wireframe').program;
-            gl.useProgram(edgeProgram);
-            initAttributes(gl, edgeProgram);
-            gl.uniformMatrix4fv(
-                gl.getUniformLocation(edgeProgram, "uModelViewMatrix"),
-                false,
-                modelViewMatrix
-            );
-            gl.uniformMatrix4fv(
-                gl.getUniformLocation(edgeProgram, "uProjectionMatrix"),
-                false,
-                projectionMatrix
-            );
-
-            // Draw edges
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.edgeIndexBuffer);
-            gl.drawElements(gl.LINES, edgeIndices.length, gl.UNSIGNED_SHORT, 0);
-        }
+        gl.clearColor(1.0, 1.0, 1.0, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        drawScene(cameraMatrix, projectionMatrix, alpha, currentTime);
     }
+    gl.disable(gl.SCISSOR_TEST);
 
-    // Schedule next frame if animation is active
-    if (!animationPaused) {
-        requestAnimationFrame(render);
+    if (postProcessing) {
+        postProcessor.finish({ time: currentTime });
     }
+
+    // Report broad-phase cost so the implementations can be compared
+    document.getElementById("broadPhaseStats").textContent =
+        `${scene.count} cubes (${instanced ? "instanced" : "per cube"}) · ` +
+        `${broadPhaseStats.pairs} pairs · ` +
+        `${broadPhaseStats.time.toFixed(2)} ms · ${wallHitCount} wall hits`;
+    updateCubeInfo();
+
+    // Schedule next frame
+    requestAnimationFrame(render);
 }
 // Start the animation
-render();
\ No newline at end of file
+render();
@@ -0,0 +1,501 @@
+/**
+ * Post-Processing Module
+ * Renders the scene into an offscreen framebuffer and runs it through a
+ * chain of full-screen passes on its way to the canvas.
+ *
+ * Passes:
+ * Passes run in list order, each reading the previous one's output (the
+ * first reads the scene); the last enabled pass draws to the canvas. With
+ * no pass enabled the scene is drawn straight to the canvas (keeping its
+ * multisampling), and nothing here is used. Built-in passes, all off at
+ * first:
+ * - outline: Sobel edges on the normal-depth buffer, replacing the cube
+ *   edge lines
+ * - bloom: Blurred bright parts added back to the image
+ * - colorGrading: Exposure, tint, contrast and saturation
+ * - vignette: Darker corners
+ * - fxaa: Fast approximate antialiasing, for the multisampling the
+ *   offscreen framebuffer doesn't have
+ *
+ * Stages:
+ * A pass is one or more full-screen shader stages. Each stage draws
+ * postVertexShader with its own fragment shader (see shaders.js), into a
+ * texture scaled by `scale` relative to the canvas; the last stage writes
+ * the pass's output. Stage `inputs` map sampler uniforms to textures:
+ * - "input": The pass's input image
+ * - "normalDepth": View-space normals and depth of the cubes (see
+ *   normalDepthFragmentShader); passes reading it make the renderer draw
+ *   the cubes a second time with renderNormalDepth()
+ * - the name of an earlier stage of the same pass: That stage's output
+ * Every sampler a stage's shader declares must be listed. Stages also get
+ * uTexelSize (the size of a pixel of the texture in uInput), uResolution
+ * (the size of the stage's output in pixels) and uTime.
+ *
+ * Uniform Sources:
+ * Pass and stage `uniforms` map uniform names to constants, or to
+ * functions receiving the inputs given to finish().
+ *
+ * Events:
+ * - "add": A pass was added or replaced (`detail.name`)
+ * - "change": A pass was switched on or off (`detail.name`)
+ *
+ * @example
+ * postProcessor.addPass("grayscale", {
+ *     label: "Grayscale",
+ *     fragment: grayscaleFragmentSource,  // Reads uInput at vTexCoord
+ *     uniforms: { uAmount: 1.0 },
+ *     before: "fxaa"
+ * });
+ * postProcessor.setEnabled("grayscale", true);
+ *
+ * // Each frame:
+ * postProcessor.begin();
+ * // ...draw the scene...
+ * postProcessor.finish({ time });
+ */
+
+import { buildShaderProgram } from "./shaderManager.js";
+import { ShaderProgram } from "./shaderProgram.js";
+import { VertexArray, ATTRIBUTE_LOCATIONS } from "./vertexArrays.js";
+import {
+    normalDepthVertexShader,
+    normalDepthFragmentShader,
+    postVertexShader,
+    fxaaFragmentShader,
+    bloomBrightFragmentShader,
+    blurFragmentShader,
+    bloomCombineFragmentShader,
+    vignetteFragmentShader,
+    colorGradingFragmentShader,
+    outlineFragmentShader
+} from "./shaders.js";
+
+// View distance stored as the largest depth in the normal-depth buffer
+const NORMAL_DEPTH_RANGE = 100.0;
+
+// Texture sources a stage input can name besides earlier stages
+const STAGE_SOURCES = ["input", "normalDepth"];
+
+export class PostProcessor extends EventTarget {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     */
+    constructor(gl) {
+        super();
+        this.gl = gl;
+        this.passes = [];
+        this.targets = new Map();  // Name -> { framebuffer, texture, depthBuffer, width, height }
+        this.width = 0;            // Size of the full-size targets (the drawing buffer)
+        this.height = 0;
+        this.controls = null;
+
+        // One triangle covering the screen (clip space [-1, 1] is inside it)
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+        this.triangle = new VertexArray(gl, {
+            attributes: [{ location: ATTRIBUTE_LOCATIONS.aPosition, buffer, size: 2 }],
+            indexBuffer: null
+        });
+
+        // Normal-depth programs for cubes drawn one at a time and instanced
+        this.normalDepthProgram = new ShaderProgram(
+            gl,
+            buildShaderProgram(gl, normalDepthVertexShader, normalDepthFragmentShader)
+        );
+        this.instancedNormalDepthProgram = new ShaderProgram(
+            gl,
+            buildShaderProgram(gl, normalDepthVertexShader, normalDepthFragmentShader, {
+                header: "#define INSTANCED\n"
+            })
+        );
+
+        this.createBuiltInPasses();
+    }
+
+    createBuiltInPasses() {
+        this.addPass("outline", {
+            label: "Outline",
+            stages: [{
+                fragment: outlineFragmentShader,
+                inputs: { uInput: "input", uNormalDepth: "normalDepth" }
+            }],
+            uniforms: { uOutlineColor: [0.0, 0.0, 0.0], uDepthThreshold: 0.1, uNormalThreshold: 0.4 }
+        });
+
+        // Bright parts are blurred at half size, which also widens the blur
+        this.addPass("bloom", {
+            label: "Bloom",
+            stages: [
+                { name: "bright", fragment: bloomBrightFragmentShader, scale: 0.5 },
+                { name: "blurX", fragment: blurFragmentShader, scale: 0.5, uniforms: { uDirection: [1.0, 0.0] } },
+                { name: "blurY", fragment: blurFragmentShader, scale: 0.5, uniforms: { uDirection: [0.0, 1.0] } },
+                { name: "combine", fragment: bloomCombineFragmentShader, inputs: { uInput: "input", uBloom: "blurY" } }
+            ],
+            uniforms: { uThreshold: 0.8, uStrength: 0.8 }
+        });
+
+        this.addPass("colorGrading", {
+            label: "Color Grading",
+            fragment: colorGradingFragmentShader,
+            uniforms: { uExposure: 1.05, uTint: [1.0, 0.97, 0.92], uContrast: 1.1, uSaturation: 1.2 }
+        });
+
+        this.addPass("vignette", {
+            label: "Vignette",
+            fragment: vignetteFragmentShader,
+            uniforms: { uStrength: 0.45, uRadius: 0.4 }
+        });
+
+        // Last, so it smooths the edges every other pass leaves
+        this.addPass("fxaa", {
+            label: "FXAA",
+            fragment: fxaaFragmentShader
+        });
+    }
+
+    /**
+     * Adds a pass, or replaces the one with the same name (in place).
+     *
+     * @param {string} name - Identifier used by setEnabled() and the controls
+     * @param {Object} options
+     * @param {string} [options.fragment] - Fragment shader of a single-stage pass
+     * @param {Array<Object>} [options.stages] - Stages of a multi-stage pass, each
+     *   { name, fragment, scale = 1, inputs, uniforms }; `inputs` defaults to
+     *   the previous stage's output (the pass input for the first) as uInput
+     * @param {Object<string, *>} [options.uniforms={}] - Uniforms of every
+     *   stage (see module docs); stage uniforms take precedence
+     * @param {string} [options.label=name] - Text shown in the controls
+     * @param {boolean} [options.enabled=false]
+     * @param {string} [options.before] - Name of the pass to insert in front of
+     *   (appended when missing)
+     * @throws {Error} If the stages are missing or name unknown inputs, or the
+     *   last stage isn't full size
+     * @throws {ShaderCompileError} If a stage doesn't build
+     */
+    addPass(name, { fragment, stages, uniforms = {}, label = name, enabled = false, before } = {}) {
+        if (!stages) {
+            if (!fragment) {
+                throw new Error(`Post-processing pass '${name}' needs a fragment shader or stages`);
+            }
+            stages = [{ fragment }];
+        }
+        if (stages.length === 0) {
+            throw new Error(`Post-processing pass '${name}' has no stages`);
+        }
+
+        const names = [];
+        const stageInfos = stages.map((stage, i) => {
+            const stageName = stage.name || `stage${i}`;
+            const inputs = stage.inputs || { uInput: i === 0 ? "input" : names[i - 1] };
+            Object.entries(inputs).forEach(([uniform, source]) => {
+                if (!STAGE_SOURCES.includes(source) && !names.includes(source)) {
+                    throw new Error(`Unknown input '${source}' for '${uniform}' of pass '${name}'`);
+                }
+            });
+            names.push(stageName);
+            return {
+                name: stageName,
+                scale: stage.scale || 1,
+                inputs: { ...inputs },
+                uniforms: { ...uniforms, ...stage.uniforms },
+                fragment: stage.fragment
+            };
+        });
+        if (stageInfos[stageInfos.length - 1].scale !== 1) {
+            throw new Error(`The last stage of pass '${name}' must be full size`);
+        }
+
+        // Build every stage before touching the list, so a failed build
+        // leaves the passes as they were
+        const built = [];
+        try {
+            stageInfos.forEach(stage => {
+                built.push(buildShaderProgram(this.gl, postVertexShader, stage.fragment));
+            });
+        } catch (error) {
+            built.forEach(program => this.gl.deleteProgram(program));
+            throw error;
+        }
+        stageInfos.forEach((stage, i) => {
+            stage.programInfo = new ShaderProgram(this.gl, built[i]);
+        });
+
+        const pass = {
+            name,
+            label,
+            enabled,
+            stages: stageInfos,
+            normalDepth: stageInfos.some(stage => Object.values(stage.inputs).includes("normalDepth"))
+        };
+
+        const index = this.passes.findIndex(p => p.name === name);
+        if (index !== -1) {
+            this.passes[index].stages.forEach(stage => this.gl.deleteProgram(stage.programInfo.program));
+            this.passes[index] = pass;
+        } else {
+            const beforeIndex = this.passes.findIndex(p => p.name === before);
+            this.passes.splice(beforeIndex === -1 ? this.passes.length : beforeIndex, 0, pass);
+        }
+        this.dispatchEvent(new CustomEvent("add", { detail: { name } }));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object} The pass
+     * @throws {Error} If there is no pass with that name
+     */
+    getPass(name) {
+        const pass = this.passes.find(p => p.name === name);
+        if (!pass) {
+            throw new Error(`Unknown post-processing pass '${name}'`);
+        }
+        return pass;
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        this.getPass(name).enabled = enabled;
+        this.dispatchEvent(new CustomEvent("change", { detail: { name } }));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} Whether the pass exists and is on
+     */
+    isEnabled(name) {
+        const pass = this.passes.find(p => p.name === name);
+        return pass !== undefined && pass.enabled;
+    }
+
+    /** @returns {boolean} Whether any pass is on (the scene goes offscreen) */
+    get active() {
+        return this.passes.some(pass => pass.enabled);
+    }
+
+    /** @returns {boolean} Whether an enabled pass reads the normal-depth buffer */
+    get needsNormalDepth() {
+        return this.passes.some(pass => pass.enabled && pass.normalDepth);
+    }
+
+    /**
+     * Binds the offscreen scene framebuffer for drawing the frame, resizing
+     * the targets first if the drawing buffer changed size.
+     */
+    begin() {
+        const gl = this.gl;
+        if (gl.drawingBufferWidth !== this.width || gl.drawingBufferHeight !== this.height) {
+            this.targets.forEach(target => deleteRenderTarget(gl, target));
+            this.targets.clear();
+            this.width = gl.drawingBufferWidth;
+            this.height = gl.drawingBufferHeight;
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.getTarget("scene", 1, { depth: true }).framebuffer);
+    }
+
+    /**
+     * Draws into the normal-depth buffer for the current viewport, then
+     * binds the scene framebuffer again. Call between begin() and finish(),
+     * with the viewport and scissor set; changes the clear color.
+     *
+     * @param {mat4} viewMatrix
+     * @param {mat4} projectionMatrix
+     * @param {function(): void} drawObjects - Draws the objects with one of
+     *   the normal-depth programs (uViewMatrix and uProjectionMatrix are
+     *   already set on both)
+     */
+    renderNormalDepth(viewMatrix, projectionMatrix, drawObjects) {
+        const gl = this.gl;
+        const target = this.getTarget("normalDepth", 1, { depth: true, filter: gl.NEAREST });
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.clearColor(0.5, 0.5, 1.0, 1.0);  // Facing the camera at the largest depth
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        [this.normalDepthProgram, this.instancedNormalDepthProgram].forEach(program => {
+            program.use();
+            program.setUniforms({
+                uViewMatrix: viewMatrix,
+                uProjectionMatrix: projectionMatrix,
+                uDepthRange: NORMAL_DEPTH_RANGE
+            });
+        });
+        drawObjects();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets.get("scene").framebuffer);
+    }
+
+    /**
+     * Runs the enabled passes on the scene drawn since begin(), ending on
+     * the canvas. Turns depth testing and blending off.
+     *
+     * @param {Object} [inputs={}] - Values for uniform functions; `time`
+     *   also sets uTime
+     */
+    finish(inputs = {}) {
+        const gl = this.gl;
+        const enabled = this.passes.filter(pass => pass.enabled);
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        this.triangle.bind();
+
+        // Passes alternate between two full-size targets
+        let input = this.targets.get("scene");
+        enabled.forEach((pass, index) => {
+            const output = index === enabled.length - 1 ? null : this.getTarget(index % 2 ? "pong" : "ping");
+            const sources = { input, normalDepth: this.targets.get("normalDepth") };
+
+            pass.stages.forEach((stage, i) => {
+                const last = i === pass.stages.length - 1;
+                const target = last ? output : this.getTarget(`${pass.name}:${stage.name}`, stage.scale);
+                this.drawStage(stage, target, sources, inputs);
+                sources[stage.name] = target;
+            });
+            input = output;
+        });
+
+        this.triangle.unbind();
+    }
+
+    /**
+     * @param {Object} stage - Stage of a pass
+     * @param {Object|null} target - Render target, or null for the canvas
+     * @param {Object<string, Object>} sources - Render targets by input name
+     * @param {Object} inputs - Values for uniform functions
+     */
+    drawStage(stage, target, sources, inputs) {
+        const gl = this.gl;
+        const width = target ? target.width : this.width;
+        const height = target ? target.height : this.height;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, width, height);
+
+        const program = stage.programInfo;
+        program.use();
+        Object.entries(stage.inputs).forEach(([uniform, source]) => {
+            program.setUniform(uniform, sources[source] ? sources[source].texture : null);
+        });
+
+        const texelSource = sources[stage.inputs.uInput] || { width, height };
+        program.setUniforms({
+            uTexelSize: [1 / texelSource.width, 1 / texelSource.height],
+            uResolution: [width, height],
+            uTime: inputs.time || 0
+        });
+        for (const uniform in stage.uniforms) {
+            const source = stage.uniforms[uniform];
+            program.setUniform(uniform, typeof source === "function" ? source(inputs) : source);
+        }
+
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    /**
+     * @param {string} name - Target name
+     * @param {number} [scale=1] - Size relative to the drawing buffer
+     * @param {Object} [options]
+     * @param {boolean} [options.depth=false] - With a depth buffer
+     * @param {number} [options.filter=gl.LINEAR] - Texture filter
+     * @returns {Object} The named render target, created on first use
+     */
+    getTarget(name, scale = 1, { depth = false, filter = this.gl.LINEAR } = {}) {
+        if (!this.targets.has(name)) {
+            const width = Math.max(1, Math.round(this.width * scale));
+            const height = Math.max(1, Math.round(this.height * scale));
+            this.targets.set(name, createRenderTarget(this.gl, width, height, { depth, filter }));
+        }
+        return this.targets.get(name);
+    }
+
+    /**
+     * Fills a container with one checkbox per pass, kept in step with the
+     * passes.
+     *
+     * @param {Object} controls
+     * @param {HTMLElement} controls.list - Container for the checkboxes
+     */
+    bindControls(controls) {
+        this.controls = controls;
+        this.addEventListener("add", () => this.syncControls());
+        this.addEventListener("change", () => this.syncControls());
+        this.syncControls();
+    }
+
+    syncControls() {
+        const list = this.controls && this.controls.list;
+        if (!list) return;
+
+        list.innerHTML = "";
+        this.passes.forEach(({ name, label, enabled }) => {
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = enabled;
+            checkbox.addEventListener("change", (e) => this.setEnabled(name, e.target.checked));
+
+            const row = document.createElement("label");
+            row.appendChild(checkbox);
+            row.appendChild(document.createTextNode(` ${label}`));
+            list.appendChild(row);
+        });
+    }
+}
+
+/**
+ * Creates a framebuffer rendering into an RGBA texture (clamped, so NPOT
+ * sizes work on WebGL1).
+ *
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {boolean} options.depth - Attach a depth renderbuffer
+ * @param {number} options.filter - Texture min and mag filter
+ * @returns {{framebuffer: WebGLFramebuffer, texture: WebGLTexture,
+ *   depthBuffer: WebGLRenderbuffer|null, width: number, height: number}}
+ * @throws {Error} If the framebuffer is incomplete
+ */
+function createRenderTarget(gl, width, height, { depth, filter }) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    let depthBuffer = null;
+    if (depth) {
+        depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    }
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    if (depthBuffer) {
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+    }
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error(`Post-processing framebuffer (${width}x${height}) is incomplete`);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return { framebuffer, texture, depthBuffer, width, height };
+}
+
+/**
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {Object} target - Render target from createRenderTarget
+ */
+function deleteRenderTarget(gl, target) {
+    gl.deleteFramebuffer(target.framebuffer);
+    gl.deleteTexture(target.texture);
+    if (target.depthBuffer) gl.deleteRenderbuffer(target.depthBuffer);
+}
@@ -0,0 +1,453 @@
+/**
+ * Projection Module
+ * Owns the projection matrices for every projection type and keeps them in
+ * step with the canvas drawing buffer and the camera.
+ *
+ * Projection Types:
+ * - perspective: Vertical field of view `fov`
+ * - orthographic: Parallel projection, `orthoSize` units from center to top
+ * - oblique: Orthographic with the view depth axis sheared onto the screen
+ *
+ * Parameters (each has a setter that recomputes the matrices):
+ * - fov: Perspective vertical field of view (radians)
+ * - near, far: Clip plane distances shared by all projections
+ * - orthoSize: Half-height of the parallel view volume. While
+ *   `orthoTracksFocus` is on it follows the focus distance:
+ *   orthoSize = focusDistance * tan(fov / 2)
+ *   which is the half-height of the perspective frustum at the orbit
+ *   target, so switching projections keeps the target the same size.
+ * - obliqueAngle: Direction the depth axis recedes in on screen (radians
+ *   from the +x screen axis)
+ * - obliqueDepthScale: Foreshortening of the depth axis
+ *
+ * Oblique Presets:
+ * - cavalier: Depth drawn at full length (depthScale 1, 45°)
+ * - cabinet: Depth drawn at half length (depthScale 0.5, 45°), which
+ *   looks closer to the real proportions
+ *
+ * The oblique shear is measured from the focus plane (the orbit target's
+ * depth), so the target stays at the center of the screen:
+ *   x' = x + depthScale * cos(angle) * (-z - focusDistance)
+ *   y' = y + depthScale * sin(angle) * (-z - focusDistance)
+ *
+ * Animated Transitions:
+ * setProjectionType() blends from the current projection to the new one over
+ * `transitionDuration` seconds (0 switches instantly); call update(dt) every
+ * frame to advance it. Every projection is described by three numbers:
+ * - perspective: 1 for perspective, 0 for parallel projections
+ * - shearX, shearY: Oblique shear (0 unless oblique)
+ * and these are blended with a smoothstep ease. Intermediate perspective
+ * amounts s are drawn as a dolly zoom: the virtual eye moves back to
+ * focusDistance / s while the field of view narrows, so the focus plane
+ * keeps its screen size and the view flattens smoothly into the parallel
+ * projection.
+ *
+ * Aspect Ratio:
+ * The aspect is read from the canvas drawing buffer (canvas.width /
+ * canvas.height) each time updateProjection() runs, so call it whenever
+ * the canvas is resized (see observeCanvasSize in canvasResize.js).
+ *
+ * Depends on the global glMatrix `mat4` (loaded by index.html).
+ *
+ * @example
+ * const projectionManager = new ProjectionManager(gl, canvas);
+ * projectionManager.setProjectionType("oblique");
+ * projectionManager.applyObliquePreset("cabinet");
+ * projectionManager.setFocusDistance(cameraController.radius);  // Per frame
+ * gl.uniformMatrix4fv(location, false, projectionManager.getCurrentMatrix());
+ */
+
+// Perspective amounts below this are drawn as a parallel projection
+const MIN_PERSPECTIVE = 0.001;
+
+export const OBLIQUE_PRESETS = {
+    cavalier: { angle: Math.PI / 4, depthScale: 1.0 },
+    cabinet: { angle: Math.PI / 4, depthScale: 0.5 }
+};
+
+export class ProjectionManager {
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {HTMLCanvasElement} canvas - Canvas whose drawing buffer sets the aspect
+     * @param {Object} [options]
+     * @param {number} [options.fov=Math.PI/4] - Vertical field of view (radians)
+     * @param {number} [options.near=0.1] - Near clip distance
+     * @param {number} [options.far=50] - Far clip distance
+     * @param {number} [options.orthoSize=5] - Parallel half-height when not tracking
+     * @param {boolean} [options.orthoTracksFocus=true] - Derive orthoSize from the focus distance
+     * @param {number} [options.focusDistance=2] - Distance from the eye to the orbit target
+     * @param {string} [options.obliquePreset="cabinet"] - Key of OBLIQUE_PRESETS
+     * @param {number} [options.transitionDuration=0] - Seconds to blend between types
+     */
+    constructor(gl, canvas, {
+        fov = Math.PI / 4,
+        near = 0.1,
+        far = 50.0,
+        orthoSize = 5.0,
+        orthoTracksFocus = true,
+        focusDistance = 2.0,
+        obliquePreset = 'cabinet',
+        transitionDuration = 0
+    } = {}) {
+        this.gl = gl;
+        this.canvas = canvas;
+        this.currentType = 'perspective';
+
+        this.fov = fov;
+        this.near = near;
+        this.far = far;
+        this.orthoSize = orthoSize;
+        this.orthoTracksFocus = orthoTracksFocus;
+        this.focusDistance = focusDistance;
+        this.obliquePreset = obliquePreset;
+        this.obliqueAngle = OBLIQUE_PRESETS[obliquePreset].angle;
+        this.obliqueDepthScale = OBLIQUE_PRESETS[obliquePreset].depthScale;
+
+        this.matrices = {
+            perspective: mat4.create(),
+            orthographic: mat4.create(),
+            oblique: mat4.create()
+        };
+
+        this.transitionDuration = transitionDuration;
+        this.transition = null;  // { from, elapsed, duration } while blending
+        this.transitionMatrix = mat4.create();
+
+        this.controls = null;
+        this.updateProjection();
+    }
+
+    /**
+     * Recomputes every projection matrix from the current parameters and
+     * canvas aspect ratio.
+     */
+    updateProjection() {
+        if (this.orthoTracksFocus) {
+            this.orthoSize = this.focusDistance * Math.tan(this.fov / 2);
+        }
+
+        Object.keys(this.matrices).forEach(type => {
+            this.buildMatrix(this.matrices[type], this.getParameters(type));
+        });
+        if (this.transition) this.updateTransitionMatrix();
+
+        this.syncControls();
+    }
+
+    /**
+     * @param {string} type - Projection type
+     * @returns {{perspective: number, shearX: number, shearY: number}}
+     *   Blendable description of the projection
+     */
+    getParameters(type) {
+        if (type === 'perspective') return { perspective: 1, shearX: 0, shearY: 0 };
+        if (type === 'oblique') {
+            return {
+                perspective: 0,
+                shearX: this.obliqueDepthScale * Math.cos(this.obliqueAngle),
+                shearY: this.obliqueDepthScale * Math.sin(this.obliqueAngle)
+            };
+        }
+        return { perspective: 0, shearX: 0, shearY: 0 };
+    }
+
+    /**
+     * Builds the projection for a (possibly blended) parameter set.
+     *
+     * Construction:
+     * 1. Shear view-space depth, relative to the focus plane, into x/y
+     * 2. Parallel (s = 0): orthographic box of half-height h
+     *    Perspective (s > 0): eye moved back by Δ = focusDistance / s - focusDistance,
+     *    with the field of view chosen so the focus plane still spans ±h
+     *    and the clip planes shifted by Δ so they stay where they were
+     *
+     * h blends from the perspective frustum's half-height at the focus
+     * plane (s = 1) to orthoSize (s = 0); the two match while
+     * orthoTracksFocus is on.
+     *
+     * @param {mat4} out - Receives the projection matrix
+     * @param {{perspective: number, shearX: number, shearY: number}} parameters
+     * @param {Object} [view] - Overrides for views other than the main canvas
+     * @param {number} [view.aspect] - Viewport aspect (default: canvas aspect)
+     * @param {number} [view.focusDistance] - Eye to focus plane distance
+     * @param {number} [view.orthoSize] - Parallel half-height
+     * @param {number} [view.near] - Near clip distance
+     * @param {number} [view.far] - Far clip distance
+     * @returns {mat4} out
+     */
+    buildMatrix(out, { perspective, shearX, shearY }, {
+        aspect = this.canvas.width / this.canvas.height,
+        focusDistance = this.focusDistance,
+        orthoSize = this.orthoSize,
+        near = this.near,
+        far = this.far
+    } = {}) {
+        const distance = focusDistance;
+        const perspectiveSize = distance * Math.tan(this.fov / 2);
+        const size = orthoSize + (perspectiveSize - orthoSize) * perspective;
+
+        const shearMatrix = mat4.create();
+        shearMatrix[8] = -shearX;
+        shearMatrix[9] = -shearY;
+        shearMatrix[12] = -shearX * distance;
+        shearMatrix[13] = -shearY * distance;
+
+        if (perspective < MIN_PERSPECTIVE) {
+            mat4.ortho(out, -size * aspect, size * aspect, -size, size, near, far);
+        } else {
+            const dolly = distance / perspective - distance;
+            const fov = 2 * Math.atan(size / (distance + dolly));
+            mat4.perspective(out, fov, aspect, near + dolly, far + dolly);
+            mat4.translate(out, out, [0, 0, -dolly]);
+        }
+
+        return mat4.multiply(out, out, shearMatrix);
+    }
+
+    /**
+     * Advances a running projection transition.
+     * @param {number} dt - Seconds since the previous frame
+     */
+    update(dt) {
+        const transition = this.transition;
+        if (!transition) return;
+
+        transition.elapsed += dt;
+        if (transition.elapsed >= transition.duration) {
+            this.transition = null;
+            return;
+        }
+        this.updateTransitionMatrix();
+    }
+
+    /**
+     * @returns {{perspective: number, shearX: number, shearY: number}}
+     *   Parameters currently on screen, mid-transition or not
+     */
+    getCurrentParameters() {
+        const target = this.getParameters(this.currentType);
+        const transition = this.transition;
+        if (!transition) return target;
+
+        const t = Math.min(transition.elapsed / transition.duration, 1);
+        const eased = t * t * (3 - 2 * t);  // Smoothstep
+        const from = transition.from;
+        return {
+            perspective: from.perspective + (target.perspective - from.perspective) * eased,
+            shearX: from.shearX + (target.shearX - from.shearX) * eased,
+            shearY: from.shearY + (target.shearY - from.shearY) * eased
+        };
+    }
+
+    updateTransitionMatrix() {
+        this.buildMatrix(this.transitionMatrix, this.getCurrentParameters());
+    }
+
+    /**
+     * Switches projection type, blending from what is currently on screen.
+     * @param {string} type - "perspective", "orthographic" or "oblique"
+     * @param {Object} [options]
+     * @param {number} [options.duration=this.transitionDuration] - Blend
+     *   time in seconds (0 switches instantly)
+     */
+    setProjectionType(type, { duration = this.transitionDuration } = {}) {
+        if (!this.matrices[type] || type === this.currentType) return;
+
+        const from = this.getCurrentParameters();
+        this.currentType = type;
+        if (duration > 0) {
+            this.transition = { from, elapsed: 0, duration };
+            this.updateTransitionMatrix();
+        } else {
+            this.transition = null;
+        }
+    }
+
+    /**
+     * @param {number} seconds - Default blend time for setProjectionType
+     */
+    setTransitionDuration(seconds) {
+        this.transitionDuration = Math.max(0, seconds);
+        this.syncControls();
+    }
+
+    /** @returns {boolean} True while blending between projection types */
+    get transitioning() {
+        return this.transition !== null;
+    }
+
+    /**
+     * @param {Object} [view] - Overrides (see buildMatrix); when given, a new
+     *   matrix is built for that view instead of returning the shared one
+     * @returns {mat4} The projection currently on screen, mid-transition or not
+     */
+    getCurrentMatrix(view) {
+        if (view) return this.buildMatrix(mat4.create(), this.getCurrentParameters(), view);
+        return this.transition ? this.transitionMatrix : this.matrices[this.currentType];
+    }
+
+    /**
+     * Builds a projection of a given type for a secondary view, sharing this
+     * manager's field of view, clip planes and oblique settings.
+     *
+     * @param {string} type - "perspective", "orthographic" or "oblique"
+     * @param {Object} [view] - Overrides (see buildMatrix)
+     * @returns {mat4} New projection matrix
+     */
+    getMatrix(type, view) {
+        if (!this.matrices[type]) {
+            throw new Error(`Unknown projection type '${type}'`);
+        }
+        return this.buildMatrix(mat4.create(), this.getParameters(type), view);
+    }
+
+    /**
+     * @param {number} fov - Vertical field of view in radians, in (0, π)
+     */
+    setFieldOfView(fov) {
+        if (!(fov > 0 && fov < Math.PI)) {
+            throw new Error(`Field of view must be between 0 and π, got ${fov}`);
+        }
+        this.fov = fov;
+        this.updateProjection();
+    }
+
+    /**
+     * @param {number} near - Near clip distance (> 0)
+     * @param {number} far - Far clip distance (> near)
+     */
+    setClipPlanes(near, far) {
+        if (!(near > 0 && far > near)) {
+            throw new Error(`Clip planes need 0 < near < far, got near=${near} far=${far}`);
+        }
+        this.near = near;
+        this.far = far;
+        this.updateProjection();
+    }
+
+    /**
+     * Sets a fixed parallel view size and stops tracking the focus distance.
+     * @param {number} size - Half-height of the view volume (> 0)
+     */
+    setOrthoSize(size) {
+        if (!(size > 0)) {
+            throw new Error(`Ortho size must be positive, got ${size}`);
+        }
+        this.orthoTracksFocus = false;
+        this.orthoSize = size;
+        this.updateProjection();
+    }
+
+    /**
+     * @param {boolean} enabled - Derive orthoSize from the focus distance
+     */
+    setOrthoTracksFocus(enabled) {
+        this.orthoTracksFocus = enabled;
+        this.updateProjection();
+    }
+
+    /**
+     * Updates the distance to the orbit target. Cheap to call every frame;
+     * matrices are only rebuilt when the distance changes.
+     * @param {number} distance - Eye to target distance
+     */
+    setFocusDistance(distance) {
+        if (distance === this.focusDistance) return;
+        this.focusDistance = distance;
+        this.updateProjection();
+    }
+
+    /**
+     * @param {number} angle - Receding axis angle in radians
+     */
+    setObliqueAngle(angle) {
+        this.obliqueAngle = angle;
+        this.obliquePreset = 'custom';
+        this.updateProjection();
+    }
+
+    /**
+     * @param {number} scale - Depth foreshortening (1 = cavalier, 0.5 = cabinet)
+     */
+    setObliqueDepthScale(scale) {
+        this.obliqueDepthScale = scale;
+        this.obliquePreset = 'custom';
+        this.updateProjection();
+    }
+
+    /**
+     * @param {string} name - Key of OBLIQUE_PRESETS
+     */
+    applyObliquePreset(name) {
+        const preset = OBLIQUE_PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown oblique preset '${name}'`);
+        }
+        this.obliquePreset = name;
+        this.obliqueAngle = preset.angle;
+        this.obliqueDepthScale = preset.depthScale;
+        this.updateProjection();
+    }
+
+    /**
+     * Connects form controls to the projection parameters in both
+     * directions. Angles are shown in degrees. Any control may be omitted.
+     *
+     * @param {Object} controls
+     * @param {HTMLInputElement} [controls.fov] - Field of view (degrees)
+     * @param {HTMLInputElement} [controls.near] - Near clip distance
+     * @param {HTMLInputElement} [controls.far] - Far clip distance
+     * @param {HTMLInputElement} [controls.orthoSize] - Parallel half-height
+     * @param {HTMLInputElement} [controls.orthoTracksFocus] - Checkbox
+     * @param {HTMLSelectElement} [controls.obliquePreset] - Preset names plus "custom"
+     * @param {HTMLInputElement} [controls.obliqueAngle] - Receding angle (degrees)
+     * @param {HTMLInputElement} [controls.obliqueDepthScale] - Depth scale
+     * @param {HTMLInputElement} [controls.transitionDuration] - Blend time (seconds)
+     */
+    bindControls(controls) {
+        this.controls = controls;
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const on = (control, handler) => {
+            if (!control) return;
+            control.addEventListener(control.type === 'checkbox' ? 'change' : 'input', handler);
+        };
+
+        on(controls.fov, (e) => this.setFieldOfView(toRadians(parseFloat(e.target.value))));
+        on(controls.near, (e) => {
+            const near = parseFloat(e.target.value);
+            this.setClipPlanes(near, Math.max(this.far, near + 0.01));
+        });
+        on(controls.far, (e) => {
+            const far = parseFloat(e.target.value);
+            this.setClipPlanes(Math.min(this.near, far - 0.01), far);
+        });
+        on(controls.orthoSize, (e) => this.setOrthoSize(parseFloat(e.target.value)));
+        on(controls.orthoTracksFocus, (e) => this.setOrthoTracksFocus(e.target.checked));
+        on(controls.obliqueAngle, (e) => this.setObliqueAngle(toRadians(parseFloat(e.target.value))));
+        on(controls.obliqueDepthScale, (e) => this.setObliqueDepthScale(parseFloat(e.target.value)));
+        on(controls.transitionDuration, (e) => this.setTransitionDuration(parseFloat(e.target.value)));
+        if (controls.obliquePreset) {
+            controls.obliquePreset.addEventListener('change', (e) => {
+                if (OBLIQUE_PRESETS[e.target.value]) this.applyObliquePreset(e.target.value);
+            });
+        }
+
+        this.syncControls();
+    }
+
+    syncControls() {
+        const controls = this.controls;
+        if (!controls) return;
+        const toDegrees = (radians) => radians * 180 / Math.PI;
+
+        if (controls.fov) controls.fov.value = toDegrees(this.fov);
+        if (controls.near) controls.near.value = this.near;
+        if (controls.far) controls.far.value = this.far;
+        if (controls.orthoSize) controls.orthoSize.value = this.orthoSize;
+        if (controls.orthoTracksFocus) controls.orthoTracksFocus.checked = this.orthoTracksFocus;
+        if (controls.obliquePreset) controls.obliquePreset.value = this.obliquePreset;
+        if (controls.obliqueAngle) controls.obliqueAngle.value = toDegrees(this.obliqueAngle);
+        if (controls.obliqueDepthScale) controls.obliqueDepthScale.value = this.obliqueDepthScale;
+        if (controls.transitionDuration) controls.transitionDuration.value = this.transitionDuration;
+    }
+}
@@ -0,0 +1,360 @@
+/**
+ * Scene / Entity Model
+ * Holds all simulated cube state as Cube entities owned by a Scene, replacing
+ * the parallel positions/directions/angles/speeds/colors arrays that had to
+ * be kept in sync by index.
+ *
+ * This module has no DOM or WebGL dependency so it can be imported and
+ * exercised directly under Node:
+ *
+ * @example
+ * import { Scene, Cube } from "./scene.js";
+ * const scene = new Scene();
+ * const cube = scene.add(new Cube({ position: { x: 0, y: 0, z: 0 } }));
+ * scene.splitCube(cube);  // Replaces it with 8 half-size fragments
+ * console.log(scene.count);  // 8
+ */
+
+// Monotonic id source so cubes can be referenced stably (e.g. by the UI)
+let nextCubeId = 1;
+
+/**
+ * Generates a random RGBA color array for WebGL rendering.
+ * Creates colors suitable for cube faces and color transitions.
+ *
+ * Color Components:
+ * - Red:   Random value between 0.0 and 1.0
+ * - Green: Random value between 0.0 and 1.0
+ * - Blue:  Random value between 0.0 and 1.0
+ * - Alpha: Fixed at 1.0 (fully opaque; a cube's alpha is its opacity,
+ *   see Cube)
+ *
+ * Return Format:
+ * [R, G, B, A] where each value is in range [0.0, 1.0]
+ * Index mapping:
+ * - 0: Red component
+ * - 1: Green component
+ * - 2: Blue component
+ * - 3: Alpha component (always 1.0)
+ *
+ * @returns {Array<number>} Four-element array containing RGBA values
+ *
+ * @example
+ * // Generate a random color
+ * const color = getRandomColor();  // Returns [0.7, 0.2, 0.9, 1.0]
+ *
+ * // Use in WebGL uniform
+ * gl.uniform4fv(colorLocation, getRandomColor());
+ *
+ * // Use for color transition
+ * colorObj.target = getRandomColor();
+ */
+export function getRandomColor() {
+    return [
+        Math.random(),  // Red component   (0.0 to 1.0)
+        Math.random(),  // Green component (0.0 to 1.0)
+        Math.random(),  // Blue component  (0.0 to 1.0)
+        1.0            // Alpha component (fixed at 1.0)
+    ];
+}
+
+/**
+ * Manages smooth color transitions between current and target colors for cubes.
+ * This function implements a linear interpolation (lerp) for RGB color channels
+ * and handles the generation of new target colors when transitions complete.
+ *
+ * Algorithm steps:
+ * 1. Increments transition progress by elapsed time
+ * 2. Updates each RGB channel (index 0-2) using frame-rate independent easing
+ * 3. Generates new target color when transition completes
+ *
+ * Rates are per second: a full transition takes 1 / 0.3 ≈ 3.3 seconds, and
+ * each channel closes 1 - (1 - 0.02)^60 ≈ 70% of its remaining gap per second
+ * (the same feel the original per-frame constants had at 60 FPS).
+ *
+ * @param {Object} colorObj - Object containing color transition data
+ * @param {Array} colorObj.current - Current [R,G,B,A] color values (range 0-1)
+ * @param {Array} colorObj.target - Target [R,G,B,A] color values (range 0-1)
+ * @param {number} colorObj.step - Tracks transition progress (range 0-1)
+ * @param {number} dt - Simulation time step in seconds
+ */
+export function updateColorTransition(colorObj, dt) {
+    // Increment transition progress (0.3 per second controls overall transition speed)
+    colorObj.step += 0.3 * dt;
+
+    // Fraction of the remaining gap closed during this step
+    const blend = 1 - Math.pow(1 - 0.02, dt * 60);
+
+    // Update each RGB channel separately (skip alpha channel, which holds
+    // the cube's opacity)
+    for (let i = 0; i < 3; i++) {
+        // Linear interpolation formula: current + (target - current) * blend
+        colorObj.current[i] = colorObj.current[i] + (colorObj.target[i] - colorObj.current[i]) * blend;
+    }
+
+    // Check if transition is complete
+    if (colorObj.step >= 1) {
+        colorObj.target = getRandomColor();  // Generate new target color
+        colorObj.step = 0;                   // Reset transition progress
+    }
+}
+
+/**
+ * A single simulated cube.
+ *
+ * Units:
+ * - position, size: world units
+ * - velocity: world units per second
+ * - angle: radians (applied as rotateY(angle) then rotateX(angle * 0.5))
+ * - angularVelocity: radians per second
+ * - splitCooldown: seconds remaining before the cube collides again
+ * - opacity: 0 (invisible) to 1 (opaque), stored as the alpha of
+ *   `color.current` so it reaches the shaders with the color
+ *
+ * A `held` cube is being positioned by the user: it keeps spinning and
+ * changing color but integration leaves its position alone, and collisions
+ * treat it as immovable (see getInverseMass in collision.js).
+ *
+ * `previous` holds the state at the start of the last simulation step and is
+ * used by the renderer to interpolate between steps.
+ */
+export class Cube {
+    /**
+     * @param {Object} [options]
+     * @param {{x: number, y: number, z: number}} [options.position] - Center position
+     * @param {{x: number, y: number, z: number}} [options.velocity] - Linear velocity
+     * @param {number} [options.angle=0] - Rotation angle
+     * @param {number} [options.angularVelocity=1] - Rotation speed
+     * @param {number} [options.size=0.2] - Edge length
+     * @param {Object} [options.color] - Color state { current, target, step }
+     * @param {number} [options.opacity=1] - Opacity (ignored when `color` is given;
+     *   its current alpha is used)
+     * @param {number} [options.splitDepth=0] - Number of splits in this cube's lineage
+     * @param {number} [options.splitCooldown=0] - Seconds to ignore collisions
+     */
+    constructor({
+        position = { x: 0, y: 0, z: 0 },
+        velocity = { x: 0, y: 0, z: 0 },
+        angle = 0,
+        angularVelocity = 1.0,
+        size = 0.2,
+        color = null,
+        opacity = 1.0,
+        splitDepth = 0,
+        splitCooldown = 0
+    } = {}) {
+        this.id = nextCubeId++;
+        this.position = { ...position };
+        this.velocity = { ...velocity };
+        this.angle = angle;
+        this.angularVelocity = angularVelocity;
+        this.size = size;
+        this.color = color || {
+            current: [...getRandomColor().slice(0, 3), opacity],
+            target: getRandomColor(),
+            step: 0
+        };
+        this.splitDepth = splitDepth;
+        this.splitCooldown = splitCooldown;
+        this.held = false;
+        this.snapshot();
+    }
+
+    /** @returns {number} Opacity in [0, 1] */
+    get opacity() {
+        return this.color.current[3];
+    }
+
+    /** @param {number} value - Opacity in [0, 1] */
+    set opacity(value) {
+        this.color.current[3] = Math.min(Math.max(value, 0), 1);
+    }
+
+    /**
+     * Records the current state as the interpolation start point.
+     */
+    snapshot() {
+        this.previous = {
+            x: this.position.x,
+            y: this.position.y,
+            z: this.position.z,
+            angle: this.angle
+        };
+    }
+
+    /**
+     * Advances rotation, position, color and cooldown by dt seconds.
+     * Held cubes are not moved.
+     * @param {number} dt - Time step in seconds
+     */
+    integrate(dt) {
+        this.angle += this.angularVelocity * dt;
+        if (!this.held) {
+            this.position.x += this.velocity.x * dt;
+            this.position.y += this.velocity.y * dt;
+            this.position.z += this.velocity.z * dt;
+        }
+
+        updateColorTransition(this.color, dt);
+        if (this.splitCooldown > 0) this.splitCooldown -= dt;
+    }
+
+    /**
+     * Creates the 8 fragments this cube breaks into, without modifying it.
+     *
+     * Bit Operations for Octant Selection:
+     * - i & 1: X offset sign
+     * - i & 2: Y offset sign
+     * - i & 4: Z offset sign
+     *
+     * Property Inheritance:
+     * - Position: Parent center offset by a quarter of the parent's size
+     * - Size: Half of the parent's size
+     * - Split depth: Parent depth + 1
+     * - Angle: Direct inheritance
+     * - Angular velocity: 120% of parent's
+     * - Colors: Initial color (and opacity) inherited, new target color
+     * - Velocity: Parent velocity plus an outward push along the octant diagonal
+     *
+     * @param {Object} options
+     * @param {number} options.fragmentSpeed - Outward speed added to each fragment
+     * @param {number} options.splitCooldown - Seconds each fragment ignores collisions
+     * @returns {Cube[]} Eight child cubes
+     */
+    split({ fragmentSpeed, splitCooldown }) {
+        const offset = this.size / 4;
+        const push = fragmentSpeed / Math.sqrt(3);  // Diagonal push of length fragmentSpeed
+        const children = [];
+
+        for (let i = 0; i < 8; i++) {
+            const signX = (i & 1) ? 1 : -1;
+            const signY = (i & 2) ? 1 : -1;
+            const signZ = (i & 4) ? 1 : -1;
+
+            children.push(new Cube({
+                position: {
+                    x: this.position.x + signX * offset,
+                    y: this.position.y + signY * offset,
+                    z: this.position.z + signZ * offset
+                },
+                velocity: {
+                    x: this.velocity.x + signX * push,
+                    y: this.velocity.y + signY * push,
+                    z: this.velocity.z + signZ * push
+                },
+                angle: this.angle,
+                angularVelocity: this.angularVelocity * 1.2,
+                size: this.size / 2,
+                color: {
+                    current: [...this.color.current],
+                    target: getRandomColor(),
+                    step: 0
+                },
+                splitDepth: this.splitDepth + 1,
+                splitCooldown
+            }));
+        }
+
+        return children;
+    }
+}
+
+/**
+ * Container for all cubes in the simulation.
+ *
+ * Cubes are stored in an insertion-ordered Set, which gives the iteration
+ * semantics the simulation relies on: cubes removed during iteration are
+ * skipped, and cubes added during iteration (split fragments) are visited
+ * later in the same pass.
+ *
+ * Subdivision Settings:
+ * - maxSplitDepth: Splits allowed per lineage (0.2 → 0.1 → 0.05 by default)
+ * - splitCooldown: Seconds a new fragment ignores collisions
+ * - fragmentSpeed: Outward speed given to each fragment (units/s)
+ */
+export class Scene {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSplitDepth=2]
+     * @param {number} [options.splitCooldown=0.5]
+     * @param {number} [options.fragmentSpeed=0.24]
+     */
+    constructor({ maxSplitDepth = 2, splitCooldown = 0.5, fragmentSpeed = 0.24 } = {}) {
+        this.cubes = new Set();  // Read-only outside this class; use add/remove
+        this.maxSplitDepth = maxSplitDepth;
+        this.splitCooldown = splitCooldown;
+        this.fragmentSpeed = fragmentSpeed;
+    }
+
+    /**
+     * @param {Cube} cube - Cube to add
+     * @returns {Cube} The added cube
+     */
+    add(cube) {
+        this.cubes.add(cube);
+        return cube;
+    }
+
+    /**
+     * @param {Cube} cube - Cube to remove
+     * @returns {boolean} True if the cube was part of the scene
+     */
+    remove(cube) {
+        return this.cubes.delete(cube);
+    }
+
+    /**
+     * @param {Cube} cube
+     * @returns {boolean} True if the cube is part of the scene
+     */
+    has(cube) {
+        return this.cubes.has(cube);
+    }
+
+    /**
+     * Removes every cube.
+     */
+    clear() {
+        this.cubes.clear();
+    }
+
+    /** @returns {number} Number of cubes in the scene */
+    get count() {
+        return this.cubes.size;
+    }
+
+    /**
+     * @param {function(Cube): void} callback - Called for each cube
+     */
+    forEach(callback) {
+        this.cubes.forEach((cube) => callback(cube));
+    }
+
+    [Symbol.iterator]() {
+        return this.cubes.values();
+    }
+
+    /**
+     * @param {Cube} cube
+     * @returns {boolean} True if the cube may still be subdivided
+     */
+    canSplit(cube) {
+        return cube.splitDepth < this.maxSplitDepth;
+    }
+
+    /**
+     * Replaces a cube with its 8 octant fragments.
+     * @param {Cube} cube - Cube to split (must belong to this scene)
+     * @returns {Cube[]} The fragments that were added
+     */
+    splitCube(cube) {
+        if (!this.remove(cube)) return [];
+
+        const children = cube.split({
+            fragmentSpeed: this.fragmentSpeed,
+            splitCooldown: this.splitCooldown
+        });
+        children.forEach((child) => this.add(child));
+        return children;
+    }
+}
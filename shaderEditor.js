@@ -0,0 +1,214 @@
+/**
+ * Shader Editor Module
+ * In-page editor for the GLSL source of the ShaderManager's programs.
+ *
+ * Workflow:
+ * 1. Pick a program; its running vertex and fragment source are loaded
+ * 2. Edit, then Compile (or Ctrl/Cmd+Enter in either text area)
+ * 3. On success the program is swapped in immediately; on failure the last
+ *    working program keeps rendering and each compiler or linker message is
+ *    listed with its stage and source line. Clicking a message selects
+ *    that line in the matching text area.
+ * 4. Revert discards the edits and reloads the running source
+ *
+ * Edits are kept per program, so switching programs doesn't lose them.
+ * Programs registered later (see ShaderManager.registerShader) are added to
+ * the chooser as they appear.
+ *
+ * @example
+ * new ShaderEditor(shaderManager, {
+ *     select, vertex, fragment, compileButton, revertButton, status, diagnostics
+ * });
+ */
+
+// Spaces inserted by the Tab key (matches the indentation of the built-in shaders)
+const TAB_TEXT = "    ";
+
+export class ShaderEditor {
+    /**
+     * @param {ShaderManager} shaderManager - Owner of the programs being edited
+     * @param {Object} elements
+     * @param {HTMLSelectElement} elements.select - Program chooser (filled in here)
+     * @param {HTMLTextAreaElement} elements.vertex - Vertex shader source
+     * @param {HTMLTextAreaElement} elements.fragment - Fragment shader source
+     * @param {HTMLButtonElement} elements.compileButton
+     * @param {HTMLButtonElement} elements.revertButton
+     * @param {HTMLElement} elements.status - One-line compile result
+     * @param {HTMLOListElement} elements.diagnostics - List of compiler messages
+     */
+    constructor(shaderManager, elements) {
+        this.shaderManager = shaderManager;
+        this.elements = elements;
+        this.drafts = new Map();  // Program name -> unsaved { vertex, fragment }
+        this.current = null;
+
+        this.populateSelect();
+        this.setupEventListeners();
+        shaderManager.addEventListener("register", () => {
+            this.populateSelect();
+            this.elements.select.value = this.current;
+        });
+        this.load(shaderManager.currentShaderType);
+    }
+
+    populateSelect() {
+        const { select } = this.elements;
+        select.innerHTML = "";
+        this.shaderManager.programs.forEach(({ label }, name) => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        const { select, vertex, fragment, compileButton, revertButton } = this.elements;
+
+        select.addEventListener("change", (e) => this.load(e.target.value));
+        compileButton.addEventListener("click", () => this.compile());
+        revertButton.addEventListener("click", () => this.revert());
+
+        [vertex, fragment].forEach(textarea => {
+            textarea.addEventListener("keydown", (e) => this.onKeyDown(e));
+            textarea.addEventListener("input", () => this.saveDraft());
+        });
+    }
+
+    /**
+     * Ctrl/Cmd+Enter compiles; Tab indents instead of leaving the text area.
+     *
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.compile();
+        } else if (e.key === "Tab" && !e.shiftKey) {
+            e.preventDefault();
+            e.target.setRangeText(TAB_TEXT, e.target.selectionStart, e.target.selectionEnd, "end");
+            this.saveDraft();
+        }
+    }
+
+    /**
+     * Shows a program's source: its unsaved edits if there are any,
+     * otherwise the source it is running.
+     *
+     * @param {string} name - Program name
+     */
+    load(name) {
+        const source = this.drafts.get(name) || this.shaderManager.getShaderSource(name);
+        this.current = name;
+        this.elements.select.value = name;
+        this.elements.vertex.value = source.vertex;
+        this.elements.fragment.value = source.fragment;
+
+        const error = this.shaderManager.programs.get(name).error;
+        if (error) {
+            this.showResult({ ok: false, error });
+        } else {
+            this.showResult(null);
+        }
+    }
+
+    saveDraft() {
+        this.drafts.set(this.current, {
+            vertex: this.elements.vertex.value,
+            fragment: this.elements.fragment.value
+        });
+    }
+
+    /**
+     * Rebuilds the shown program from the text areas.
+     *
+     * @returns {{ok: boolean, error: ShaderCompileError|null}}
+     */
+    compile() {
+        const result = this.shaderManager.updateShaderSource(this.current, {
+            vertex: this.elements.vertex.value,
+            fragment: this.elements.fragment.value
+        });
+
+        if (result.ok) this.drafts.delete(this.current);
+        this.showResult(result);
+        return result;
+    }
+
+    /**
+     * Drops the edits and reloads the last working source.
+     */
+    revert() {
+        this.drafts.delete(this.current);
+        this.shaderManager.programs.get(this.current).error = null;
+        this.load(this.current);
+    }
+
+    /**
+     * @param {{ok: boolean, error: ShaderCompileError|null}|null} result -
+     *   Compile result, or null to clear the status
+     */
+    showResult(result) {
+        const { status, diagnostics } = this.elements;
+        diagnostics.innerHTML = "";
+        status.classList.toggle("error", Boolean(result && !result.ok));
+
+        if (!result) {
+            status.textContent = "";
+            return;
+        }
+        if (result.ok) {
+            status.textContent = `Compiled at ${new Date().toLocaleTimeString()}`;
+            return;
+        }
+
+        const count = result.error.diagnostics.length;
+        status.textContent = `${count} ${count === 1 ? "problem" : "problems"} - last working program still in use`;
+
+        result.error.diagnostics.forEach(diagnostic => {
+            const item = document.createElement("li");
+            item.className = diagnostic.severity;
+
+            const where = diagnostic.line !== null ? ` line ${diagnostic.line}` : "";
+            item.textContent = `${diagnostic.stage}${where}: ${diagnostic.message}`;
+
+            const textarea = this.getTextArea(diagnostic.stage);
+            if (textarea && diagnostic.line !== null) {
+                const code = document.createElement("code");
+                code.textContent = textarea.value.split("\n")[diagnostic.line - 1] || "";
+                item.appendChild(code);
+                item.addEventListener("click", () => this.selectLine(textarea, diagnostic.line));
+            }
+            diagnostics.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {string} stage - "vertex", "fragment" or "link"
+     * @returns {HTMLTextAreaElement|null} Text area holding that stage's source
+     */
+    getTextArea(stage) {
+        if (stage === "vertex") return this.elements.vertex;
+        if (stage === "fragment") return this.elements.fragment;
+        return null;
+    }
+
+    /**
+     * Selects a 1-based source line and scrolls it into view.
+     *
+     * @param {HTMLTextAreaElement} textarea
+     * @param {number} line
+     */
+    selectLine(textarea, line) {
+        const lines = textarea.value.split("\n");
+        const index = Math.min(Math.max(line, 1), lines.length) - 1;
+        let start = 0;
+        for (let i = 0; i < index; i++) start += lines[i].length + 1;
+
+        textarea.focus();
+        textarea.setSelectionRange(start, start + lines[index].length);
+
+        const lineHeight = textarea.scrollHeight / lines.length;
+        textarea.scrollTop = Math.max(0, (index - 2) * lineHeight);
+    }
+}
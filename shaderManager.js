@@ -0,0 +1,774 @@
+/**
+ * Shader Management Module
+ * Compiles GLSL programs, reports compile and link errors in a structured
+ * form, and owns the set of shading modes the renderer can switch between.
+ *
+ * Error Reporting:
+ * buildShaderProgram() throws a ShaderCompileError whose `diagnostics`
+ * list one entry per message in the driver's info log:
+ *   { stage: "vertex" | "fragment" | "link", severity, line, message }
+ * `line` is the 1-based line in the source string that was compiled (null
+ * when the driver gives none), so it maps directly onto an editor showing
+ * that source. Lines added in front of the source (the `header` option,
+ * e.g. `#define INSTANCED`, and the #version line of the GLSL ES 3.00
+ * translation, see glsl.js) are subtracted again. initShaderProgram()
+ * keeps the older behavior of logging to the console and returning null.
+ *
+ * Attribute Locations:
+ * Programs are linked with fixed attribute locations (ATTRIBUTE_LOCATIONS
+ * in vertexArrays.js), so one vertex array object per mesh works with
+ * every program.
+ *
+ * @example
+ * try {
+ *     const program = buildShaderProgram(gl, vertexSource, fragmentSource);
+ * } catch (error) {
+ *     error.diagnostics.forEach(d => console.log(d.stage, d.line, d.message));
+ * }
+ */
+
+import {
+    vertexShaderSource,
+    fragmentShaderSource,
+    phongVertexShader,
+    phongFragmentShader,
+    toonVertexShader,
+    toonFragmentShader,
+    texturedVertexShader,
+    texturedFragmentShader,
+    glassVertexShader,
+    glassFragmentShader,
+    wireframeVertexShader,
+    wireframeFragmentShader,
+    thickWireframeVertexShader,
+    thickWireframeFragmentShader
+} from "./shaders.js";
+import { ShaderProgram } from "./shaderProgram.js";
+import { prepareShaderSource, isWebGL2 } from "./glsl.js";
+import { ATTRIBUTE_LOCATIONS, STREAM_LOCATIONS } from "./vertexArrays.js";
+
+/**
+ * Error thrown when a shader fails to compile or a program fails to link.
+ */
+export class ShaderCompileError extends Error {
+    /**
+     * @param {string} stage - "vertex", "fragment" or "link"
+     * @param {string} log - Raw driver info log
+     * @param {function(number): (number|null)} [mapLine] - Maps compiled
+     *   line numbers to source line numbers
+     */
+    constructor(stage, log, mapLine = (line) => line) {
+        super(`Error ${stage === "link" ? "linking program" : `compiling ${stage} shader`}: ${log}`);
+        this.name = "ShaderCompileError";
+        this.stage = stage;
+        this.log = log;
+        this.diagnostics = parseShaderLog(log, stage, mapLine);
+    }
+}
+
+/**
+ * Splits a shader info log into individual messages.
+ *
+ * Recognized Format (used by ANGLE, Mesa and most desktop drivers):
+ *   ERROR: 0:12: 'foo' : undeclared identifier
+ *   WARNING: 0:3: extension not supported
+ * i.e. severity, source string index, line, message. Lines that don't
+ * match are kept as messages without a line number.
+ *
+ * @param {string} log - Info log from getShaderInfoLog/getProgramInfoLog
+ * @param {string} stage - "vertex", "fragment" or "link"
+ * @param {function(number): (number|null)} [mapLine] - Maps compiled line
+ *   numbers to source line numbers (null for lines that aren't in the
+ *   source, such as a prepended header)
+ * @returns {Array<{stage: string, severity: string, line: number|null, message: string}>}
+ */
+export function parseShaderLog(log, stage, mapLine = (line) => line) {
+    const diagnostics = [];
+    (log || "").split("\n").forEach(text => {
+        text = text.replace(/\0/g, "").trim();
+        if (!text) return;
+
+        const match = text.match(/^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i);
+        if (match) {
+            diagnostics.push({
+                stage,
+                severity: match[1].toLowerCase(),
+                line: mapLine(parseInt(match[2], 10)),
+                message: match[3]
+            });
+        } else {
+            diagnostics.push({ stage, severity: "error", line: null, message: text });
+        }
+    });
+
+    if (diagnostics.length === 0) {
+        diagnostics.push({ stage, severity: "error", line: null, message: `${stage} failed with an empty log` });
+    }
+    return diagnostics;
+}
+
+/**
+ * Compiles one shader stage.
+ * Sources are translated to GLSL ES 3.00 on WebGL2 contexts.
+ *
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {string} source - GLSL source
+ * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param {string} [header=""] - Text compiled in front of the source
+ * @returns {WebGLShader} The compiled shader
+ * @throws {ShaderCompileError} If compilation fails
+ */
+function compileStage(gl, source, type, header = "") {
+    const stage = type === gl.VERTEX_SHADER ? "vertex" : "fragment";
+    const { text, mapLine } = prepareShaderSource(source, stage, { webgl2: isWebGL2(gl), header });
+
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, text);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new ShaderCompileError(stage, log, mapLine);
+    }
+    return shader;
+}
+
+/**
+ * Compiles and links a program, reporting failures as exceptions.
+ * Shader objects are released once linked (or on failure).
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {string} vertexSource - GLSL vertex shader source
+ * @param {string} fragmentSource - GLSL fragment shader source
+ * @param {Object} [options]
+ * @param {string} [options.header=""] - Text compiled in front of both
+ *   sources, such as #define lines; must end with a newline
+ * @param {Object<string, number>} [options.attributeLocations=ATTRIBUTE_LOCATIONS] -
+ *   Attribute name -> location to bind before linking
+ * @returns {WebGLProgram} The linked program
+ * @throws {ShaderCompileError} If either stage fails to compile or linking fails
+ */
+export function buildShaderProgram(gl, vertexSource, fragmentSource, {
+    header = "",
+    attributeLocations = ATTRIBUTE_LOCATIONS
+} = {}) {
+    const vertexShader = compileStage(gl, vertexSource, gl.VERTEX_SHADER, header);
+    let fragmentShader;
+    try {
+        fragmentShader = compileStage(gl, fragmentSource, gl.FRAGMENT_SHADER, header);
+    } catch (error) {
+        gl.deleteShader(vertexShader);
+        throw error;
+    }
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    Object.entries(attributeLocations).forEach(([name, location]) => {
+        gl.bindAttribLocation(program, location, name);  // Unused names are ignored
+    });
+    gl.linkProgram(program);
+    gl.deleteShader(vertexShader);    // Flagged for deletion; freed with the program
+    gl.deleteShader(fragmentShader);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const log = gl.getProgramInfoLog(program);
+        gl.deleteProgram(program);
+        throw new ShaderCompileError("link", log);
+    }
+    return program;
+}
+
+/**
+ * Wraps a linked program in a ShaderProgram. A program can link and still
+ * declare a uniform type ShaderProgram has no setter for; it is then
+ * deleted and reported like a link failure, so callers that keep the last
+ * working program on a ShaderCompileError keep it here too.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {WebGLProgram} program - A successfully linked program
+ * @returns {ShaderProgram}
+ * @throws {ShaderCompileError} If a uniform type isn't supported
+ */
+function createProgramInfo(gl, program) {
+    try {
+        return new ShaderProgram(gl, program);
+    } catch (error) {
+        gl.deleteProgram(program);
+        throw new ShaderCompileError("link", error.message);
+    }
+}
+
+/**
+ * Creates and initializes a WebGL shader program from vertex and fragment shader sources.
+ * The shader program is essential for rendering as it controls how vertices are processed
+ * and how pixels are colored in WebGL.
+ * 
+ * Process:
+ * 1. Compiles individual vertex and fragment shaders
+ * 2. Creates a new shader program
+ * 3. Attaches both shaders to the program
+ * 4. Binds the shared attribute locations (ATTRIBUTE_LOCATIONS)
+ * 5. Links the program to create an executable
+ * 6. Validates the program creation
+ * 
+ * @param {WebGLRenderingContext} gl - The WebGL rendering context
+ * @param {string} vertexSource - GLSL source code for the vertex shader
+ * @param {string} fragmentSource - GLSL source code for the fragment shader
+ * @returns {WebGLProgram|null} The compiled and linked shader program, or null if creation fails
+ * 
+ * @example
+ * const shaderProgram = initShaderProgram(gl, 
+ *     `attribute vec3 position; void main() { ... }`, // vertex shader
+ *     `precision mediump float; void main() { ... }`  // fragment shader
+ * );
+ */
+export function initShaderProgram(gl, vertexSource, fragmentSource) {
+    // Compile both shaders using helper function
+    const vertexShader = compileShader(gl, vertexSource, gl.VERTEX_SHADER);
+    const fragmentShader = compileShader(gl, fragmentSource, gl.FRAGMENT_SHADER);
+    
+    // Exit if either shader compilation fails
+    if (!vertexShader || !fragmentShader) return null;
+   
+    // Create new shader program object
+    const program = gl.createProgram();
+    
+    // Attach both shaders to the program
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+
+    // Fixed locations let one vertex array object serve every program
+    Object.entries(ATTRIBUTE_LOCATIONS).forEach(([name, location]) => {
+        gl.bindAttribLocation(program, location, name);
+    });
+    
+    // Link shaders into a complete program
+    gl.linkProgram(program);
+
+    // Verify program creation success
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error("Error linking program:", gl.getProgramInfoLog(program));
+        return null;
+    }
+   
+    return program;
+}
+
+/**
+ * Compiles a WebGL shader from source code.
+ * This function handles the compilation of individual shader objects
+ * (either vertex or fragment shaders) that will be used in a shader program.
+ * 
+ * Process:
+ * 1. Creates a new shader object of specified type
+ * 2. Assigns the GLSL source code to the shader (translated to GLSL ES 3.00
+ *    on WebGL2 contexts, see glsl.js)
+ * 3. Compiles the shader
+ * 4. Verifies compilation success
+ * 
+ * @param {WebGLRenderingContext} gl - The WebGL rendering context
+ * @param {string} source - GLSL source code for the shader
+ * @param {number} type - Shader type: gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @returns {WebGLShader|null} The compiled shader object, or null if compilation fails
+ * 
+ * @example
+ * const vertexShader = compileShader(gl, 
+ *     `attribute vec3 position; void main() { ... }`, 
+ *     gl.VERTEX_SHADER
+ * );
+ */
+export function compileShader(gl, source, type) {
+    // Create new shader object of specified type
+    const shader = gl.createShader(type);
+    
+    // Attach source code to shader object
+    const stage = type === gl.VERTEX_SHADER ? "vertex" : "fragment";
+    gl.shaderSource(shader, prepareShaderSource(source, stage, { webgl2: isWebGL2(gl) }).text);
+    
+    // Compile the shader
+    gl.compileShader(shader);
+
+    // Check compilation status
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error("Error compiling shader:", gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);  // Clean up failed shader object
+        return null;
+    }
+   
+    return shader;
+}
+
+/**
+ * Uniform inputs supplied by the renderer for every cube draw. A shader's
+ * `uniforms` declaration maps its GLSL uniform names to these.
+ *
+ * - modelMatrix, viewMatrix, modelViewMatrix, projectionMatrix: mat4
+ * - normalMatrix: mat3 (inverse transpose of the model matrix, for
+ *   transforming normals to world space)
+ * - color: vec4 (the cube's current RGBA color)
+ * - time: float (simulated seconds)
+ * - cameraPosition: vec3 (world space)
+ * - lightCount, lightPositions, lightColors, lightAttenuations,
+ *   ambientLight: the scene lights (see LightManager.getUniforms)
+ * - texture: WebGLTexture (the current texture, see TextureManager)
+ * - faceGrid: vec2 (the current texture's face atlas layout)
+ * - edgeColor: vec3 (color of the cube edges)
+ * - edgeWidth: float (width of thick cube edges in pixels)
+ */
+export const SHADER_INPUTS = [
+    "modelMatrix",
+    "viewMatrix",
+    "modelViewMatrix",
+    "projectionMatrix",
+    "normalMatrix",
+    "color",
+    "time",
+    "cameraPosition",
+    "lightCount",
+    "lightPositions",
+    "lightColors",
+    "lightAttenuations",
+    "ambientLight",
+    "texture",
+    "faceGrid",
+    "edgeColor",
+    "edgeWidth"
+];
+
+// How a shader's geometry is drawn:
+// - faces: Filled triangles, with the edge lines drawn over them
+// - edges: Hidden-line wireframe; a depth-only pre-pass of the faces, then
+//   the cube's edges as lines
+// - shadedEdges: Hidden-line wireframe drawn by the shader itself; the same
+//   pre-pass, then the faces, which the shader discards away from the edges
+const SHADER_MODES = ["faces", "edges", "shadedEdges"];
+
+/**
+ * Registry of the shading modes cubes can be drawn with, and the switch
+ * between them.
+ *
+ * Each mode is registered with registerShader() and declares the vertex
+ * streams and uniform inputs it reads, so the renderer can bind them without
+ * knowing anything about the mode. Attributes are linked at their stream's
+ * location (STREAM_LOCATIONS), where the cube's vertex arrays supply them.
+ * Registering a mode adds it to the shader dropdown; modes can be added at
+ * any time, including from other scripts through `window.shaderManager`.
+ *
+ * Events:
+ * - "register": A mode was added or replaced (`detail.name`)
+ *
+ * Every program entry keeps the vertex/fragment source it was built from,
+ * so programs can be edited and rebuilt at runtime with updateShaderSource(),
+ * and a ShaderProgram wrapper (`programInfo`) holding its input locations.
+ *
+ * @example
+ * shaderManager.registerShader("normals", {
+ *     label: "Normal Colors",
+ *     vertex: normalVertexSource,
+ *     fragment: normalFragmentSource,
+ *     attributes: { aPosition: "position", aNormal: "normal" },
+ *     uniforms: { uModelViewMatrix: "modelViewMatrix", uProjectionMatrix: "projectionMatrix" }
+ * });
+ */
+export class ShaderManager extends EventTarget {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     */
+    constructor(gl) {
+        super();
+        this.gl = gl;
+        this.currentProgram = null;
+        this.programs = new Map();
+        this.currentShaderType = 'default';
+        this.pendingShaderSwitch = false;
+        this.initialize();
+    }
+
+    initialize() {
+        this.createShaderPrograms();
+        this.setupEventListeners();
+    }
+
+    createShaderPrograms() {
+        // uViewMatrix is only active in the instanced builds
+        const transforms = {
+            uModelViewMatrix: "modelViewMatrix",
+            uViewMatrix: "viewMatrix",
+            uProjectionMatrix: "projectionMatrix"
+        };
+
+        // World-space transforms and scene lights for the lit shaders
+        // (uModelMatrix and uNormalMatrix are only active without instancing)
+        const lighting = {
+            uModelMatrix: "modelMatrix",
+            uNormalMatrix: "normalMatrix",
+            uCameraPosition: "cameraPosition",
+            uLightCount: "lightCount",
+            uLightPositions: "lightPositions",
+            uLightColors: "lightColors",
+            uLightAttenuations: "lightAttenuations",
+            uAmbientLight: "ambientLight"
+        };
+
+        // Default shader (existing implementation)
+        this.registerShader('default', {
+            label: "Default Shader",
+            vertex: vertexShaderSource,
+            fragment: fragmentShaderSource,
+            attributes: { aPosition: "position" },
+            uniforms: { ...transforms, uColor: "color", uTime: "time" },
+            instancing: true
+        });
+
+        // Blinn-Phong shader
+        this.registerShader('phong', {
+            label: "Blinn-Phong Lighting",
+            vertex: phongVertexShader,
+            fragment: phongFragmentShader,
+            attributes: { aPosition: "position", aNormal: "normal" },
+            uniforms: {
+                ...transforms,
+                ...lighting,
+                uColor: "color",
+                uShininess: 32.0,
+                uSpecularStrength: 0.5
+            },
+            instancing: true
+        });
+
+        // Toon shader
+        this.registerShader('toon', {
+            label: "Toon Shader",
+            vertex: toonVertexShader,
+            fragment: toonFragmentShader,
+            attributes: { aPosition: "position", aNormal: "normal" },
+            uniforms: {
+                ...transforms,
+                ...lighting,
+                uColor: "color",
+                uShininess: 16.0,
+                uSpecularStrength: 1.0
+            },
+            instancing: true
+        });
+
+        // Textured shader (Blinn-Phong lit texture times the cube color)
+        this.registerShader('textured', {
+            label: "Textured",
+            vertex: texturedVertexShader,
+            fragment: texturedFragmentShader,
+            attributes: { aPosition: "position", aNormal: "normal", aTexCoord: "uv" },
+            uniforms: {
+                ...transforms,
+                ...lighting,
+                uColor: "color",
+                uTexture: "texture",
+                uFaceGrid: "faceGrid",
+                uShininess: 32.0,
+                uSpecularStrength: 0.3
+            },
+            instancing: true
+        });
+
+        // Glass shader (every cube see-through, blended back to front)
+        this.registerShader('glass', {
+            label: "Glass",
+            vertex: glassVertexShader,
+            fragment: glassFragmentShader,
+            attributes: { aPosition: "position", aNormal: "normal" },
+            uniforms: {
+                ...transforms,
+                ...lighting,
+                uColor: "color",
+                uGlassOpacity: 0.3,
+                uShininess: 64.0,
+                uSpecularStrength: 0.8
+            },
+            translucent: true,
+            instancing: true
+        });
+
+        this.registerShader('wireframe', {
+            label: "Wireframe Only",
+            vertex: wireframeVertexShader,
+            fragment: wireframeFragmentShader,
+            attributes: { aPosition: "position" },
+            uniforms: { ...transforms, uEdgeColor: "edgeColor" },
+            mode: "edges",
+            instancing: true
+        });
+
+        // Thick lines need screen-space derivatives (core in WebGL2)
+        if (isWebGL2(this.gl) || this.gl.getExtension("OES_standard_derivatives")) {
+            this.registerShader('thickWireframe', {
+                label: "Thick Wireframe",
+                vertex: thickWireframeVertexShader,
+                fragment: thickWireframeFragmentShader,
+                attributes: { aPosition: "position", aTexCoord: "uv" },
+                uniforms: { ...transforms, uEdgeColor: "edgeColor", uEdgeWidth: "edgeWidth" },
+                mode: "shadedEdges",
+                instancing: true
+            });
+        }
+
+        this.currentProgram = this.programs.get('default').program;
+    }
+
+    /**
+     * Adds a shading mode, or replaces the one with the same name.
+     *
+     * Uniform Sources:
+     * Each entry of `uniforms` maps a GLSL uniform name to one of
+     * - a name from SHADER_INPUTS, read from the renderer each draw
+     * - a function receiving those inputs and returning the value
+     * - a constant number or array
+     *
+     * Instancing:
+     * With `instancing: true` the sources are also built with
+     * `#define INSTANCED` in front, for the instanced draw path. That build
+     * must read its model matrix from `attribute mat4 aModelMatrix`, its
+     * color from `attribute vec4 aInstanceColor` and the camera from
+     * uViewMatrix (the built-in shaders share declarations for this, see
+     * shaders.js). Modes without it are drawn one cube at a time.
+     *
+     * Transparency:
+     * Cubes below full opacity are always blended, back to front after the
+     * opaque ones. `translucent: true` blends every cube, for modes whose
+     * alpha doesn't depend on the cube's opacity alone. Only "faces" modes
+     * blend.
+     *
+     * @param {string} name - Identifier used by switchShader() and the dropdown
+     * @param {Object} options
+     * @param {string} options.vertex - GLSL vertex shader source
+     * @param {string} options.fragment - GLSL fragment shader source
+     * @param {Object<string, string>} [options.attributes={aPosition: "position"}] -
+     *   GLSL attribute name -> vertex stream name
+     * @param {Object<string, string|Function|number|Array<number>>} [options.uniforms={}] -
+     *   GLSL uniform name -> source (see above)
+     * @param {string} [options.label=name] - Text shown in the dropdown
+     * @param {string} [options.mode="faces"] - "faces", "edges" or "shadedEdges"
+     *   (see SHADER_MODES)
+     * @param {boolean} [options.translucent=false] - Blend every cube (see above)
+     * @param {boolean} [options.instancing=false] - Sources support INSTANCED
+     * @throws {Error} If a stream, input or mode is unknown
+     * @throws {ShaderCompileError} If the program doesn't build
+     */
+    registerShader(name, {
+        vertex,
+        fragment,
+        attributes = { aPosition: "position" },
+        uniforms = {},
+        label = name,
+        mode = "faces",
+        translucent = false,
+        instancing = false
+    }) {
+        Object.entries(attributes).forEach(([attribute, stream]) => {
+            if (!(stream in STREAM_LOCATIONS)) {
+                throw new Error(`Unknown vertex stream '${stream}' for attribute '${attribute}'`);
+            }
+        });
+        Object.entries(uniforms).forEach(([uniform, source]) => {
+            if (typeof source === "string" && !SHADER_INPUTS.includes(source)) {
+                throw new Error(`Unknown shader input '${source}' for uniform '${uniform}'`);
+            }
+        });
+        if (!SHADER_MODES.includes(mode)) {
+            throw new Error(`Unknown shader mode '${mode}'`);
+        }
+
+        const previous = this.programs.get(name);
+        const shaderInfo = {
+            name,
+            label,
+            mode,
+            translucent,
+            instancing,
+            vertex,
+            fragment,
+            attributes: { ...attributes },
+            uniforms: { ...uniforms },
+            ...this.buildPrograms(vertex, fragment, instancing, attributes),
+            error: null
+        };
+        this.programs.set(name, shaderInfo);
+
+        if (previous) {
+            this.deletePrograms(previous);
+            if (this.currentShaderType === name) this.switchShader(name);
+        }
+        this.dispatchEvent(new CustomEvent("register", { detail: { name } }));
+    }
+
+    /**
+     * Builds a mode's program, and its instanced build if it supports one.
+     *
+     * @param {string} vertex - GLSL vertex shader source
+     * @param {string} fragment - GLSL fragment shader source
+     * @param {boolean} instancing - Also build with INSTANCED defined
+     * @param {Object<string, string>} attributes - GLSL attribute name -> stream
+     * @returns {{program: WebGLProgram, programInfo: ShaderProgram,
+     *   instancedProgramInfo: ShaderProgram|null}}
+     * @throws {ShaderCompileError} If either build fails, or declares a uniform
+     *   type ShaderProgram can't set (nothing is kept)
+     */
+    buildPrograms(vertex, fragment, instancing, attributes) {
+        const attributeLocations = { ...ATTRIBUTE_LOCATIONS };
+        Object.entries(attributes).forEach(([attribute, stream]) => {
+            attributeLocations[attribute] = STREAM_LOCATIONS[stream];
+        });
+
+        const program = buildShaderProgram(this.gl, vertex, fragment, { attributeLocations });
+        const programInfo = createProgramInfo(this.gl, program);
+        let instancedProgramInfo = null;
+        if (instancing) {
+            try {
+                instancedProgramInfo = createProgramInfo(this.gl, buildShaderProgram(this.gl, vertex, fragment, {
+                    header: "#define INSTANCED\n",
+                    attributeLocations
+                }));
+            } catch (error) {
+                this.gl.deleteProgram(program);
+                throw error;
+            }
+        }
+
+        return { program, programInfo, instancedProgramInfo };
+    }
+
+    /**
+     * @param {Object} shaderInfo - Registry entry whose programs are released
+     */
+    deletePrograms(shaderInfo) {
+        this.gl.deleteProgram(shaderInfo.program);
+        if (shaderInfo.instancedProgramInfo) {
+            this.gl.deleteProgram(shaderInfo.instancedProgramInfo.program);
+        }
+    }
+
+    /**
+     * Sets a mode's declared uniforms for the next draw. The mode's program
+     * must be in use; its attributes come from the bound vertex array.
+     * Uniforms the compiler optimized out, and inputs missing from `inputs`
+     * (the instanced path has no per-cube values), are skipped; setters come
+     * from the entry's ShaderProgram, so nothing is looked up here.
+     *
+     * @param {Object} shaderInfo - Registry entry (see getCurrentShader)
+     * @param {Object} inputs - Values for the names in SHADER_INPUTS
+     * @param {boolean} [instanced=false] - Set them on the instanced build
+     */
+    bindInputs(shaderInfo, inputs, instanced = false) {
+        const programInfo = instanced ? shaderInfo.instancedProgramInfo : shaderInfo.programInfo;
+
+        for (const uniform in shaderInfo.uniforms) {
+            if (!programInfo.hasUniform(uniform)) continue;
+            const source = shaderInfo.uniforms[uniform];
+            let value = source;
+            if (typeof source === "string") value = inputs[source];
+            else if (typeof source === "function") value = source(inputs);
+            if (value === undefined) continue;  // Not supplied by this draw path
+            programInfo.setUniform(uniform, value);
+        }
+    }
+
+    setupEventListeners() {
+        const shaderSelect = document.getElementById('shaderSelect');
+        this.populateSelect(shaderSelect);
+        this.addEventListener('register', () => this.populateSelect(shaderSelect));
+        shaderSelect.addEventListener('change', (e) => {
+            this.switchShader(e.target.value);
+        });
+    }
+
+    /**
+     * Fills a select element with one option per registered mode.
+     *
+     * @param {HTMLSelectElement} select
+     */
+    populateSelect(select) {
+        select.innerHTML = '';
+        this.programs.forEach(({ label }, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.currentShaderType;
+    }
+
+    switchShader(shaderType) {
+        const shaderProgram = this.programs.get(shaderType);
+        if (shaderProgram) {
+            this.currentShaderType = shaderType;
+            this.currentProgram = shaderProgram.program;
+            this.pendingShaderSwitch = true;
+        }
+    }
+
+    /**
+     * @param {string} name - Registered program name
+     * @returns {{vertex: string, fragment: string}} Source of the running program
+     */
+    getShaderSource(name) {
+        const shaderInfo = this.programs.get(name);
+        if (!shaderInfo) {
+            throw new Error(`Unknown shader '${name}'`);
+        }
+        return { vertex: shaderInfo.vertex, fragment: shaderInfo.fragment };
+    }
+
+    /**
+     * Rebuilds a program (and its instanced build) from new source.
+     * On success the new program replaces the old one everywhere it is
+     * looked up (including the current program). On failure the last working
+     * program keeps running; the error is returned and kept on the entry
+     * (`error`) until the next successful build.
+     *
+     * @param {string} name - Registered program name
+     * @param {{vertex: string, fragment: string}} source - New GLSL source
+     * @returns {{ok: boolean, error: ShaderCompileError|null}}
+     */
+    updateShaderSource(name, { vertex, fragment }) {
+        const shaderInfo = this.programs.get(name);
+        if (!shaderInfo) {
+            throw new Error(`Unknown shader '${name}'`);
+        }
+
+        let programs;
+        try {
+            programs = this.buildPrograms(vertex, fragment, shaderInfo.instancing, shaderInfo.attributes);
+        } catch (error) {
+            shaderInfo.error = error;
+            return { ok: false, error };
+        }
+
+        this.deletePrograms(shaderInfo);
+        Object.assign(shaderInfo, programs, { vertex, fragment, error: null });
+
+        if (this.currentShaderType === name) {
+            this.currentProgram = programs.program;
+            this.pendingShaderSwitch = true;
+        }
+
+        return { ok: true, error: null };
+    }
+
+    getCurrentProgram() {
+        return this.currentProgram;
+    }
+
+    /** @returns {Object} Registry entry of the active mode */
+    getCurrentShader() {
+        return this.programs.get(this.currentShaderType);
+    }
+
+    checkPendingSwitch() {
+        if (this.pendingShaderSwitch) {
+            this.pendingShaderSwitch = false;
+            return true;
+        }
+        return false;
+    }
+}
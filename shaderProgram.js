@@ -0,0 +1,204 @@
+/**
+ * Shader Program Module
+ * Wraps a linked WebGLProgram with the locations and types of all its
+ * active attributes and uniforms, read once when the wrapper is created.
+ * Per-frame code sets values through the wrapper and never queries
+ * locations.
+ *
+ * Uniform Setters:
+ * Each active uniform gets a setter matching its GLSL type:
+ * - float, vecN, int, ivecN, bool, bvecN, matN: the matching gl.uniform* call
+ * - Arrays (e.g. `uniform vec3 uColors[4]`): set as a whole under the name
+ *   without "[0]", from a flat array
+ * - sampler2D, samplerCube: each sampler is given its own texture unit when
+ *   the program is wrapped; setting it to a texture binds the texture to
+ *   that unit (sampler arrays take an array of textures)
+ * Struct members keep their full names ("uLights[0].color").
+ *
+ * Names that aren't active (never declared, or optimized out by the
+ * compiler) are ignored by setUniform() and report -1 from
+ * getAttribLocation(), so optional inputs need no special casing.
+ *
+ * @example
+ * const programInfo = new ShaderProgram(gl, program);
+ * programInfo.use();
+ * programInfo.bindAttribute("aPosition", buffers.vertexBuffer, 3);
+ * programInfo.setUniforms({ uModelViewMatrix: modelViewMatrix, uColor: [1, 0, 0, 1] });
+ */
+
+export class ShaderProgram {
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {WebGLProgram} program - A successfully linked program
+     */
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+        this.attributes = {};  // Name -> { location, type, size }
+        this.uniforms = {};    // Name -> { location, type, size, set(value) }
+        this.textureUnitCount = 0;
+
+        this.introspect();
+    }
+
+    /**
+     * Reads the program's active attributes and uniforms.
+     */
+    introspect() {
+        const gl = this.gl;
+
+        const attributeCount = gl.getProgramParameter(this.program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attributeCount; i++) {
+            const { name, type, size } = gl.getActiveAttrib(this.program, i);
+            if (name.startsWith("gl_")) continue;  // Built-ins have no location
+            this.attributes[name] = { location: gl.getAttribLocation(this.program, name), type, size };
+        }
+
+        const uniformCount = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const { name: activeName, type, size } = gl.getActiveUniform(this.program, i);
+            const name = activeName.replace(/\[0\]$/, "");
+            const location = gl.getUniformLocation(this.program, activeName);
+            this.uniforms[name] = {
+                location,
+                type,
+                size,
+                set: this.createUniformSetter(location, type, size)
+            };
+        }
+    }
+
+    /**
+     * Builds the setter for one uniform from its type and array size.
+     *
+     * @param {WebGLUniformLocation} location
+     * @param {number} type - GL type enum from getActiveUniform
+     * @param {number} size - Array length (1 for non-arrays)
+     * @returns {function(*): void}
+     * @throws {Error} If the type isn't supported
+     */
+    createUniformSetter(location, type, size) {
+        const gl = this.gl;
+        const isArray = size > 1;
+
+        switch (type) {
+            case gl.FLOAT:
+                return isArray
+                    ? (value) => gl.uniform1fv(location, value)
+                    : (value) => gl.uniform1f(location, value);
+            case gl.FLOAT_VEC2: return (value) => gl.uniform2fv(location, value);
+            case gl.FLOAT_VEC3: return (value) => gl.uniform3fv(location, value);
+            case gl.FLOAT_VEC4: return (value) => gl.uniform4fv(location, value);
+            case gl.INT:
+            case gl.BOOL:
+                return isArray
+                    ? (value) => gl.uniform1iv(location, value)
+                    : (value) => gl.uniform1i(location, Number(value));
+            case gl.INT_VEC2:
+            case gl.BOOL_VEC2: return (value) => gl.uniform2iv(location, value);
+            case gl.INT_VEC3:
+            case gl.BOOL_VEC3: return (value) => gl.uniform3iv(location, value);
+            case gl.INT_VEC4:
+            case gl.BOOL_VEC4: return (value) => gl.uniform4iv(location, value);
+            case gl.FLOAT_MAT2: return (value) => gl.uniformMatrix2fv(location, false, value);
+            case gl.FLOAT_MAT3: return (value) => gl.uniformMatrix3fv(location, false, value);
+            case gl.FLOAT_MAT4: return (value) => gl.uniformMatrix4fv(location, false, value);
+            case gl.SAMPLER_2D:
+            case gl.SAMPLER_CUBE:
+                return this.createSamplerSetter(
+                    location,
+                    type === gl.SAMPLER_2D ? gl.TEXTURE_2D : gl.TEXTURE_CUBE_MAP,
+                    size
+                );
+            default:
+                throw new Error(`Unsupported uniform type 0x${type.toString(16)}`);
+        }
+    }
+
+    /**
+     * Reserves texture units for a sampler (or sampler array) and returns
+     * a setter that binds textures to them.
+     *
+     * @param {WebGLUniformLocation} location
+     * @param {number} target - gl.TEXTURE_2D or gl.TEXTURE_CUBE_MAP
+     * @param {number} size - Array length (1 for a single sampler)
+     * @returns {function(WebGLTexture|Array<WebGLTexture>): void}
+     */
+    createSamplerSetter(location, target, size) {
+        const gl = this.gl;
+        const units = [];
+        for (let i = 0; i < size; i++) units.push(this.textureUnitCount++);
+
+        return (value) => {
+            const textures = size > 1 ? value : [value];
+            units.forEach((unit, i) => {
+                gl.activeTexture(gl.TEXTURE0 + unit);
+                gl.bindTexture(target, textures[i] || null);
+            });
+            if (size > 1) {
+                gl.uniform1iv(location, units);
+            } else {
+                gl.uniform1i(location, units[0]);
+            }
+        };
+    }
+
+    use() {
+        this.gl.useProgram(this.program);
+    }
+
+    /**
+     * @param {string} name - Uniform name (arrays without "[0]")
+     * @returns {boolean} Whether the uniform is active
+     */
+    hasUniform(name) {
+        return name in this.uniforms;
+    }
+
+    /**
+     * Sets one uniform of the program, which must be in use.
+     * Inactive names are ignored.
+     *
+     * @param {string} name - Uniform name (arrays without "[0]")
+     * @param {*} value - Number, array or texture, matching the uniform's type
+     */
+    setUniform(name, value) {
+        const uniform = this.uniforms[name];
+        if (uniform) uniform.set(value);
+    }
+
+    /**
+     * @param {Object<string, *>} values - Uniform name -> value
+     */
+    setUniforms(values) {
+        for (const name in values) this.setUniform(name, values[name]);
+    }
+
+    /**
+     * @param {string} name - Attribute name
+     * @returns {number} Location, or -1 if the attribute isn't active
+     */
+    getAttribLocation(name) {
+        const attribute = this.attributes[name];
+        return attribute ? attribute.location : -1;
+    }
+
+    /**
+     * Points an attribute at a tightly packed float buffer and enables it.
+     *
+     * @param {string} name - Attribute name
+     * @param {WebGLBuffer} buffer
+     * @param {number} size - Components per vertex
+     * @returns {number} Location used, or -1 if the attribute isn't active
+     */
+    bindAttribute(name, buffer, size) {
+        const gl = this.gl;
+        const location = this.getAttribLocation(name);
+        if (location === -1) return -1;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(location);
+        return location;
+    }
+}
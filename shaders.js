@@ -0,0 +1,989 @@
+/**
+ * Shader Sources
+ * GLSL ES 1.00 source for every built-in shader program. Sources are plain
+ * strings so they can be inspected and edited at runtime (see the shader
+ * editor); ShaderManager compiles them, translating them to GLSL ES 3.00 on
+ * WebGL2 contexts (see glsl.js).
+ *
+ * Instancing:
+ * Shaders registered with `instancing: true` are also compiled with
+ * `#define INSTANCED` in front. The shared declarations below switch the
+ * model-view matrix and color from uniforms to per-instance attributes in
+ * that build (see instancing.js), so one source serves both draw paths.
+ *
+ * Lighting:
+ * The Blinn-Phong and toon shaders light in world space with the scene
+ * lights of lighting.js (lightingDeclarations below), as does the textured
+ * shader, which reads the current texture of textures.js.
+ *
+ * Transparency:
+ * Face shaders write the cube's opacity (uColor.a) as their alpha; the
+ * renderer blends cubes below full opacity back to front. The glass
+ * shader is see-through for every cube.
+ *
+ * Shadows:
+ * Shaders that define RECEIVE_SHADOWS (by including shadowDeclarations)
+ * darken each light by its shadow map; see shadows.js for the depth pass.
+ *
+ * Post-Processing:
+ * The full-screen passes of postprocessing.js are at the end, with the
+ * normal-depth shaders their screen-space outline reads.
+ */
+
+import { MAX_LIGHTS } from "./lighting.js";
+
+/**
+ * Model-view declarations for instancing-capable vertex shaders.
+ * Defines getModelViewMatrix(), which returns uModelViewMatrix, or
+ * uViewMatrix * aModelMatrix when INSTANCED is defined; the instanced
+ * version also forwards the instance color to the fragment shader.
+ * getModelMatrix() and getNormalMatrix() give the world transform of
+ * positions and normals (uModelMatrix and uNormalMatrix when not instanced).
+ */
+const modelViewDeclarations = `
+#ifdef INSTANCED
+    attribute mat4 aModelMatrix;     // Per-instance model transform
+    attribute vec4 aInstanceColor;   // Per-instance color
+    uniform mat4 uViewMatrix;
+    varying vec4 vInstanceColor;
+
+    mat4 getModelViewMatrix() {
+        vInstanceColor = aInstanceColor;
+        return uViewMatrix * aModelMatrix;
+    }
+
+    mat4 getModelMatrix() {
+        return aModelMatrix;
+    }
+
+    // Inverse transpose of the model matrix's 3x3 part: each column divided
+    // by its squared length, exact for rotation and scale without shear
+    // (which is all cube transforms contain)
+    mat3 getNormalMatrix() {
+        vec3 x = aModelMatrix[0].xyz;
+        vec3 y = aModelMatrix[1].xyz;
+        vec3 z = aModelMatrix[2].xyz;
+        return mat3(x / dot(x, x), y / dot(y, y), z / dot(z, z));
+    }
+#else
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uModelMatrix;
+    uniform mat3 uNormalMatrix;
+
+    mat4 getModelViewMatrix() {
+        return uModelViewMatrix;
+    }
+
+    mat4 getModelMatrix() {
+        return uModelMatrix;
+    }
+
+    mat3 getNormalMatrix() {
+        return uNormalMatrix;
+    }
+#endif
+`;
+
+/**
+ * Color declaration for instancing-capable fragment shaders: uColor is a
+ * uniform, or the interpolated instance color when INSTANCED is defined.
+ * Must follow the precision statement.
+ */
+const colorDeclaration = `
+#ifdef INSTANCED
+    varying vec4 vInstanceColor;
+    #define uColor vInstanceColor
+#else
+    uniform vec4 uColor;
+#endif
+`;
+
+/**
+ * Lighting declarations for lit fragment shaders. Must follow the precision
+ * statement. Defines accumulateLights(), which sums the Blinn-Phong diffuse
+ * and specular light reaching a world-space point from the scene lights
+ * (uniform layout described at LightManager.getUniforms).
+ */
+const lightingDeclarations = `
+    #define MAX_LIGHTS ${MAX_LIGHTS}
+
+    uniform int uLightCount;
+    uniform vec4 uLightPositions[MAX_LIGHTS];     // w = 1: position, w = 0: direction to light
+    uniform vec3 uLightColors[MAX_LIGHTS];        // Color times intensity
+    uniform float uLightAttenuations[MAX_LIGHTS]; // Quadratic falloff
+    uniform vec3 uAmbientLight;
+    uniform vec3 uCameraPosition;
+    uniform float uShininess;         // Specular exponent
+    uniform float uSpecularStrength;  // Specular reflectance
+
+    void accumulateLights(vec3 normal, vec3 position, out vec3 diffuse, out vec3 specular) {
+        vec3 viewDir = normalize(uCameraPosition - position);
+        diffuse = vec3(0.0);
+        specular = vec3(0.0);
+
+        for (int i = 0; i < MAX_LIGHTS; i++) {
+            if (i >= uLightCount) break;
+
+            // Directional lights (w = 0) point the same way everywhere
+            vec3 toLight = uLightPositions[i].xyz - position * uLightPositions[i].w;
+            float distance = max(length(toLight), 0.0001);
+            vec3 lightDir = toLight / distance;
+            vec3 radiance = uLightColors[i] / (1.0 + uLightAttenuations[i] * distance * distance);
+#ifdef RECEIVE_SHADOWS
+            if (uShadowEnabled[i] > 0.5) {
+                radiance *= getShadowVisibility(i, vShadowCoords[i]);
+            }
+#endif
+
+            float lambert = max(dot(normal, lightDir), 0.0);
+            diffuse += radiance * lambert;
+
+            // Blinn-Phong: highlight from the half vector between the light
+            // and view directions (none on faces turned away from the light)
+            if (lambert > 0.0) {
+                vec3 halfway = normalize(lightDir + viewDir);
+                specular += radiance * uSpecularStrength * pow(max(dot(normal, halfway), 0.0), uShininess);
+            }
+        }
+    }
+`;
+
+/**
+ * Shadow declarations for vertex shaders of shadow receivers. Defines
+ * computeShadowCoords(), which gives the fragment shader the world-space
+ * position in the coordinates of every light's shadow map.
+ */
+const shadowVertexDeclarations = `
+    uniform mat4 uShadowMatrices[${MAX_LIGHTS}];  // World -> shadow map coordinates
+    varying vec4 vShadowCoords[${MAX_LIGHTS}];
+
+    void computeShadowCoords(vec4 worldPosition) {
+        for (int i = 0; i < ${MAX_LIGHTS}; i++) {
+            vShadowCoords[i] = uShadowMatrices[i] * worldPosition;
+        }
+    }
+`;
+
+/**
+ * Shadow declarations for fragment shaders of shadow receivers. Must come
+ * before lightingDeclarations, whose light loop then multiplies each
+ * shadowed light by getShadowVisibility(). Shadow maps hold RGBA-packed
+ * depth (see shadowDepthFragmentShader).
+ */
+const shadowDeclarations = `
+    #define RECEIVE_SHADOWS
+${Array.from({ length: MAX_LIGHTS }, (_, i) => `    uniform sampler2D uShadowMap${i};`).join("\n")}
+    uniform float uShadowEnabled[${MAX_LIGHTS}];  // 1.0 for lights casting shadows
+    uniform float uShadowMapTexelSize;       // 1 / shadow map size
+    varying vec4 vShadowCoords[${MAX_LIGHTS}];
+
+    float unpackDepth(vec4 rgba) {
+        return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+    }
+
+    // Percentage-closer filtering: the fraction of a 3x3 block of shadow
+    // map texels whose occluder lies beyond the point
+    float sampleShadowMap(sampler2D shadowMap, vec4 shadowCoord) {
+        vec3 coord = shadowCoord.xyz / shadowCoord.w;
+        if (shadowCoord.w <= 0.0 || coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0) {
+            return 1.0;  // Outside the light's view, where nothing casts shadows
+        }
+        if (coord.z > 1.0) {
+            return 1.0;  // Beyond the far plane, which lies past every caster
+        }
+
+        float lit = 0.0;
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec2 offset = vec2(float(x), float(y)) * uShadowMapTexelSize;
+                float occluder = unpackDepth(texture2D(shadowMap, coord.xy + offset));
+                lit += step(coord.z - 0.001, occluder);
+            }
+        }
+        return lit / 9.0;
+    }
+
+    // Samplers can't be indexed by a variable, so each light's map is
+    // picked explicitly
+    float getShadowVisibility(int light, vec4 shadowCoord) {
+${Array.from({ length: MAX_LIGHTS }, (_, i) => `        if (light == ${i}) return sampleShadowMap(uShadowMap${i}, shadowCoord);`).join("\n")}
+        return 1.0;
+    }
+`;
+
+/**
+ * Vertex Shader for Cube Rendering
+ * This GLSL shader processes individual vertices for the cube geometry,
+ * applying camera and projection transformations.
+ * 
+ * Shader Inputs:
+ * @attribute vec3 aPosition - Raw vertex position from vertex buffer
+ *   - Format: (x, y, z) coordinates
+ *   - Range: Defined in model space
+ *   - Usage: Input from WebGL vertex buffer
+ * 
+ * Uniforms (Global Variables):
+ * @uniform mat4 uModelViewMatrix 
+ *   - Combined model and view transformations
+ *   - Handles object position and camera view
+ *   - Updated per frame for animation
+ * 
+ * @uniform mat4 uProjectionMatrix
+ *   - Perspective projection matrix
+ *   - Converts 3D coordinates to clip space
+ *   - Typically updated only on canvas resize
+ * 
+ * Outputs:
+ * @varying vec3 vPosition
+ *   - Passes vertex position to fragment shader
+ *   - Used for position-based color effects
+ * 
+ * @output gl_Position
+ *   - Built-in output for final vertex position
+ *   - Must be in clip space (-1 to +1 for each component)
+ * 
+ * Transformation Pipeline:
+ * 1. Start with raw vertex position (aPosition)
+ * 2. Convert to vec4 for matrix multiplication
+ * 3. Apply model-view transformation
+ * 4. Apply projection transformation
+ * 5. Output to gl_Position for rasterization
+ */
+export const vertexShaderSource = `
+    // Input vertex position from buffer
+    attribute vec3 aPosition;
+
+    // Transformation matrices from JavaScript
+    // (camera and object transforms come from getModelViewMatrix)
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;   // Perspective projection
+    
+    // Output to fragment shader
+    varying vec3 vPosition;
+    
+    void main() {
+        // Pass position to fragment shader for color calculations
+        vPosition = aPosition;
+
+        // Transform vertex position through matrices
+        // 1. Convert vec3 position to vec4 (w = 1.0 for points)
+        // 2. Multiply by model-view matrix for camera space
+        // 3. Multiply by projection matrix for clip space
+        gl_Position = uProjectionMatrix * getModelViewMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+/**
+ * Fragment Shader for Animated Cube Faces
+ * This GLSL shader determines the color of each pixel on cube faces,
+ * creating an animated color effect by blending base color with 
+ * position-based and time-based variations.
+ * 
+ * Precision Setting:
+ * @precision mediump float
+ *   - Medium precision for floating-point calculations
+ *   - Balances performance and accuracy
+ *   - Sufficient for color computations
+ * 
+ * Inputs:
+ * @uniform vec4 uColor
+ *   - Base color for the cube face
+ *   - Format: (red, green, blue, alpha)
+ *   - Range: [0.0, 1.0] for each component
+ * 
+ * @uniform float uTime
+ *   - Elapsed time for animation
+ *   - Used to create dynamic color changes
+ *   - Updated per frame
+ * 
+ * @varying vec3 vPosition
+ *   - Interpolated vertex position from vertex shader
+ *   - Used to create position-based color variation
+ *   - Varies across face of cube
+ * 
+ * Color Calculation:
+ * 1. Dynamic Color Component Generation:
+ *    - Red:   sin(time + x_position) * 0.5 + 0.5
+ *    - Green: cos(time + y_position) * 0.5 + 0.5
+ *    - Blue:  sin(time + z_position) * 0.5 + 0.5
+ *    Note: * 0.5 + 0.5 transforms range from [-1,1] to [0,1]
+ * 
+ * 2. Color Blending:
+ *    - Mixes base color (uColor) with animated color
+ *    - Blend factor: 0.3 (30% animated, 70% base color)
+ *    - Alpha is the cube's opacity (uColor.a)
+ * 
+ * Output:
+ * @output gl_FragColor
+ *   - Final pixel color (RGBA)
+ *   - Format: vec4(red, green, blue, alpha)
+ *   - Range: [0.0, 1.0] for each component
+ */
+export const fragmentShaderSource = `
+    // Set floating point precision
+    precision mediump float;
+
+    // Input uniforms for base color and animation time
+${colorDeclaration}
+    uniform float uTime;    // Animation time
+    
+    // Input varying from vertex shader
+    varying vec3 vPosition; // Interpolated position
+    
+    void main() {
+        // Generate animated color components based on position and time
+        vec3 color = vec3(
+            // Red component: Sine wave based on x-position and time
+            sin(uTime + vPosition.x) * 0.5 + 0.5,
+            
+            // Green component: Cosine wave based on y-position and time
+            cos(uTime + vPosition.y) * 0.5 + 0.5,
+            
+            // Blue component: Sine wave based on z-position and time
+            sin(uTime + vPosition.z) * 0.5 + 0.5
+        );
+
+        // Mix base color with animated color, keeping the cube's opacity
+        // mix(x,y,a) = x * (1-a) + y * a
+        gl_FragColor = vec4(mix(uColor.rgb, color, 0.3), uColor.a);
+    }
+`;
+
+/**
+ * Fragment Shader for Cube Edges
+ * A minimal GLSL shader that renders solid black lines for cube wireframes
+ * and grid lines. This shader is designed for maximum simplicity and efficiency
+ * when rendering structural elements.
+ * 
+ * Precision Setting:
+ * @precision mediump float
+ *   - Medium precision floating-point calculations
+ *   - Optimal for simple color output
+ *   - Provides good balance between precision and performance
+ *   - More than sufficient for solid color rendering
+ * 
+ * Color Output:
+ * gl_FragColor components:
+ *   - Red:   0.0 (no red component)
+ *   - Green: 0.0 (no green component)
+ *   - Blue:  0.0 (no blue component)
+ *   - Alpha: 1.0 (fully opaque)
+ * 
+ * Usage Context:
+ * - Applied to cube edges for wireframe visualization
+ * - Used for reference grid lines
+ * - Provides visual structure and depth cues
+ * - Creates contrast with colored cube faces
+ * 
+ * Performance Notes:
+ * - No uniform inputs required
+ * - No varying inputs required
+ * - No calculations performed
+ * - Highly efficient shader execution
+ * 
+ * @output gl_FragColor
+ *   - Fixed black color output
+ *   - Format: vec4(r, g, b, a)
+ *   - All components in range [0.0, 1.0]
+ */
+export const fragmentShaderSourceBlack = `
+    // Set floating point precision for calculations
+    precision mediump float;
+    
+    void main() {
+        // Output solid black color with full opacity
+        // vec4(red, green, blue, alpha)
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Fragment Shader for Solid-Colored Helpers
+ * Fills geometry with a single uniform RGBA color, including alpha, for
+ * scene helpers such as the translucent bounding box.
+ * 
+ * @uniform vec4 uColor - Output color (alpha is used for blending)
+ */
+export const solidColorFragmentShader = `
+    precision mediump float;
+    
+    uniform vec4 uColor;
+    
+    void main() {
+        gl_FragColor = uColor;
+    }
+`;
+
+// Blinn-Phong Vertex Shader
+// Passes world-space position and normal on for per-fragment lighting
+export const phongVertexShader = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;
+    
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vNormal = getNormalMatrix() * aNormal;
+        vWorldPosition = (getModelMatrix() * vec4(aPosition, 1.0)).xyz;
+        gl_Position = uProjectionMatrix * getModelViewMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+// Blinn-Phong Fragment Shader
+// Ambient plus the diffuse and specular light of every scene light
+export const phongFragmentShader = `
+    precision mediump float;
+${colorDeclaration}
+${lightingDeclarations}
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vec3 diffuse;
+        vec3 specular;
+        accumulateLights(normalize(vNormal), vWorldPosition, diffuse, specular);
+        
+        gl_FragColor = vec4(uColor.rgb * (uAmbientLight + diffuse) + specular, uColor.a);
+    }
+`;
+
+// Toon Vertex Shader (same as Blinn-Phong)
+export const toonVertexShader = phongVertexShader;
+
+// Toon Fragment Shader
+// Bands the brightness of the summed diffuse light (keeping the lights'
+// tint) and turns the specular highlight into a hard-edged spot
+export const toonFragmentShader = `
+    precision mediump float;
+${colorDeclaration}
+${lightingDeclarations}
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vec3 diffuse;
+        vec3 specular;
+        accumulateLights(normalize(vNormal), vWorldPosition, diffuse, specular);
+        
+        float intensity = max(max(diffuse.r, diffuse.g), diffuse.b);
+        vec3 tint = intensity > 0.0 ? diffuse / intensity : vec3(0.0);
+        
+        float band;
+        if (intensity > 0.95) {
+            band = 1.0;
+        } else if (intensity > 0.5) {
+            band = 0.7;
+        } else if (intensity > 0.25) {
+            band = 0.4;
+        } else {
+            band = 0.2;
+        }
+        
+        vec3 color = uColor.rgb * (uAmbientLight + tint * band);
+        float highlight = step(0.5, max(max(specular.r, specular.g), specular.b));
+        
+        gl_FragColor = vec4(color + highlight * 0.3, uColor.a);
+    }
+`;
+
+// Textured Vertex Shader
+// Blinn-Phong inputs plus texture coordinates, moved into the cell of the
+// face's image when the texture is a face atlas (see textures.js)
+export const texturedVertexShader = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+    attribute vec2 aTexCoord;
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;
+    uniform vec2 uFaceGrid;  // Atlas columns and rows; (1, 1) for one image on every face
+
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+    varying vec2 vTexCoord;
+
+    // Index of the face in cubeFaces order, from its model-space normal
+    float getFaceIndex(vec3 normal) {
+        if (normal.z > 0.5) return 0.0;   // front
+        if (normal.z < -0.5) return 1.0;  // back
+        if (normal.y > 0.5) return 2.0;   // top
+        if (normal.y < -0.5) return 3.0;  // bottom
+        if (normal.x > 0.5) return 4.0;   // right
+        return 5.0;                       // left
+    }
+
+    void main() {
+        // Cells are numbered left to right from the top row, which is at
+        // the top of the texture (v = 1)
+        float cell = mod(getFaceIndex(aNormal), uFaceGrid.x * uFaceGrid.y);
+        float column = mod(cell, uFaceGrid.x);
+        float row = floor(cell / uFaceGrid.x);
+        vTexCoord = vec2(column + aTexCoord.x, uFaceGrid.y - row - 1.0 + aTexCoord.y) / uFaceGrid;
+
+        vNormal = getNormalMatrix() * aNormal;
+        vWorldPosition = (getModelMatrix() * vec4(aPosition, 1.0)).xyz;
+        gl_Position = uProjectionMatrix * getModelViewMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+// Textured Fragment Shader
+// The texture tinted by the cube's animated color, lit like Blinn-Phong
+export const texturedFragmentShader = `
+    precision mediump float;
+${colorDeclaration}
+${lightingDeclarations}
+    uniform sampler2D uTexture;
+
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+    varying vec2 vTexCoord;
+
+    void main() {
+        vec3 diffuse;
+        vec3 specular;
+        accumulateLights(normalize(vNormal), vWorldPosition, diffuse, specular);
+
+        vec3 albedo = texture2D(uTexture, vTexCoord).rgb * uColor.rgb;
+        gl_FragColor = vec4(albedo * (uAmbientLight + diffuse) + specular, uColor.a);
+    }
+`;
+
+// Glass Vertex Shader (same as Blinn-Phong)
+export const glassVertexShader = phongVertexShader;
+
+// Glass Fragment Shader
+// Tinted see-through faces: mostly transparent when seen head-on, turning
+// opaque toward grazing angles (Schlick's Fresnel term), with highlights
+// that stay bright. Back faces, seen through the front ones, are lit from
+// the inside.
+export const glassFragmentShader = `
+    precision mediump float;
+${colorDeclaration}
+${lightingDeclarations}
+    uniform float uGlassOpacity;  // Head-on opacity, times the cube's own
+
+    varying vec3 vNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec3 normal = normalize(vNormal);
+        if (!gl_FrontFacing) normal = -normal;
+
+        vec3 diffuse;
+        vec3 specular;
+        accumulateLights(normal, vWorldPosition, diffuse, specular);
+
+        vec3 viewDir = normalize(uCameraPosition - vWorldPosition);
+        float fresnel = pow(1.0 - max(dot(normal, viewDir), 0.0), 5.0);
+        float opacity = mix(uGlassOpacity * uColor.a, 1.0, fresnel);
+
+        // Highlights are reflected light, so they show whatever the opacity
+        float highlight = max(max(specular.r, specular.g), specular.b);
+        vec3 color = uColor.rgb * (uAmbientLight + diffuse);
+        gl_FragColor = vec4(color + specular, clamp(opacity + highlight, 0.0, 1.0));
+    }
+`;
+
+export const wireframeVertexShader = `
+    attribute vec3 aPosition;
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;
+    
+    void main() {
+        gl_Position = uProjectionMatrix * getModelViewMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+// Wireframe Fragment Shader
+// Lines in one color (the edge color picked in the controls for cube edges)
+export const wireframeFragmentShader = `
+    precision mediump float;
+    uniform vec3 uEdgeColor;
+    
+    void main() {
+        gl_FragColor = vec4(uEdgeColor, 1.0);
+    }
+`;
+
+// Thick Wireframe Shaders
+// Draw the cube edges onto the faces themselves, uEdgeWidth pixels wide at
+// any distance (gl.lineWidth is capped at 1 on most platforms). The
+// distance to the edges comes from the barycentric coordinates of the
+// face's two triangles, which follow from its texture coordinates: the
+// faces are split along the u = v diagonal, whose barycentric coordinate
+// (y) is left out so only the quad's outline is drawn. Everything else is
+// discarded; the renderer's depth pre-pass keeps hidden edges hidden.
+export const thickWireframeVertexShader = `
+    attribute vec3 aPosition;
+    attribute vec2 aTexCoord;
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vTexCoord = aTexCoord;
+        gl_Position = uProjectionMatrix * getModelViewMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+export const thickWireframeFragmentShader = `
+    #extension GL_OES_standard_derivatives : enable
+    precision mediump float;
+    uniform vec3 uEdgeColor;
+    uniform float uEdgeWidth;  // Pixels
+    
+    varying vec2 vTexCoord;
+    
+    // Barycentric coordinates within the face's triangle: corners
+    // (0, 0), (1, 0), (1, 1) below the diagonal, (0, 0), (1, 1), (0, 1)
+    // above it
+    vec3 getBarycentric(vec2 uv) {
+        return uv.x >= uv.y
+            ? vec3(1.0 - uv.x, uv.x - uv.y, uv.y)
+            : vec3(1.0 - uv.y, uv.y - uv.x, uv.x);
+    }
+    
+    void main() {
+        vec2 outline = getBarycentric(vTexCoord).xz;
+        vec2 pixels = outline / max(fwidth(outline), 0.00001);
+        
+        // Each face draws the width inside its own outline, so silhouettes
+        // get the full width (edges between two visible faces get it twice)
+        if (min(pixels.x, pixels.y) > uEdgeWidth) discard;
+        gl_FragColor = vec4(uEdgeColor, 1.0);
+    }
+`;
+
+/**
+ * Shadow Depth Shaders
+ * Render shadow casters from a light's point of view (uLightMatrix is the
+ * light's projection times its view) and store each fragment's depth in an
+ * RGBA8 color, 8 bits per channel, so no depth texture support is needed.
+ */
+export const shadowDepthVertexShader = `
+    attribute vec3 aPosition;
+${modelViewDeclarations}
+    uniform mat4 uLightMatrix;
+    
+    void main() {
+        gl_Position = uLightMatrix * getModelMatrix() * vec4(aPosition, 1.0);
+    }
+`;
+
+export const shadowDepthFragmentShader = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+    
+    // Splits a depth in [0, 1) into four base-255 digits
+    vec4 packDepth(float depth) {
+        vec4 digits = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        return digits - digits.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    }
+    
+    void main() {
+        // 1.0 would wrap around to 0.0 when packed
+        gl_FragColor = packDepth(min(gl_FragCoord.z, 0.99999));
+    }
+`;
+
+/**
+ * Ground Plane Shaders
+ * Lights the ground with the scene lights (normal straight up) and the
+ * shadows of every light that casts them. High precision is used where
+ * available so the unpacked shadow depths can be compared reliably.
+ */
+export const groundVertexShader = `
+    attribute vec3 aPosition;
+    
+    uniform mat4 uModelMatrix;
+    uniform mat4 uViewMatrix;
+    uniform mat4 uProjectionMatrix;
+${shadowVertexDeclarations}
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vec4 worldPosition = uModelMatrix * vec4(aPosition, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        computeShadowCoords(worldPosition);
+        gl_Position = uProjectionMatrix * uViewMatrix * worldPosition;
+    }
+`;
+
+export const groundFragmentShader = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+${shadowDeclarations}
+${lightingDeclarations}
+    uniform vec4 uColor;
+    
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vec3 diffuse;
+        vec3 specular;
+        accumulateLights(vec3(0.0, 1.0, 0.0), vWorldPosition, diffuse, specular);
+        
+        gl_FragColor = vec4(uColor.rgb * (uAmbientLight + diffuse) + specular, uColor.a);
+    }
+`;
+
+/**
+ * Normal-Depth Shaders
+ * Render the cubes' view-space normals and distances for screen-space
+ * effects (the outline pass of postprocessing.js), without depth texture
+ * or multiple render target support:
+ *   rg = normal.xy * 0.5 + 0.5 (view space, z faces the camera)
+ *   ba = depth / uDepthRange as two base-255 digits
+ */
+export const normalDepthVertexShader = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+${modelViewDeclarations}
+    uniform mat4 uProjectionMatrix;
+    
+    varying vec3 vViewNormal;
+    varying float vViewDepth;
+    
+    void main() {
+        // Cubes are scaled uniformly, so the model-view rotation turns
+        // normals correctly
+        mat4 modelView = getModelViewMatrix();
+        vViewNormal = mat3(modelView[0].xyz, modelView[1].xyz, modelView[2].xyz) * aNormal;
+        
+        vec4 viewPosition = modelView * vec4(aPosition, 1.0);
+        vViewDepth = -viewPosition.z;
+        gl_Position = uProjectionMatrix * viewPosition;
+    }
+`;
+
+export const normalDepthFragmentShader = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+    uniform float uDepthRange;  // View distance stored as 1.0
+    
+    varying vec3 vViewNormal;
+    varying float vViewDepth;
+    
+    void main() {
+        vec3 normal = normalize(vViewNormal);
+        float depth = clamp(vViewDepth / uDepthRange, 0.0, 0.9999);
+        vec2 digits = fract(depth * vec2(1.0, 255.0));
+        digits.x -= digits.y / 255.0;
+        gl_FragColor = vec4(normal.xy * 0.5 + 0.5, digits);
+    }
+`;
+
+/**
+ * Post-Processing Shaders
+ * Full-screen passes of postprocessing.js. The vertex shader covers the
+ * screen with one triangle; every fragment shader reads the image so far
+ * from uInput at vTexCoord, with uTexelSize being the size of one of its
+ * pixels in texture coordinates.
+ */
+export const postVertexShader = `
+    attribute vec2 aPosition;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vTexCoord = aPosition * 0.5 + 0.5;
+        gl_Position = vec4(aPosition, 0.0, 1.0);
+    }
+`;
+
+// FXAA: blends across edges found from the luma of the four diagonal
+// neighbors, along the edge direction, unless that overshoots the local
+// luma range
+export const fxaaFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform vec2 uTexelSize;
+    
+    varying vec2 vTexCoord;
+    
+    const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+    const float REDUCE_MIN = 1.0 / 128.0;
+    const float REDUCE_MUL = 1.0 / 8.0;
+    const float SPAN_MAX = 8.0;
+    
+    void main() {
+        vec4 center = texture2D(uInput, vTexCoord);
+        float lumaNW = dot(texture2D(uInput, vTexCoord + vec2(-1.0, -1.0) * uTexelSize).rgb, LUMA);
+        float lumaNE = dot(texture2D(uInput, vTexCoord + vec2(1.0, -1.0) * uTexelSize).rgb, LUMA);
+        float lumaSW = dot(texture2D(uInput, vTexCoord + vec2(-1.0, 1.0) * uTexelSize).rgb, LUMA);
+        float lumaSE = dot(texture2D(uInput, vTexCoord + vec2(1.0, 1.0) * uTexelSize).rgb, LUMA);
+        float lumaM = dot(center.rgb, LUMA);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+        
+        // Edge direction, scaled so its shorter component is about one
+        // pixel and limited to SPAN_MAX pixels
+        vec2 dir = vec2(
+            -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+            (lumaNW + lumaSW) - (lumaNE + lumaSE)
+        );
+        float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * REDUCE_MUL, REDUCE_MIN);
+        float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+        dir = clamp(dir * rcpDirMin, -SPAN_MAX, SPAN_MAX) * uTexelSize;
+        
+        vec3 inner = 0.5 * (
+            texture2D(uInput, vTexCoord + dir * (1.0 / 3.0 - 0.5)).rgb +
+            texture2D(uInput, vTexCoord + dir * (2.0 / 3.0 - 0.5)).rgb);
+        vec3 outer = inner * 0.5 + 0.25 * (
+            texture2D(uInput, vTexCoord - dir * 0.5).rgb +
+            texture2D(uInput, vTexCoord + dir * 0.5).rgb);
+        float lumaOuter = dot(outer, LUMA);
+        
+        gl_FragColor = vec4(lumaOuter < lumaMin || lumaOuter > lumaMax ? inner : outer, center.a);
+    }
+`;
+
+// Bloom, step 1: keeps the part of each color above the threshold
+export const bloomBrightFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uThreshold;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec3 color = texture2D(uInput, vTexCoord).rgb;
+        float brightness = max(max(color.r, color.g), color.b);
+        float excess = max(brightness - uThreshold, 0.0) / max(brightness, 0.0001);
+        gl_FragColor = vec4(color * excess, 1.0);
+    }
+`;
+
+// Bloom, steps 2 and 3: 9-tap Gaussian blur along uDirection (in pixels)
+export const blurFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform vec2 uTexelSize;
+    uniform vec2 uDirection;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec2 offset = uDirection * uTexelSize;
+        vec3 color = texture2D(uInput, vTexCoord).rgb * 0.227027;
+        color += (texture2D(uInput, vTexCoord + offset).rgb + texture2D(uInput, vTexCoord - offset).rgb) * 0.1945946;
+        color += (texture2D(uInput, vTexCoord + offset * 2.0).rgb + texture2D(uInput, vTexCoord - offset * 2.0).rgb) * 0.1216216;
+        color += (texture2D(uInput, vTexCoord + offset * 3.0).rgb + texture2D(uInput, vTexCoord - offset * 3.0).rgb) * 0.054054;
+        color += (texture2D(uInput, vTexCoord + offset * 4.0).rgb + texture2D(uInput, vTexCoord - offset * 4.0).rgb) * 0.016216;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Bloom, step 4: adds the blurred bright parts to the image
+export const bloomCombineFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform sampler2D uBloom;
+    uniform float uStrength;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec4 color = texture2D(uInput, vTexCoord);
+        vec3 bloom = texture2D(uBloom, vTexCoord).rgb;
+        gl_FragColor = vec4(min(color.rgb + bloom * uStrength, 1.0), color.a);
+    }
+`;
+
+// Vignette: darkens toward the corners of the canvas
+export const vignetteFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uStrength;  // Darkening at the corners
+    uniform float uRadius;    // Distance from the center where darkening starts (1 = corner)
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec4 color = texture2D(uInput, vTexCoord);
+        float distance = length(vTexCoord - 0.5) * 1.41421;
+        float darkening = uStrength * smoothstep(uRadius, 1.0, distance);
+        gl_FragColor = vec4(color.rgb * (1.0 - darkening), color.a);
+    }
+`;
+
+// Color grading: exposure and tint, then contrast around mid gray, then
+// saturation
+export const colorGradingFragmentShader = `
+    precision mediump float;
+    uniform sampler2D uInput;
+    uniform float uExposure;
+    uniform vec3 uTint;
+    uniform float uContrast;
+    uniform float uSaturation;
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec4 color = texture2D(uInput, vTexCoord);
+        vec3 graded = color.rgb * uExposure * uTint;
+        graded = (graded - 0.5) * uContrast + 0.5;
+        float luma = dot(graded, vec3(0.299, 0.587, 0.114));
+        graded = mix(vec3(luma), graded, uSaturation);
+        gl_FragColor = vec4(clamp(graded, 0.0, 1.0), color.a);
+    }
+`;
+
+// Screen-space outline: Sobel filters on the normal-depth buffer (see
+// normalDepthFragmentShader) find silhouettes, where depth jumps, and
+// creases, where the normal turns; both are drawn in uOutlineColor
+export const outlineFragmentShader = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+    uniform sampler2D uInput;
+    uniform sampler2D uNormalDepth;
+    uniform vec2 uTexelSize;
+    uniform vec3 uOutlineColor;
+    uniform float uDepthThreshold;   // Depth change relative to the depth
+    uniform float uNormalThreshold;  // Normal change
+    
+    varying vec2 vTexCoord;
+    
+    void main() {
+        vec2 depthGradient = vec2(0.0);
+        vec4 normalGradient = vec4(0.0);  // xy: d/dx, zw: d/dy
+        float centerDepth = 1.0;
+        
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec4 texel = texture2D(uNormalDepth, vTexCoord + vec2(float(x), float(y)) * uTexelSize);
+                vec2 normal = texel.rg * 2.0 - 1.0;
+                float depth = dot(texel.ba, vec2(1.0, 1.0 / 255.0));
+                if (x == 0 && y == 0) centerDepth = depth;
+                
+                // Sobel weights: 1 2 1 across the filter direction
+                vec2 weight = vec2(float(x) * (y == 0 ? 2.0 : 1.0), float(y) * (x == 0 ? 2.0 : 1.0));
+                depthGradient += weight * depth;
+                normalGradient += vec4(normal * weight.x, normal * weight.y);
+            }
+        }
+        
+        float depthEdge = smoothstep(uDepthThreshold, uDepthThreshold * 2.0,
+            length(depthGradient) / max(centerDepth, 0.001));
+        float normalEdge = smoothstep(uNormalThreshold, uNormalThreshold * 2.0,
+            length(normalGradient));
+        
+        vec4 color = texture2D(uInput, vTexCoord);
+        gl_FragColor = vec4(mix(color.rgb, uOutlineColor, max(depthEdge, normalEdge)), color.a);
+    }
+`;
@@ -0,0 +1,230 @@
+/**
+ * Shadow Mapping Module
+ * Renders the depth of the shadow casters as seen from each light that
+ * has `castShadows` set, for receivers to compare against (see
+ * shadowDeclarations in shaders.js).
+ *
+ * Shadow Maps:
+ * One SHADOW_MAP_SIZE² framebuffer per light slot, created when a slot
+ * first casts shadows. Depth is stored RGBA-packed in an RGBA8 color
+ * texture (with a depth renderbuffer for depth testing), which works on
+ * every WebGL1 and WebGL2 context without the depth texture extension.
+ *
+ * Light Views:
+ * Each shadow map covers the sphere around the world bounds, where all
+ * casters are:
+ * - directional: Orthographic view along the light's direction
+ * - point: Perspective view from the light toward the bounds center
+ *   (one map instead of a cube map, so a point light inside the bounds
+ *   only shadows what lies within a 120° cone in front of it)
+ *
+ * Slots follow the order of LightManager.lights, like the light uniforms.
+ *
+ * Depends on the global glMatrix `mat4` (loaded by index.html).
+ *
+ * @example
+ * const shadowManager = new ShadowManager(gl, lightManager);
+ * // Once per frame, before drawing the views:
+ * shadowManager.render(worldBounds, (lightMatrix) => drawCubeDepth(lightMatrix));
+ * const { shadowMatrices, shadowEnabled, shadowMaps } = shadowManager.getUniforms();
+ */
+
+import { MAX_LIGHTS } from "./lighting.js";
+import { buildShaderProgram } from "./shaderManager.js";
+import { ShaderProgram } from "./shaderProgram.js";
+import { shadowDepthVertexShader, shadowDepthFragmentShader } from "./shaders.js";
+
+export const SHADOW_MAP_SIZE = 1024;
+
+// Field of view for point lights too close to fit the bounds in view
+const MAX_POINT_FOV = 120 * Math.PI / 180;
+
+export class ShadowManager {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     * @param {LightManager} lightManager - Lights to render shadows for
+     * @param {Object} [options]
+     * @param {number} [options.size=SHADOW_MAP_SIZE] - Shadow map width and height
+     */
+    constructor(gl, lightManager, { size = SHADOW_MAP_SIZE } = {}) {
+        this.gl = gl;
+        this.lightManager = lightManager;
+        this.size = size;
+        this.targets = [];  // Per slot: { framebuffer, texture, depthBuffer }
+
+        // Depth programs for casters drawn one at a time and instanced
+        this.depthProgram = new ShaderProgram(
+            gl,
+            buildShaderProgram(gl, shadowDepthVertexShader, shadowDepthFragmentShader)
+        );
+        this.instancedDepthProgram = new ShaderProgram(
+            gl,
+            buildShaderProgram(gl, shadowDepthVertexShader, shadowDepthFragmentShader, {
+                header: "#define INSTANCED\n"
+            })
+        );
+
+        // Maps shadow clip space [-1, 1] to texture coordinates and depth [0, 1]
+        this.biasMatrix = mat4.fromValues(
+            0.5, 0.0, 0.0, 0.0,
+            0.0, 0.5, 0.0, 0.0,
+            0.0, 0.0, 0.5, 0.0,
+            0.5, 0.5, 0.5, 1.0
+        );
+        this.lightMatrix = mat4.create();
+        this.shadowMatrix = mat4.create();
+
+        this.uniforms = {
+            shadowMaps: new Array(MAX_LIGHTS).fill(null),
+            shadowMatrices: new Float32Array(MAX_LIGHTS * 16),
+            shadowEnabled: new Float32Array(MAX_LIGHTS),
+            shadowMapTexelSize: 1 / size
+        };
+    }
+
+    /** @returns {boolean} Whether any light casts shadows */
+    get active() {
+        return this.lightManager.lights.some(light => light.castShadows);
+    }
+
+    /**
+     * Renders the shadow map of every light that casts shadows.
+     * Leaves the default framebuffer bound; the caller restores its viewport.
+     *
+     * Process:
+     * 1. Computes the light's view-projection matrix for the bounds
+     * 2. Binds and clears the light's framebuffer (cleared to the far depth)
+     * 3. Calls drawCasters, which draws every caster with one of the depth
+     *    programs (uLightMatrix is already set on both)
+     * 4. Stores the matrix mapping world space into the shadow map
+     *
+     * @param {WorldBounds} bounds - Volume containing all shadow casters
+     * @param {function(mat4): void} drawCasters - Draws the casters; receives the light matrix
+     */
+    render(bounds, drawCasters) {
+        const gl = this.gl;
+        const { shadowMaps, shadowMatrices, shadowEnabled } = this.uniforms;
+
+        shadowEnabled.fill(0.0);
+        shadowMaps.fill(null);
+
+        this.lightManager.lights.forEach((light, slot) => {
+            if (!light.castShadows) return;
+
+            const target = this.getTarget(slot);
+            this.getLightMatrix(light, bounds, this.lightMatrix);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+            gl.viewport(0, 0, this.size, this.size);
+            gl.clearColor(1.0, 1.0, 1.0, 1.0);  // Unpacks to just beyond the far plane
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+            [this.depthProgram, this.instancedDepthProgram].forEach(program => {
+                program.use();
+                program.setUniform("uLightMatrix", this.lightMatrix);
+            });
+            drawCasters(this.lightMatrix);
+
+            mat4.multiply(this.shadowMatrix, this.biasMatrix, this.lightMatrix);
+            shadowMatrices.set(this.shadowMatrix, slot * 16);
+            shadowEnabled[slot] = 1.0;
+            shadowMaps[slot] = target.texture;
+        });
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Returns the shadow inputs for receivers. The arrays are reused and
+     * rewritten by every render().
+     *
+     * @returns {{shadowMaps: Array<WebGLTexture|null>, shadowMatrices: Float32Array,
+     *   shadowEnabled: Float32Array, shadowMapTexelSize: number}}
+     */
+    getUniforms() {
+        return this.uniforms;
+    }
+
+    /**
+     * Computes a light's projection times view matrix, framing the sphere
+     * around the bounds.
+     *
+     * @param {Object} light - Light from the LightManager
+     * @param {WorldBounds} bounds
+     * @param {mat4} out - Receives the matrix
+     * @returns {mat4} out
+     */
+    getLightMatrix(light, bounds, out) {
+        const { x, y, z } = bounds.center;
+        const center = [x, y, z];
+        const extent = bounds.extent;
+        const radius = 0.5 * Math.hypot(extent.x, extent.y, extent.z);
+
+        let eye;
+        let target = center;
+        const projection = mat4.create();
+        if (light.type === "directional") {
+            // Back the eye off along the light direction until the sphere
+            // lies between the near and far planes (straight down for a
+            // light without a direction)
+            const length = Math.hypot(...light.position);
+            const direction = length > 1e-6 ? light.position.map(c => c / length) : [0, 1, 0];
+            eye = center.map((c, i) => c + direction[i] * 2 * radius);
+            mat4.ortho(projection, -radius, radius, -radius, radius, radius, 3 * radius);
+        } else {
+            eye = light.position;
+            const distance = Math.hypot(...center.map((c, i) => c - eye[i]));
+            if (distance > radius * 1.05) {
+                const fov = Math.min(2 * Math.asin(radius / distance), MAX_POINT_FOV);
+                mat4.perspective(projection, fov, 1.0, distance - radius, distance + radius);
+            } else {
+                mat4.perspective(projection, MAX_POINT_FOV, 1.0, 0.05, distance + radius);
+                if (distance < 1e-6) target = [eye[0], eye[1] - 1, eye[2]];
+            }
+        }
+
+        // Avoid an up vector parallel to the view direction
+        const direction = target.map((c, i) => c - eye[i]);
+        const up = Math.abs(direction[1]) > 0.99 * Math.hypot(...direction) ? [0, 0, 1] : [0, 1, 0];
+
+        const view = mat4.lookAt(mat4.create(), eye, target, up);
+        return mat4.multiply(out, projection, view);
+    }
+
+    /**
+     * @param {number} slot - Light slot
+     * @returns {{framebuffer: WebGLFramebuffer, texture: WebGLTexture, depthBuffer: WebGLRenderbuffer}}
+     *   The slot's render target, created on first use
+     */
+    getTarget(slot) {
+        if (this.targets[slot]) return this.targets[slot];
+
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.size, this.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        // Packed depth must not be blended between texels
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        const depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.size, this.size);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error("Shadow map framebuffer is incomplete");
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.targets[slot] = { framebuffer, texture, depthBuffer };
+        return this.targets[slot];
+    }
+}
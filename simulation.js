@@ -0,0 +1,70 @@
+/**
+ * Fixed-Timestep Simulation Loop
+ * Decouples simulation updates from the display refresh rate. Real elapsed
+ * time is collected in an accumulator and consumed in constant-size steps,
+ * so motion advances at the same speed on 60 Hz, 120 Hz or throttled displays.
+ *
+ * Frame Flow:
+ * 1. advance(elapsed) adds the real time since the last frame to the accumulator
+ * 2. step(timestep) runs zero or more times until less than one step remains
+ * 3. The leftover fraction (alpha) is returned for render interpolation:
+ *    renderedState = previousState + (currentState - previousState) * alpha
+ *
+ * Spiral-of-Death Protection:
+ * Frame times above maxFrameTime (e.g. after a tab was hidden) are clamped,
+ * so the loop never tries to catch up on seconds of missed simulation at once.
+ *
+ * The loop has no DOM or WebGL dependency and can be driven headlessly:
+ *
+ * @example
+ * const loop = new FixedTimestepLoop({ step: (dt) => world.update(dt) });
+ * loop.advance(1.0);  // Runs 15 steps of 1/60 s (clamped to maxFrameTime, 0.25 s)
+ */
+export class FixedTimestepLoop {
+    /**
+     * @param {Object} options
+     * @param {function(number): void} options.step - Advances the simulation by dt seconds
+     * @param {number} [options.timestep=1/60] - Duration of one simulation step in seconds
+     * @param {number} [options.maxFrameTime=0.25] - Largest elapsed time accepted per advance
+     */
+    constructor({ step, timestep = 1 / 60, maxFrameTime = 0.25 }) {
+        this.step = step;
+        this.timestep = timestep;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+        this.elapsed = 0;  // Total simulated time in seconds
+    }
+
+    /**
+     * Consumes real elapsed time in fixed steps.
+     *
+     * @param {number} frameTime - Seconds since the previous call
+     * @returns {number} Interpolation factor in [0, 1) between the last two steps
+     */
+    advance(frameTime) {
+        this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+
+        while (this.accumulator >= this.timestep) {
+            this.step(this.timestep);
+            this.accumulator -= this.timestep;
+            this.elapsed += this.timestep;
+        }
+
+        return this.alpha;
+    }
+
+    /**
+     * Fraction of a step that has accumulated but not yet been simulated.
+     * @returns {number} Interpolation factor in [0, 1)
+     */
+    get alpha() {
+        return this.accumulator / this.timestep;
+    }
+
+    /**
+     * Drops any partially accumulated step, e.g. when resuming from pause.
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
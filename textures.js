@@ -0,0 +1,357 @@
+/**
+ * Texture Module
+ * Creates the 2D textures cube faces can be drawn with, from images chosen
+ * by the user or generated procedurally, and keeps track of the one in use.
+ *
+ * Procedural Textures (PROCEDURAL_TEXTURES):
+ * - checkerboard: Alternating light and dark squares
+ * - noise: Smoothed value noise, gray
+ * - faceNumbers: The numbers 1-6 in a face atlas, one per cube face
+ *
+ * Face Atlases:
+ * A texture can hold one image per cube face, laid out in a grid of
+ * `faceGrid` = [columns, rows] cells read left to right, top to bottom.
+ * Face i of the cube mesh (in cubeFaces order: front, back, top, bottom,
+ * right, left) shows cell i, so face numbers show the mesh's face order,
+ * and each number is upright and readable only where the face's texture
+ * coordinates are. Ordinary textures have a [1, 1] grid and cover every
+ * face whole.
+ *
+ * Uploads:
+ * Every texture gets mipmaps and repeats. WebGL1 can only mipmap and
+ * repeat power-of-two textures, so images are scaled to the nearest power
+ * of two there (WebGL2 uploads them at their own size). Images are flipped
+ * on upload so the top of the image is at v = 1.
+ *
+ * Events:
+ * - "add": A texture was added or replaced (`detail.name`)
+ * - "select": The current texture changed (`detail.name`)
+ *
+ * @example
+ * const textureManager = new TextureManager(gl);
+ * textureManager.createProcedural("checkerboard", "checks", { squares: 4 });
+ * textureManager.loadFile(file).then(({ name }) => textureManager.select(name));
+ * const { texture, faceGrid } = textureManager.getCurrent();
+ */
+
+import { isWebGL2 } from "./glsl.js";
+
+/**
+ * Procedural texture generators. Each draws onto a 2D canvas context of
+ * the given square size and returns the face grid of what it drew.
+ */
+export const PROCEDURAL_TEXTURES = {
+    /**
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} size - Canvas width and height
+     * @param {Object} [options]
+     * @param {number} [options.squares=8] - Squares along each side
+     * @param {Array<string>} [options.colors] - CSS colors of the two kinds of square
+     */
+    checkerboard(context, size, { squares = 8, colors = ["#f2f2f2", "#404040"] } = {}) {
+        const step = size / squares;
+        for (let row = 0; row < squares; row++) {
+            for (let column = 0; column < squares; column++) {
+                context.fillStyle = colors[(row + column) % 2];
+                context.fillRect(column * step, row * step, step, step);
+            }
+        }
+        return [1, 1];
+    },
+
+    /**
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} size - Canvas width and height
+     * @param {Object} [options]
+     * @param {number} [options.cells=16] - Noise lattice cells along each side
+     * @param {number} [options.seed=1] - Seed of the random lattice values
+     */
+    noise(context, size, { cells = 16, seed = 1 } = {}) {
+        const random = createRandom(seed);
+        const lattice = Array.from({ length: cells * cells }, () => random());
+        const value = (x, y) => lattice[(y % cells) * cells + (x % cells)];
+        const smooth = (t) => t * t * (3 - 2 * t);
+
+        const image = context.createImageData(size, size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                // Bilinear blend of the four surrounding lattice values,
+                // wrapping so the texture tiles
+                const u = x / size * cells;
+                const v = y / size * cells;
+                const x0 = Math.floor(u);
+                const y0 = Math.floor(v);
+                const tx = smooth(u - x0);
+                const ty = smooth(v - y0);
+                const top = value(x0, y0) * (1 - tx) + value(x0 + 1, y0) * tx;
+                const bottom = value(x0, y0 + 1) * (1 - tx) + value(x0 + 1, y0 + 1) * tx;
+                const gray = Math.round((0.35 + 0.65 * (top * (1 - ty) + bottom * ty)) * 255);
+
+                const offset = (y * size + x) * 4;
+                image.data[offset] = gray;
+                image.data[offset + 1] = gray;
+                image.data[offset + 2] = gray;
+                image.data[offset + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+        return [1, 1];
+    },
+
+    /**
+     * Draws the numbers 1-6 into the cells of a 4x2 face grid (power of two
+     * in both directions); the height of the canvas is halved.
+     *
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} size - Canvas width
+     */
+    faceNumbers(context, size) {
+        const columns = 4;
+        const rows = 2;
+        const cell = size / columns;
+        context.canvas.height = cell * rows;
+
+        const colors = ["#e74c3c", "#27ae60", "#2980b9", "#f39c12", "#8e44ad", "#16a085"];
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.font = `bold ${Math.round(cell * 0.6)}px sans-serif`;
+        colors.forEach((color, face) => {
+            const x = (face % columns) * cell;
+            const y = Math.floor(face / columns) * cell;
+            context.fillStyle = color;
+            context.fillRect(x, y, cell, cell);
+
+            // Border marks the face outline; a bar under the number shows
+            // which way is down
+            context.fillStyle = "#ffffff";
+            context.fillRect(x + cell * 0.04, y + cell * 0.04, cell * 0.92, cell * 0.92);
+            context.fillStyle = color;
+            context.fillRect(x + cell * 0.08, y + cell * 0.08, cell * 0.84, cell * 0.84);
+            context.fillStyle = "#ffffff";
+            context.fillText(String(face + 1), x + cell / 2, y + cell * 0.47);
+            context.fillRect(x + cell * 0.35, y + cell * 0.78, cell * 0.3, cell * 0.05);
+        });
+        return [columns, rows];
+    }
+};
+
+export class TextureManager extends EventTarget {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     */
+    constructor(gl) {
+        super();
+        this.gl = gl;
+        this.textures = new Map();  // Name -> { name, label, texture, width, height, faceGrid }
+        this.currentName = null;
+        this.controls = null;
+    }
+
+    /**
+     * Generates a procedural texture.
+     *
+     * @param {string} kind - Key of PROCEDURAL_TEXTURES
+     * @param {string} [name=kind] - Name to store it under
+     * @param {Object} [options] - Generator options (see PROCEDURAL_TEXTURES)
+     * @param {number} [options.size=512] - Width in pixels (power of two)
+     * @param {string} [options.label] - Text shown in the texture dropdown
+     * @returns {Object} The texture entry
+     * @throws {Error} If the kind is unknown
+     */
+    createProcedural(kind, name = kind, { size = 512, label = name, ...options } = {}) {
+        const generate = PROCEDURAL_TEXTURES[kind];
+        if (!generate) {
+            throw new Error(`Unknown procedural texture '${kind}'`);
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = size;
+        canvas.height = size;
+        const faceGrid = generate(canvas.getContext("2d"), size, options);
+        return this.setTexture(name, canvas, { label, faceGrid });
+    }
+
+    /**
+     * Loads an image file chosen by the user (e.g. from a file input).
+     *
+     * @param {File} file - Image file
+     * @param {string} [name=file.name] - Name to store it under
+     * @returns {Promise<Object>} Resolves with the texture entry; rejects
+     *   with an Error if the file isn't an image the browser can decode
+     */
+    loadFile(file, name = file.name) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                try {
+                    resolve(this.setTexture(name, image, { label: file.name }));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not load '${file.name}' as an image`));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Uploads an image as a mipmapped, repeating texture, replacing any
+     * texture with the same name.
+     *
+     * @param {string} name
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+     * @param {Object} [options]
+     * @param {string} [options.label=name] - Text shown in the texture dropdown
+     * @param {Array<number>} [options.faceGrid=[1, 1]] - Face atlas layout (see module docs)
+     * @returns {Object} The texture entry
+     * @throws {Error} If the source has no pixels
+     */
+    setTexture(name, source, { label = name, faceGrid = [1, 1] } = {}) {
+        const gl = this.gl;
+        const image = this.fitSource(source);
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        const previous = this.textures.get(name);
+        if (previous) gl.deleteTexture(previous.texture);
+
+        const entry = { name, label, texture, width: image.width, height: image.height, faceGrid: [...faceGrid] };
+        this.textures.set(name, entry);
+        if (this.currentName === null) this.currentName = name;
+
+        this.dispatchEvent(new CustomEvent("add", { detail: { name } }));
+        return entry;
+    }
+
+    /**
+     * Returns the source as it can be uploaded with mipmaps: unchanged on
+     * WebGL2 and for power-of-two sizes, otherwise drawn onto a canvas of
+     * the nearest power-of-two size. Sizes are capped at MAX_TEXTURE_SIZE.
+     *
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+     * @returns {HTMLImageElement|HTMLCanvasElement|ImageBitmap}
+     * @throws {Error} If the source has no pixels
+     */
+    fitSource(source) {
+        const gl = this.gl;
+        const sourceWidth = source.naturalWidth || source.width;
+        const sourceHeight = source.naturalHeight || source.height;
+        if (!sourceWidth || !sourceHeight) {
+            throw new Error("Texture source has no pixels");
+        }
+
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        const fit = (size) => {
+            const limited = Math.min(size, maxSize);
+            return isWebGL2(gl) ? limited : Math.min(2 ** Math.round(Math.log2(limited)), maxSize);
+        };
+        const width = fit(sourceWidth);
+        const height = fit(sourceHeight);
+        if (width === sourceWidth && height === sourceHeight) return source;
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext("2d").drawImage(source, 0, 0, width, height);
+        return canvas;
+    }
+
+    /**
+     * Makes a texture the current one.
+     *
+     * @param {string} name
+     * @throws {Error} If there is no texture with that name
+     */
+    select(name) {
+        if (!this.textures.has(name)) {
+            throw new Error(`Unknown texture '${name}'`);
+        }
+        this.currentName = name;
+        this.dispatchEvent(new CustomEvent("select", { detail: { name } }));
+    }
+
+    /** @returns {Object|null} Entry of the current texture */
+    getCurrent() {
+        return this.textures.get(this.currentName) || null;
+    }
+
+    /**
+     * Connects a texture dropdown, an image file input and a status element.
+     * The dropdown lists every texture and switches the current one; a
+     * chosen file is loaded and made current, and load errors are shown in
+     * the status element.
+     *
+     * @param {Object} controls
+     * @param {HTMLSelectElement} controls.select
+     * @param {HTMLInputElement} [controls.fileInput] - `<input type="file" accept="image/*">`
+     * @param {HTMLElement} [controls.status]
+     */
+    bindControls(controls) {
+        this.controls = controls;
+        const { select, fileInput, status } = controls;
+
+        select.addEventListener("change", (e) => this.select(e.target.value));
+        this.addEventListener("add", () => this.syncControls());
+        this.addEventListener("select", () => this.syncControls());
+
+        if (fileInput) {
+            fileInput.addEventListener("change", (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                if (status) status.textContent = "";
+                this.loadFile(file)
+                    .then(({ name }) => this.select(name))
+                    .catch((error) => {
+                        console.error(error);
+                        if (status) status.textContent = error.message;
+                    });
+            });
+        }
+
+        this.syncControls();
+    }
+
+    syncControls() {
+        const select = this.controls && this.controls.select;
+        if (!select) return;
+
+        select.innerHTML = "";
+        this.textures.forEach(({ label }, name) => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.currentName;
+    }
+}
+
+/**
+ * @param {number} seed
+ * @returns {function(): number} Deterministic generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0 || 1;
+    return () => {
+        // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * Vertex Array Module
+ * Records a mesh's attribute and index buffer setup once, so drawing it
+ * only needs one bind call.
+ *
+ * API Selection:
+ * - WebGL2 contexts: built-in vertex array objects
+ * - WebGL1 contexts: the OES_vertex_array_object extension
+ * - Neither: bind() re-specifies the attribute pointers (the original
+ *   per-draw path) and unbind() disables them again
+ *
+ * Attribute Locations:
+ * A vertex array ties buffers to attribute locations, not names, so every
+ * program is linked with the same locations (bindAttribLocation before
+ * linking, see buildShaderProgram). Registered shading modes get the
+ * location of the stream each attribute reads (STREAM_LOCATIONS).
+ *
+ * @example
+ * const grid = new VertexArray(gl, {
+ *     attributes: [{ location: ATTRIBUTE_LOCATIONS.aPosition, buffer: gridVertexBuffer, size: 3 }],
+ *     indexBuffer: gridIndexBuffer
+ * });
+ * grid.bind();
+ * gl.drawElements(gl.LINES, gridIndices.length, gl.UNSIGNED_SHORT, 0);
+ * grid.unbind();
+ */
+
+import { isWebGL2 } from "./glsl.js";
+
+// Locations of the cube's vertex streams
+export const STREAM_LOCATIONS = {
+    position: 0,
+    normal: 1,
+    uv: 2
+};
+
+// Locations bound by name in every program
+export const ATTRIBUTE_LOCATIONS = {
+    aPosition: STREAM_LOCATIONS.position,
+    aNormal: STREAM_LOCATIONS.normal,
+    aTexCoord: STREAM_LOCATIONS.uv,
+    aModelMatrix: 3,    // mat4: one column each at 3, 4, 5 and 6
+    aInstanceColor: 7
+};
+
+/**
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @returns {{create: function(): WebGLVertexArrayObject, bind: function(?WebGLVertexArrayObject): void}|null}
+ *   Vertex array functions, or null if the context has none
+ */
+function getVertexArrayApi(gl) {
+    if (isWebGL2(gl)) {
+        return {
+            create: () => gl.createVertexArray(),
+            bind: (vao) => gl.bindVertexArray(vao)
+        };
+    }
+
+    const ext = gl.getExtension("OES_vertex_array_object");
+    if (!ext) return null;
+    return {
+        create: () => ext.createVertexArrayOES(),
+        bind: (vao) => ext.bindVertexArrayOES(vao)
+    };
+}
+
+export class VertexArray {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     * @param {Object} options
+     * @param {Array<{location: number, buffer: WebGLBuffer, size: number}>} options.attributes -
+     *   Tightly packed float attributes
+     * @param {WebGLBuffer|null} options.indexBuffer - Element array buffer (null for
+     *   geometry drawn with drawArrays)
+     */
+    constructor(gl, { attributes, indexBuffer }) {
+        this.gl = gl;
+        this.attributes = attributes;
+        this.indexBuffer = indexBuffer;
+        this.api = getVertexArrayApi(gl);
+        this.vao = null;
+
+        if (this.api) {
+            this.vao = this.api.create();
+            this.api.bind(this.vao);
+            this.specify();
+            this.api.bind(null);
+        }
+    }
+
+    /** @returns {boolean} Whether a vertex array object is used */
+    get native() {
+        return this.vao !== null;
+    }
+
+    /**
+     * Sets up the attribute pointers and index buffer on the current
+     * vertex array (the mesh's own, or the default one in the fallback).
+     */
+    specify() {
+        const gl = this.gl;
+        this.attributes.forEach(({ location, buffer, size }) => {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(location);
+        });
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    }
+
+    bind() {
+        if (this.vao) {
+            this.api.bind(this.vao);
+        } else {
+            this.specify();
+        }
+    }
+
+    /**
+     * Restores the default vertex array, so later buffer and attribute
+     * calls can't change this mesh's setup.
+     */
+    unbind() {
+        if (this.vao) {
+            this.api.bind(null);
+        } else {
+            this.attributes.forEach(({ location }) => this.gl.disableVertexAttribArray(location));
+        }
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * Viewport Module
+ * Splits the canvas into several views of the same scene, each with its own
+ * camera and projection type.
+ *
+ * Layouts:
+ * - "single": The orbit camera fills the canvas
+ * - "quad": Top, front and side orthographic views plus the orbit camera
+ *
+ *     +--------+--------+
+ *     |  Top   | Camera |
+ *     +--------+--------+
+ *     | Front  |  Side  |
+ *     +--------+--------+
+ *
+ * A viewport's `rect` is [left, top, width, height] as fractions of the
+ * canvas, measured from the top-left corner like CSS. getPixelRect()
+ * converts it to the bottom-left origin gl.viewport/gl.scissor expect.
+ *
+ * The orbit view (`type: null`) follows the ProjectionManager's current
+ * type, including its animated transitions; the axis views always use the
+ * type they were given, sized to fit the world bounds.
+ *
+ * Depends on the global glMatrix `mat4` (loaded by index.html).
+ *
+ * @example
+ * const viewports = new ViewportManager(canvas, { orbitCamera, projectionManager, bounds });
+ * viewports.setLayout("quad");
+ * for (const viewport of viewports.getViewports()) {
+ *     const { x, y, width, height } = viewports.getPixelRect(viewport);
+ *     gl.viewport(x, y, width, height);
+ *     drawScene(viewport.camera.getViewMatrix(), viewports.getProjectionMatrix(viewport));
+ * }
+ */
+
+// Axis views: direction from the target to the eye, and the screen-up vector
+export const AXIS_VIEWS = {
+    top:   { label: "Top",   direction: [0, 1, 0], up: [0, 0, -1] },
+    front: { label: "Front", direction: [0, 0, 1], up: [0, 1, 0] },
+    side:  { label: "Side",  direction: [1, 0, 0], up: [0, 1, 0] }
+};
+
+export const VIEW_LAYOUTS = ["single", "quad"];
+
+// Margin around the world bounds in the axis views
+const AXIS_VIEW_MARGIN = 1.15;
+
+/**
+ * A fixed camera looking along a world axis at a target point.
+ */
+export class AxisCamera {
+    /**
+     * @param {Object} options
+     * @param {Array<number>} options.direction - Unit vector from target to eye
+     * @param {Array<number>} options.up - Screen-up vector
+     * @param {Array<number>} [options.target=[0,0,0]] - Look-at point
+     * @param {number} [options.distance=10] - Eye to target distance
+     */
+    constructor({ direction, up, target = [0, 0, 0], distance = 10.0 }) {
+        this.direction = [...direction];
+        this.up = [...up];
+        this.target = [...target];
+        this.distance = distance;
+    }
+
+    getEyePosition() {
+        return this.target.map((c, i) => c + this.direction[i] * this.distance);
+    }
+
+    getViewMatrix() {
+        const viewMatrix = mat4.create();
+        mat4.lookAt(viewMatrix, this.getEyePosition(), this.target, this.up);
+        return viewMatrix;
+    }
+}
+
+export class ViewportManager {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {OrbitCameraController} options.orbitCamera - Interactive camera
+     * @param {ProjectionManager} options.projectionManager - Source of projections
+     * @param {WorldBounds} options.bounds - Region the axis views frame
+     * @param {HTMLElement} [options.labelContainer] - Positioned element that
+     *   receives one label per viewport
+     */
+    constructor(canvas, { orbitCamera, projectionManager, bounds, labelContainer = null }) {
+        this.canvas = canvas;
+        this.orbitCamera = orbitCamera;
+        this.projectionManager = projectionManager;
+        this.bounds = bounds;
+        this.labelContainer = labelContainer;
+        this.labels = [];
+
+        this.axisCameras = {};
+        Object.entries(AXIS_VIEWS).forEach(([name, view]) => {
+            this.axisCameras[name] = new AxisCamera(view);
+        });
+        this.fitAxisCameras();
+
+        this.setLayout("single");
+    }
+
+    /**
+     * Centers the axis cameras on the world bounds and sizes their
+     * orthographic view to show all of it.
+     */
+    fitAxisCameras() {
+        const center = this.bounds.center;
+        const extent = this.bounds.extent;
+        const largest = Math.max(extent.x, extent.y, extent.z);
+
+        // Eyes sit outside the bounds; clip planes bracket the whole box
+        this.axisOrthoSize = largest / 2 * AXIS_VIEW_MARGIN;
+        this.axisClip = { near: largest * 0.5, far: largest * 3 };
+        Object.values(this.axisCameras).forEach(camera => {
+            camera.target = [center.x, center.y, center.z];
+            camera.distance = largest * 1.5;
+        });
+    }
+
+    /**
+     * @param {string} layout - One of VIEW_LAYOUTS
+     */
+    setLayout(layout) {
+        const orbitView = { name: "camera", label: "Camera", camera: this.orbitCamera, type: null };
+        const axisView = (name) => ({
+            name,
+            label: AXIS_VIEWS[name].label,
+            camera: this.axisCameras[name],
+            type: "orthographic"
+        });
+
+        if (layout === "single") {
+            this.viewports = [{ ...orbitView, rect: [0, 0, 1, 1] }];
+        } else if (layout === "quad") {
+            this.viewports = [
+                { ...axisView("top"),   rect: [0.0, 0.0, 0.5, 0.5] },
+                { ...orbitView,         rect: [0.5, 0.0, 0.5, 0.5] },
+                { ...axisView("front"), rect: [0.0, 0.5, 0.5, 0.5] },
+                { ...axisView("side"),  rect: [0.5, 0.5, 0.5, 0.5] }
+            ];
+        } else {
+            throw new Error(`Unknown viewport layout '${layout}'`);
+        }
+        this.layout = layout;
+        this.updateLabels();
+    }
+
+    /** @returns {Array<Object>} Viewports of the current layout */
+    getViewports() {
+        return this.viewports;
+    }
+
+    /**
+     * @param {Object} viewport
+     * @returns {{x: number, y: number, width: number, height: number}}
+     *   Drawing buffer rectangle with a bottom-left origin
+     */
+    getPixelRect(viewport) {
+        const [left, top, width, height] = viewport.rect;
+        const x0 = Math.round(left * this.canvas.width);
+        const x1 = Math.round((left + width) * this.canvas.width);
+        const y0 = Math.round((1 - top - height) * this.canvas.height);
+        const y1 = Math.round((1 - top) * this.canvas.height);
+        return { x: x0, y: y0, width: Math.max(1, x1 - x0), height: Math.max(1, y1 - y0) };
+    }
+
+    /**
+     * @param {Object} viewport
+     * @returns {mat4} Projection for the viewport's type and aspect ratio
+     */
+    getProjectionMatrix(viewport) {
+        const { width, height } = this.getPixelRect(viewport);
+        const aspect = width / height;
+
+        if (viewport.type === null) {
+            return this.projectionManager.getCurrentMatrix({ aspect });
+        }
+        return this.projectionManager.getMatrix(viewport.type, {
+            aspect,
+            focusDistance: viewport.camera.distance,
+            orthoSize: this.axisOrthoSize,
+            ...this.axisClip
+        });
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {Object|null} Viewport under the point, or null if outside the canvas
+     */
+    getViewportAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const u = (clientX - rect.left) / rect.width;
+        const v = (clientY - rect.top) / rect.height;
+
+        return this.viewports.find(({ rect: [left, top, width, height] }) =>
+            u >= left && u <= left + width && v >= top && v <= top + height
+        ) || null;
+    }
+
+    /**
+     * Describes the view under a canvas point for picking and dragging.
+     *
+     * @param {number} clientX - Pointer x in client (CSS pixel) coordinates
+     * @param {number} clientY - Pointer y in client (CSS pixel) coordinates
+     * @param {Object} [viewport] - Use this viewport even if the point lies
+     *   outside it (keeps a drag in the view it started in)
+     * @returns {{ndc: Object, viewMatrix: mat4, projectionMatrix: mat4, viewport: Object}|null}
+     */
+    resolvePointer(clientX, clientY, viewport = null) {
+        viewport = viewport || this.getViewportAt(clientX, clientY);
+        if (!viewport) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const [left, top, width, height] = viewport.rect;
+        const u = ((clientX - rect.left) / rect.width - left) / width;
+        const v = ((clientY - rect.top) / rect.height - top) / height;
+
+        return {
+            ndc: { x: u * 2 - 1, y: 1 - v * 2 },
+            viewMatrix: viewport.camera.getViewMatrix(),
+            projectionMatrix: this.getProjectionMatrix(viewport),
+            viewport
+        };
+    }
+
+    /**
+     * Positions one text label in the top-left corner of each viewport
+     * (only in layouts with more than one view).
+     */
+    updateLabels() {
+        if (!this.labelContainer) return;
+
+        this.labels.forEach(label => label.remove());
+        this.labels = [];
+        if (this.viewports.length < 2) return;
+
+        this.viewports.forEach(viewport => {
+            const label = document.createElement("span");
+            label.className = "viewport-label";
+            label.textContent = viewport.label;
+            label.style.left = `${viewport.rect[0] * 100}%`;
+            label.style.top = `${viewport.rect[1] * 100}%`;
+            this.labelContainer.appendChild(label);
+            this.labels.push(label);
+        });
+    }
+}